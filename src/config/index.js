@@ -11,6 +11,17 @@ const config = {
   // HubSpot API and Secrets
   HUBSPOT_API_KEY: process.env.HUBSPOT_API_KEY, // For local dev, primarily from Secrets Manager
   HUBSPOT_API_KEY_SECRET_ID: process.env.HUBSPOT_API_KEY_SECRET_ID || 'HubSpotApiKey', // Name/ARN of the secret in Secrets Manager
+  // HubSpot API retries and rate limiting
+  HUBSPOT_MAX_RETRIES: parseInt(process.env.HUBSPOT_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.HUBSPOT_MAX_RETRIES, 10) : 5, // Retries for 429, 5xx and network errors (create calls retry 429 only)
+  HUBSPOT_RETRY_BASE_DELAY_MS: parseInt(process.env.HUBSPOT_RETRY_BASE_DELAY_MS, 10) || 500, // Backoff doubles from this, with jitter
+  HUBSPOT_RETRY_MAX_DELAY_MS: parseInt(process.env.HUBSPOT_RETRY_MAX_DELAY_MS, 10) || 30000, // Cap on any single wait, including Retry-After
+  HUBSPOT_RATE_LIMIT_BUFFER: parseInt(process.env.HUBSPOT_RATE_LIMIT_BUFFER, 10) || 5, // Pause for the window reset when this few requests remain
+  HUBSPOT_MAX_CONCURRENT_REQUESTS: parseInt(process.env.HUBSPOT_MAX_CONCURRENT_REQUESTS, 10) || 5, // Requests in flight at once, shared by all member workers
+
+  // HubSpot Company Membership custom object
+  HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID: process.env.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID || '2-45511388', // Object type ID of the membership custom object (differs per portal)
+  // 'false' skips the startup check that every configured property exists with the expected type
+  HUBSPOT_SCHEMA_CHECK: process.env.HUBSPOT_SCHEMA_CHECK || 'true',
 
   // HubSpot Company Properties (Internal Names)
   HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY: process.env.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY || 'paid_through_date',
@@ -27,12 +38,30 @@ const config = {
   HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY: process.env.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY || 'distributor_canadian_provinces',
   HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY: process.env.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY || 'distributor_non_na_territories',
 
+  // HubSpot Discount & Override Properties (on the company for company memberships, on the contact for individuals)
+  HUBSPOT_DISCOUNT_CODES_PROPERTY: process.env.HUBSPOT_DISCOUNT_CODES_PROPERTY || 'discount_codes', // e.g. "MULTIYEAR;HARDSHIP"
+  HUBSPOT_PRICE_OVERRIDE_PROPERTY: process.env.HUBSPOT_PRICE_OVERRIDE_PROPERTY || 'membership_price_override', // Negotiated dues amount
+  HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY: process.env.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY || 'membership_price_override_expires',
+
+  // HubSpot Tax Properties (on the company for company memberships, on the contact for individuals)
+  HUBSPOT_TAX_EXEMPT_PROPERTY: process.env.HUBSPOT_TAX_EXEMPT_PROPERTY || 'tax_exempt', // "true"/"yes" = no sales tax
+
+  // HubSpot Currency Properties (on the company for company memberships, on the contact for individuals)
+  HUBSPOT_MEMBER_CURRENCY_PROPERTY: process.env.HUBSPOT_MEMBER_CURRENCY_PROPERTY || 'invoice_currency', // e.g. "CAD"; otherwise chosen from the billing country
+
   // HubSpot Manufacturer Membership Properties
   HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY: process.env.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY || 'manufacturer_membership_level', // Property holding values like "$1,500"
+  HUBSPOT_PAYMENT_PLAN_PROPERTY: process.env.HUBSPOT_PAYMENT_PLAN_PROPERTY || 'payment_plan', // Membership property: "Quarterly", "Semi-Annual", "Monthly" or an installment count
+  HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY: process.env.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY || 'annual_sales_volume', // Company property; drives the manufacturer tier when set
+  ENABLE_MANUFACTURER_TIER_WRITEBACK: process.env.ENABLE_MANUFACTURER_TIER_WRITEBACK || 'false', // 'true' writes the derived tier label back to the membership
 
   // HubSpot Contact Properties & Associations
   HUBSPOT_PRIMARY_CONTACT_ASSOCIATION_TYPE_ID: process.env.HUBSPOT_PRIMARY_CONTACT_ASSOCIATION_TYPE_ID, // e.g., '2' (numeric ID for 'company_to_contact' if it's primary)
   HUBSPOT_CONTACT_PROPERTIES_TO_FETCH: process.env.HUBSPOT_CONTACT_PROPERTIES_TO_FETCH || 'email,firstname,lastname,address,city,state,zip',
+  // Billing contact rules tried in order: 'association_label', 'company_property', 'primary'. Members no rule resolves go to review.
+  BILLING_CONTACT_RESOLUTION_ORDER: process.env.BILLING_CONTACT_RESOLUTION_ORDER || 'association_label,company_property,primary',
+  HUBSPOT_BILLING_CONTACT_ASSOCIATION_LABEL: process.env.HUBSPOT_BILLING_CONTACT_ASSOCIATION_LABEL || 'Billing Contact', // Company-to-contact association label
+  HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY: process.env.HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY || 'billing_contact', // Company property holding a billing contact ID or email
 
   // BEGIN NEW CONFIGS
   
@@ -41,13 +70,20 @@ const config = {
 
   // HubSpot Invoice Object Custom Properties
   HUBSPOT_INVOICE_PDF_LINK_PROPERTY: process.env.HUBSPOT_INVOICE_PDF_LINK_PROPERTY || 'printable_invoice_url', // The internal name of your new custom property
+  HUBSPOT_INVOICE_NUMBER_PROPERTY: process.env.HUBSPOT_INVOICE_NUMBER_PROPERTY || 'membership_invoice_number', // Our invoice number, as printed on the PDF
+  HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY: process.env.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY || 'billing_period', // Renewal date (YYYY-MM-DD) of the membership term billed
+  HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY: process.env.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY || 'membership_record_id', // Company membership record ID(s), ';'-separated
+  HUBSPOT_INVOICE_PRICE_BOOK_VERSION_PROPERTY: process.env.HUBSPOT_INVOICE_PRICE_BOOK_VERSION_PROPERTY || 'price_book_version', // Price book version the invoice was priced with
+  HUBSPOT_INVOICE_KIND_PROPERTY: process.env.HUBSPOT_INVOICE_KIND_PROPERTY || 'membership_invoice_kind', // What the invoice bills: 'renewal', 'installment', 'proration' or 'late_fee'
+  HUBSPOT_INVOICE_RECONCILED_PROPERTY: process.env.HUBSPOT_INVOICE_RECONCILED_PROPERTY || 'renewal_reconciled_on', // Date reconciliation advanced the member for this paid invoice
+  HUBSPOT_INVOICE_REPLACES_PROPERTY: process.env.HUBSPOT_INVOICE_REPLACES_PROPERTY || 'replaces_invoice', // Number of the voided invoice a reissued invoice replaces
+  HUBSPOT_INVOICE_REPLACED_BY_PROPERTY: process.env.HUBSPOT_INVOICE_REPLACED_BY_PROPERTY || 'replaced_by_invoice', // Number of the invoice that replaced a voided one
+  HUBSPOT_INVOICE_RECEIPT_LINK_PROPERTY: process.env.HUBSPOT_INVOICE_RECEIPT_LINK_PROPERTY || 'paid_receipt_url', // S3 URL of the paid receipt PDF
+  HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY: process.env.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY || 'invoice_idempotency_key', // What the invoice is for, e.g. 'renewal:<membership ID>:<billing period>'; one invoice per key
 
   // Membership Types
   MEMBERSHIP_TYPE_INDIVIDUAL: process.env.MEMBERSHIP_TYPE_INDIVIDUAL || 'Individual',
   
-  // Pricing Configuration
-  INDIVIDUAL_MEMBERSHIP_FEE: parseFloat(process.env.INDIVIDUAL_MEMBERSHIP_FEE) || 349,
-  
   // END NEW CONFIGS
 
   // HubSpot Invoice Object and Properties
@@ -72,22 +108,65 @@ const config = {
   MEMBERSHIP_TYPE_MANUFACTURER: process.env.MEMBERSHIP_TYPE_MANUFACTURER || 'Manufacturer',
   MEMBERSHIP_TYPE_SERVICE_PROVIDER: process.env.MEMBERSHIP_TYPE_SERVICE_PROVIDER || 'Service Provider',
 
-  // Pricing Configuration (Referenced by pricing modules)
-  // Distributor Pricing
-  DISTRIBUTOR_BASE_FEE: parseFloat(process.env.DISTRIBUTOR_BASE_FEE) || 929,
-  DISTRIBUTOR_TERRITORY_FEE: parseFloat(process.env.DISTRIBUTOR_TERRITORY_FEE) || 70,
-  // Manufacturer Pricing Tiers are now derived directly from HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY
-  MANUFACTURER_DEFAULT_FEE: parseFloat(process.env.MANUFACTURER_DEFAULT_FEE) || 1500, // Default when property is missing
-  // Service Provider Pricing
-  SERVICE_PROVIDER_FLAT_FEE: parseFloat(process.env.SERVICE_PROVIDER_FLAT_FEE) || 1250,
+  // Pricing Configuration
+  // Fees, tier tables, product IDs and line-item wording live in versioned, effective-dated JSON price books.
+  // A single JSON file or a directory of them. Defaults to src/pricing/priceBooks/ when not set.
+  PRICE_BOOK_PATH: process.env.PRICE_BOOK_PATH,
+  // Sales tax rates by state/province. Defaults to src/pricing/taxRates.json when not set.
+  TAX_RATES_PATH: process.env.TAX_RATES_PATH,
+  // Mid-cycle proration: 'monthly' charges whole remaining months (rounded up), 'daily' charges remaining days / 365.
+  PRORATION_METHOD: process.env.PRORATION_METHOD || 'monthly',
 
   // Invoice Settings
-  INVOICE_CURRENCY: process.env.INVOICE_CURRENCY || 'USD',
+  INVOICE_CURRENCY: process.env.INVOICE_CURRENCY || 'USD', // Default currency for members without a currency or country mapping
+  // Exchange rates, rounding rules and country → currency mapping. Defaults to src/pricing/exchangeRates.json when not set.
+  EXCHANGE_RATES_PATH: process.env.EXCHANGE_RATES_PATH,
   INVOICE_DUE_DAYS: parseInt(process.env.INVOICE_DUE_DAYS, 10) || 30,
+  // 'true' sends a company one invoice covering all of its memberships expiring together (event.consolidate_invoices overrides)
+  CONSOLIDATE_COMPANY_INVOICES: process.env.CONSOLIDATE_COMPANY_INVOICES || 'false',
+  // Members invoiced in parallel by the renewal run (event.worker_count overrides); 1 = one at a time
+  MEMBER_WORKER_COUNT: parseInt(process.env.MEMBER_WORKER_COUNT, 10) || 4,
+  PDF_BROWSER_POOL_SIZE: parseInt(process.env.PDF_BROWSER_POOL_SIZE, 10) || 2, // Chromium instances kept open for PDF rendering during a run
+  // Payment plans: later installments are invoiced by the first run within this many days of their due date
+  PAYMENT_PLAN_ISSUE_DAYS_BEFORE_DUE: parseInt(process.env.PAYMENT_PLAN_ISSUE_DAYS_BEFORE_DUE, 10) || parseInt(process.env.INVOICE_DUE_DAYS, 10) || 30,
+
+  // Late Fee Policy (event.mode = "overdue")
+  LATE_FEE_TYPE: process.env.LATE_FEE_TYPE || 'percentage', // 'percentage' of the balance due, or 'flat'
+  LATE_FEE_AMOUNT: parseFloat(process.env.LATE_FEE_AMOUNT) || 1.5, // Percent (1.5 = 1.5%) or flat amount in INVOICE_CURRENCY, converted to each invoice's currency
+  LATE_FEE_GRACE_DAYS: parseInt(process.env.LATE_FEE_GRACE_DAYS, 10) || 0, // Days past the due date before a fee is assessed
+  LATE_FEE_MINIMUM: parseFloat(process.env.LATE_FEE_MINIMUM) || 0, // Minimum fee per assessment, in INVOICE_CURRENCY
+  LATE_FEE_MAXIMUM: parseFloat(process.env.LATE_FEE_MAXIMUM) || 0, // Cap on total late fees per invoice, in INVOICE_CURRENCY (0 = no cap)
+  LATE_FEE_REPEAT_DAYS: parseInt(process.env.LATE_FEE_REPEAT_DAYS, 10) || 0, // Reassess every N days while unpaid (0 = assess once)
+  LATE_FEE_METHOD: process.env.LATE_FEE_METHOD || 'followup', // 'followup' issues a separate invoice; 'line_item' adds the fee to the overdue invoice
+  HUBSPOT_INVOICE_LATE_FEE_TOTAL_PROPERTY: process.env.HUBSPOT_INVOICE_LATE_FEE_TOTAL_PROPERTY || 'late_fee_total', // Invoice property: late fees assessed so far
+  HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY: process.env.HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY || 'late_fee_last_assessed', // Invoice property: date of the last assessment
+  HUBSPOT_INVOICE_LATE_FEE_COUNT_PROPERTY: process.env.HUBSPOT_INVOICE_LATE_FEE_COUNT_PROPERTY || 'late_fee_count', // Invoice property: number of assessments so far
 
   // Month Control Settings
   INVOICE_GENERATION_MONTH_OFFSET: parseInt(process.env.INVOICE_GENERATION_MONTH_OFFSET, 10) || 0, // 0 = current month, 1 = next month, etc.
   INVOICE_GENERATION_DAY_OF_MONTH: parseInt(process.env.INVOICE_GENERATION_DAY_OF_MONTH, 10) || 0, // 0 = last day of month, 1-31 = specific day
+  // Renewal dates to invoice: 'month' = the whole target month, 'date' = the target day only, 'days' = today through RENEWAL_WINDOW_DAYS_AHEAD
+  RENEWAL_WINDOW_MODE: process.env.RENEWAL_WINDOW_MODE || 'month',
+  RENEWAL_WINDOW_DAYS_AHEAD: parseInt(process.env.RENEWAL_WINDOW_DAYS_AHEAD, 10) || 30, // Window length for 'days' mode
+  // Catch-up: widen the window back to the first renewal date a completed run has not covered, at most this many days (0 = no catch-up)
+  RENEWAL_CATCH_UP_MAX_DAYS: isNaN(parseInt(process.env.RENEWAL_CATCH_UP_MAX_DAYS, 10)) ? 90 : parseInt(process.env.RENEWAL_CATCH_UP_MAX_DAYS, 10),
+
+  // HubSpot Webhooks (exports.webhookHandler); the app's client secret comes from HUBSPOT_CLIENT_SECRET or Secrets Manager
+  HUBSPOT_WEBHOOK_URL: process.env.HUBSPOT_WEBHOOK_URL, // Target URL configured in the HubSpot app; defaults to the URL rebuilt from the request
+  HUBSPOT_WEBHOOK_MAX_AGE_MS: parseInt(process.env.HUBSPOT_WEBHOOK_MAX_AGE_MS, 10) || 300000, // Reject signed requests older than this (HubSpot recommends 5 minutes)
+  WEBHOOK_DRY_RUN: process.env.WEBHOOK_DRY_RUN || 'false', // 'true' = validate and log webhook events without writing to HubSpot or S3
+
+  // Payment Reconciliation (event.mode = "reconcile")
+  MEMBERSHIP_TERM_MONTHS: parseInt(process.env.MEMBERSHIP_TERM_MONTHS, 10) || 12, // A paid renewal advances the renewal/paid-through date by this many months
+  HUBSPOT_MEMBERSHIP_STATUS_PROPERTY: process.env.HUBSPOT_MEMBERSHIP_STATUS_PROPERTY || 'status', // Membership record status property
+  MEMBERSHIP_STATUS_ACTIVE: process.env.MEMBERSHIP_STATUS_ACTIVE || 'Active', // Status set on a membership once its renewal is paid
+
+  // Orphan Draft Cleanup (event.mode = "cleanup")
+  ORPHAN_DRAFT_MIN_AGE_HOURS: parseInt(process.env.ORPHAN_DRAFT_MIN_AGE_HOURS, 10) || 24, // Incomplete drafts younger than this may still be being created, and are left alone
+
+  // Queue Fan-out (event.mode = "fanout"): one message per member, invoiced by exports.queueWorkerHandler
+  RENEWAL_QUEUE_URL: process.env.RENEWAL_QUEUE_URL, // SQS queue the worker Lambda is subscribed to
+  RENEWAL_QUEUE_ADAPTER: process.env.RENEWAL_QUEUE_ADAPTER || 'sqs', // 'sqs', or 'memory' to run the whole flow in one process without AWS
 
   // S3 Reporting Configuration
   S3_REPORTS_BUCKET_NAME: process.env.S3_REPORTS_BUCKET_NAME || process.env.AWS_S3_REPORT_BUCKET_NAME,
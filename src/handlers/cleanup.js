@@ -0,0 +1,92 @@
+// Orphan Draft Cleanup Handler
+// Lists and voids draft invoices that createInvoice started but never finished.
+const config = require('../config');
+const { getApiStats } = require('../hubspot/client');
+const { findOrphanDraftInvoices, setInvoiceStatus } = require('../hubspot/invoices');
+const { generateAndStoreReport, sendReportEmail } = require('../utils/reporting');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Handles a `mode: "cleanup"` event.
+ *
+ * An orphan draft carries an idempotency key but is missing its due date, contact or line items,
+ * because the run creating it stopped part-way. A later run with the same key resumes the draft
+ * itself, so cleanup is only needed for drafts nothing will retry (e.g. a member no longer due).
+ * Voided drafts are ignored by the idempotency key lookup, so the invoice can still be created later.
+ *
+ * @param {object} event - The Lambda event.
+ * @param {number} [event.min_age_hours] - Only drafts older than this are checked. Defaults to ORPHAN_DRAFT_MIN_AGE_HOURS.
+ * @param {boolean} [event.dry_run] - List the orphan drafts without voiding them.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @returns {Promise<object>} The Lambda response.
+ */
+const handleCleanup = async (event, hsClient) => {
+  const isDryRun = event.dry_run === true;
+  const minAgeHours = event.min_age_hours !== undefined ? Number(event.min_age_hours) : config.ORPHAN_DRAFT_MIN_AGE_HOURS;
+  if (isNaN(minAgeHours) || minAgeHours < 0) {
+    throw new Error(`Invalid min_age_hours "${event.min_age_hours}"; expected a number of hours.`);
+  }
+
+  const createdBefore = new Date(Date.now() - minAgeHours * HOUR_MS).toISOString();
+  logger.info(`Cleaning up orphan draft invoices created before ${createdBefore}`, { minAgeHours, isDryRun });
+
+  const orphans = await findOrphanDraftInvoices(hsClient, createdBefore);
+  const voided = [];
+  const failed = [];
+
+  for (const orphan of orphans) {
+    const entry = {
+      name          : `Invoice ${orphan.number}`,
+      id            : orphan.id,
+      invoiceId     : orphan.id,
+      pricingDetails: { orphanDraft: { idempotencyKey: orphan.idempotencyKey, missing: orphan.missing } },
+    };
+    if (isDryRun) {
+      logger.info(`[DRY RUN] Would void invoice ${orphan.number} (${orphan.id}): orphan draft for ${orphan.idempotencyKey}, missing ${orphan.missing.join(', ')}`);
+      voided.push({ ...entry, type: 'Orphan Draft (dry run)' });
+      continue;
+    }
+
+    try {
+      await setInvoiceStatus(hsClient, orphan.id, 'voided');
+      voided.push({ ...entry, type: 'Orphan Draft Voided' });
+    } catch (error) {
+      logger.error(`Failed to void orphan draft ${orphan.number}:`, error);
+      failed.push({ name: `Invoice ${orphan.number}`, id: orphan.id, reason: error.message });
+    }
+  }
+
+  const reportData = {
+    date                   : new Date().toISOString(),
+    totalMembershipsProcessed: orphans.length,
+    successfulInvoices     : voided.length,
+    failedInvoices         : failed.length,
+    invoices               : voided,
+    failures               : failed,
+    apiStats               : getApiStats(),
+  };
+
+  const reportUrl = await generateAndStoreReport(reportData);
+  logger.info(`Report stored at: ${reportUrl}`);
+
+  if (config.ENABLE_REPORT_EMAIL === 'true' && orphans.length > 0) {
+    await sendReportEmail(reportUrl, reportData);
+  }
+
+  return {
+    statusCode: 200,
+    body      : JSON.stringify({
+      message: isDryRun ? 'Orphan drafts listed (dry run).' : 'Orphan draft cleanup complete.',
+      createdBefore,
+      orphans: orphans.length,
+      voided : isDryRun ? 0 : voided.length,
+      failed : failed.length,
+      invoices: orphans,
+      reportUrl,
+    }),
+  };
+};
+
+module.exports = { handleCleanup };
@@ -0,0 +1,262 @@
+// Queue Fan-out Handlers
+// Splits a renewal run across Lambda invocations: the orchestrator finds the members and enqueues
+// one message per invoice, the queue worker invoices a single member, and the finalizer merges the
+// results into the usual run report once every member is done.
+const { memberKey, findRenewingMembers, getMemberTargets, findTargetedMembers, groupInvoiceBatches, processRenewalMember } = require('./renewal');
+const { issueDueInstallments } = require('./installments');
+const { loadTemplate } = require('../pdf/generator');
+const { sendReportEmail } = require('../utils/reporting');
+const { storeRenewalCoverage } = require('../utils/storage');
+const { getQueue } = require('../utils/queue');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Orchestrator (event.mode = "fanout"): finds the memberships renewing in this run's window
+ * and enqueues one message per invoice for exports.queueWorkerHandler. Payment plan installments
+ * are issued here, as in a single-Lambda run, and carried in the manifest for the report.
+ *
+ * @async
+ * @param {object} event - The Lambda event (dry_run, keep_draft, pdf_test_limit, full_test_limit, consolidate_invoices,
+ *                         catch_up_from, membership_ids, contact_ids, company_ids and regenerate_pdf as for a renewal run).
+ * @param {object} context - The Lambda context.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} [queue] - The queue adapter. Defaults to the one selected by RENEWAL_QUEUE_ADAPTER.
+ * @returns {Promise<object>} The Lambda response, with the run ID and the number of messages enqueued.
+ */
+const handleFanout = async (event, context, hsClient, queue = getQueue()) => {
+  const testLimit = event.pdf_test_limit;
+  const fullTestLimit = event.full_test_limit;
+  const targets = getMemberTargets(event);
+  const flags = {
+    dry_run   : event.dry_run === true,
+    keep_draft: event.keep_draft === true,
+    pdf_test  : Boolean(testLimit),            // PDFs only; nothing written to HubSpot
+    limited   : Boolean(testLimit || fullTestLimit || targets), // no installments, and the renewal coverage is left alone
+    regenerate_pdf: event.regenerate_pdf === true,
+  };
+  if (flags.regenerate_pdf && !targets) {
+    throw new Error('regenerate_pdf requires membership_ids, contact_ids or company_ids.');
+  }
+  const consolidate = event.consolidate_invoices !== undefined
+    ? event.consolidate_invoices === true
+    : config.CONSOLIDATE_COMPANY_INVOICES === 'true';
+
+  const runDate = new Date().toISOString().split('T')[0];
+  const runId = `${runDate}-${context.awsRequestId || Date.now()}`;
+  logger.info(`Starting fan-out run ${runId}`, { flags, consolidate });
+
+  const { templateHtml, logoBase64 } = loadTemplate();
+  const installmentResults = flags.limited
+    ? { processed: [], failed: [] }
+    : await issueDueInstallments(hsClient, { templateHtml, logoBase64, isDryRun: flags.dry_run, keepDraft: flags.keep_draft });
+
+  const { renewalWindow, coveredThrough, members, notFound = [] } = targets
+    ? await findTargetedMembers(hsClient, targets)
+    : await findRenewingMembers(hsClient, { catchUpFrom: event.catch_up_from, useCoverage: !flags.limited });
+  const limit = testLimit || fullTestLimit;
+  const invoiceBatches = groupInvoiceBatches(limit ? members.slice(0, limit) : members, consolidate);
+
+  // The manifest is saved before anything is enqueued, so a worker never finishes a member of an unknown run
+  const manifest = {
+    runId,
+    runDate,
+    flags,
+    renewalWindow,
+    coveredThrough,
+    installments: installmentResults,
+    notFound,
+    members: invoiceBatches.map(member => ({
+      key          : memberKey(member),
+      type         : member.type,
+      name         : member.type === 'Company' ? member.data.properties.name : `${member.data.properties.firstname} ${member.data.properties.lastname}`,
+      membershipIds: (member.memberships || [member.data]).map(membership => membership.id),
+    })),
+    createdAt: new Date().toISOString(),
+  };
+  await queue.saveManifest(manifest);
+
+  if (invoiceBatches.length === 0) {
+    logger.info('No memberships to enqueue; finalizing now.');
+    const summary = await finalizeRun(runId, { queue });
+    return { statusCode: 200, body: JSON.stringify({ message: 'No memberships to process.', runId, enqueued: 0, ...summary }) };
+  }
+
+  const enqueued = await queue.send(invoiceBatches.map(member => ({ runId, memberKey: memberKey(member), member, flags })));
+  logger.info(`Fan-out run ${runId}: enqueued ${enqueued} invoice(s) for ${members.length} membership(s).`);
+
+  return {
+    statusCode: 200,
+    body      : JSON.stringify({
+      message      : 'Members enqueued.',
+      runId,
+      enqueued,
+      installments : installmentResults.processed.length,
+      renewalWindow: renewalWindow
+        ? { from: new Date(renewalWindow.start).toISOString().slice(0, 10), to: coveredThrough, catchUpFrom: renewalWindow.catchUpFrom }
+        : undefined,
+      notFound     : notFound.length,
+    }),
+  };
+};
+
+/**
+ * Queue worker (exports.queueWorkerHandler): invoices the member in each SQS record and stores
+ * its outcome. A member that fails is a result like any other; only a record whose outcome could
+ * not be stored is returned in batchItemFailures for SQS to redeliver (the event source mapping
+ * needs ReportBatchItemFailures). The invocation that stores a run's last result finalizes it,
+ * once it has claimed the run: two workers completing it together must not both report.
+ *
+ * @async
+ * @param {object} event - The SQS event.
+ * @param {object} context - The Lambda context.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} [queue] - The queue adapter. Defaults to the one selected by RENEWAL_QUEUE_ADAPTER.
+ * @returns {Promise<{batchItemFailures: Array<{itemIdentifier: string}>}>} The records to redeliver.
+ */
+const handleQueueWorker = async (event, context, hsClient, queue = getQueue()) => {
+  const batchItemFailures = [];
+  const runIds = new Set();
+  let template;
+
+  for (const record of event.Records || []) {
+    try {
+      const { runId, memberKey: key, member, flags } = JSON.parse(record.body);
+      runIds.add(runId);
+
+      // SQS delivers at least once: a member with a stored outcome is not invoiced again
+      const storedResults = await queue.getResults(runId);
+      if (storedResults[key]) {
+        logger.info(`Run ${runId}: ${key} already has a result; skipping redelivered message ${record.messageId}.`);
+        continue;
+      }
+
+      template = template || loadTemplate();
+      const outcome = await processRenewalMember(hsClient, member, {
+        ...template,
+        isDryRun : flags.dry_run,
+        isPdfTest: flags.pdf_test,
+        keepDraft: flags.keep_draft,
+        regeneratePdf: flags.regenerate_pdf,
+      });
+      await queue.saveResult(runId, key, outcome);
+      logger.info(`Run ${runId}: ${key} done (${outcome.processed.length} invoiced, ${outcome.failed.length} failed, ${outcome.duplicates.length} skipped, ${outcome.needsReview.length} for review).`);
+    } catch (error) {
+      logger.error(`Queue record ${record.messageId} could not be processed:`, error);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  for (const runId of runIds) {
+    try {
+      const manifest = await queue.getManifest(runId);
+      if (!manifest || manifest.finalizedAt) continue;
+      const results = await queue.getResults(runId);
+      if (!manifest.members.every(member => results[member.key])) continue;
+      if (!await queue.claimFinalization(runId)) {
+        logger.info(`Run ${runId} is complete and another worker is finalizing it.`);
+        continue;
+      }
+      await finalizeRun(runId, { queue });
+    } catch (error) {
+      // Every member's outcome is stored; the run can be finalized with mode "finalize"
+      logger.error(`Run ${runId} could not be finalized:`, error);
+    }
+  }
+
+  return { batchItemFailures };
+};
+
+/**
+ * Finalizer: merges a fan-out run's member outcomes, in manifest order and after its installments,
+ * into one report, and advances the renewal coverage when every member was invoiced (or already
+ * had been). Members without an outcome are reported as failed, and the coverage is left alone.
+ * Called by the worker that completes a run, or directly with mode "finalize" and run_id.
+ *
+ * @async
+ * @param {string} runId - The run ID.
+ * @param {object} [options]
+ * @param {object} [options.queue] - The queue adapter. Defaults to the one selected by RENEWAL_QUEUE_ADAPTER.
+ * @param {boolean} [options.force] - Report again even if the run was already finalized.
+ * @returns {Promise<object>} The run summary (counts, reportUrl, complete).
+ * @throws {Error} If the run has no manifest.
+ */
+const finalizeRun = async (runId, { queue = getQueue(), force = false } = {}) => {
+  const manifest = await queue.getManifest(runId);
+  if (!manifest) {
+    throw new Error(`No fan-out run found with ID ${runId}.`);
+  }
+  if (manifest.finalizedAt && !force) {
+    logger.info(`Run ${runId} was already finalized at ${manifest.finalizedAt}; report ${manifest.reportUrl}`);
+    return { alreadyFinalized: true, reportUrl: manifest.reportUrl };
+  }
+
+  const results = await queue.getResults(runId);
+  const processedInvoices = [...manifest.installments.processed];
+  // IDs a targeted run could not find are failures too (manifests of older runs have none)
+  const failedInvoices    = [...manifest.installments.failed, ...(manifest.notFound || [])];
+  const duplicateInvoices = [];
+  const needsReview       = [];
+  let missing = 0;
+
+  for (const member of manifest.members) {
+    const outcome = results[member.key];
+    if (!outcome) {
+      missing++;
+      member.membershipIds.forEach(id => failedInvoices.push({ name: member.name, id, reason: 'No result from worker' }));
+      continue;
+    }
+    processedInvoices.push(...outcome.processed);
+    failedInvoices.push(...outcome.failed);
+    duplicateInvoices.push(...outcome.duplicates);
+    needsReview.push(...outcome.needsReview);
+  }
+  if (missing > 0) {
+    logger.warn(`Run ${runId}: ${missing} of ${manifest.members.length} member(s) have no result yet.`);
+  }
+
+  const reportData = {
+    date                   : new Date().toISOString(),
+    totalMembershipsProcessed: manifest.members.reduce((total, member) => total + member.membershipIds.length, 0),
+    successfulInvoices     : processedInvoices.length,
+    failedInvoices         : failedInvoices.length,
+    invoices               : processedInvoices,
+    failures               : failedInvoices,
+    duplicates             : duplicateInvoices,
+    needsReview            : needsReview,
+    renewalWindow          : manifest.renewalWindow,
+  };
+
+  const reportUrl = await queue.storeReport(reportData);
+  logger.info(`Fan-out run ${runId} report stored at: ${reportUrl}`);
+  if (config.ENABLE_REPORT_EMAIL === 'true') {
+    await sendReportEmail(reportUrl, reportData);
+  }
+
+  // As in a single-Lambda run: advance coverage only when every member in the window was dealt with
+  const { flags } = manifest;
+  const renewalFailures = failedInvoices.length - manifest.installments.failed.length;
+  if (!flags.dry_run && !flags.limited && renewalFailures === 0 && needsReview.length === 0) {
+    await storeRenewalCoverage(manifest.coveredThrough, manifest.runDate);
+  } else if (!flags.dry_run && !flags.limited) {
+    logger.warn(`Renewal coverage not advanced (${renewalFailures} failed, ${needsReview.length} need review); the next run will catch up.`);
+  }
+
+  const complete = missing === 0;
+  await queue.saveManifest({ ...manifest, finalizedAt: complete ? new Date().toISOString() : undefined, reportUrl });
+
+  return {
+    processed  : processedInvoices.length,
+    failed     : failedInvoices.length,
+    skipped    : duplicateInvoices.length,
+    needsReview: needsReview.length,
+    complete,
+    reportUrl,
+  };
+};
+
+module.exports = {
+  handleFanout,
+  handleQueueWorker,
+  finalizeRun,
+};
@@ -0,0 +1,136 @@
+// Payment Plan Installments
+// Invoices the later installments of active payment plans as their due dates approach.
+const { createInvoice, updateInvoice, getInvoicePaymentLink, buildIdempotencyKey } = require('../hubspot/invoices');
+const { buildInstallmentLineItem, getDueInstallments } = require('../pricing/paymentPlans');
+const { storePdfInvoice, storePaymentPlan, getActivePaymentPlans } = require('../utils/storage');
+const { populateTemplate, generatePdf, generateQRCode } = require('../pdf/generator');
+const { buildInvoicePdfData, buildPdfS3Key } = require('../pdf/invoiceData');
+const logger = require('../utils/logger');
+
+/**
+ * Issues every installment of an active payment plan that is due within
+ * PAYMENT_PLAN_ISSUE_DAYS_BEFORE_DUE days. The first installment is invoiced by the
+ * renewal run itself (see handlers/renewal.js); this picks up the rest on later runs.
+ *
+ * Plan state is written back after each installment so an interrupted run never
+ * invoices the same installment twice.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} options
+ * @param {string} options.templateHtml - The invoice HTML template.
+ * @param {string} options.logoBase64 - The base64 logo.
+ * @param {boolean} [options.isDryRun] - Log the installments that would be issued without writing anything.
+ * @param {boolean} [options.keepDraft] - Leave installment invoices in draft status.
+ * @param {string} [options.asOfDate] - The run date (YYYY-MM-DD). Defaults to today.
+ * @returns {Promise<{processed: Array<object>, failed: Array<object>}>} Report entries for issued and failed installments.
+ */
+const issueDueInstallments = async (hsClient, { templateHtml, logoBase64, isDryRun = false, keepDraft = false, asOfDate }) => {
+  const processed = [];
+  const failed = [];
+
+  const plans = await getActivePaymentPlans();
+
+  for (const plan of plans) {
+    const memberInfo = plan.member;
+
+    for (const installment of getDueInstallments(plan, asOfDate)) {
+      const label = `installment ${installment.number} of ${plan.installmentCount} for ${memberInfo.name} (membership ${plan.membershipId})`;
+
+      try {
+        const lineItem = buildInstallmentLineItem(installment, plan.installmentCount, plan.totalPrice, plan.currency);
+        const priceResult = {
+          lineItems: [lineItem],
+          subtotal: installment.amount,
+          // Tax was included when the dues were split into installments
+          taxAmount: null,
+          totalPrice: installment.amount,
+          currency: plan.currency,
+          details: {},
+        };
+
+        if (isDryRun) {
+          logger.info(`[DRY RUN] Would invoice ${label}: ${logger.formatCurrency(installment.amount, plan.currency)} due ${installment.dueDate}`);
+          continue;
+        }
+
+        logger.info(`Invoicing ${label}`);
+        const createdInvoice = await createInvoice(hsClient, {
+          contactId    : memberInfo.contactId,
+          companyId    : memberInfo.companyId,
+          invoiceAmount: installment.amount,
+          lineItems    : priceResult.lineItems,
+          pdfLink      : '',
+          keepDraft    : keepDraft,
+          dueDate      : installment.dueDate,
+          currency     : plan.currency,
+          idempotencyKey: buildIdempotencyKey('installment', [plan.membershipId], installment.dueDate, `${installment.number}-of-${plan.installmentCount}`),
+          metadata     : {
+            // Every installment bills the term that started with the first installment
+            billingPeriod   : plan.firstDueDate,
+            membershipIds   : [plan.membershipId],
+            priceBookVersion: plan.priceBookVersion,
+            kind            : 'installment',
+          },
+        });
+
+        const paymentLink = await getInvoicePaymentLink(hsClient, createdInvoice.id);
+        const qrCodeDataUrl = paymentLink ? await generateQRCode(paymentLink) : null;
+
+        const pdfData = buildInvoicePdfData({
+          memberInfo,
+          priceResult,
+          dueDate: installment.dueDate,
+          logoBase64,
+          paymentLink,
+          qrCodeDataUrl,
+        });
+        const pdfBuffer = await generatePdf(populateTemplate(templateHtml, pdfData));
+        const pdfLink = await storePdfInvoice(pdfBuffer, buildPdfS3Key(memberInfo, `Installment-${installment.number}`));
+
+        let invoiceMetadataError;
+        try {
+          await updateInvoice(hsClient, createdInvoice.id, { pdfLink, invoiceNumber: pdfData.invoice_number });
+        } catch (error) {
+          logger.error(`Invoice ${createdInvoice.id} was created, but its PDF link was not saved:`, error.message);
+          invoiceMetadataError = error.message;
+        }
+
+        installment.invoiceId = createdInvoice.id;
+        installment.pdfLink = pdfLink;
+        installment.issuedAt = new Date().toISOString();
+        await storePaymentPlan(plan);
+
+        processed.push({
+          name        : memberInfo.name,
+          id          : plan.membershipId,
+          type        : `${memberInfo.type} Installment ${installment.number}/${plan.installmentCount}`,
+          invoiceId   : createdInvoice.id,
+          invoiceAmount: installment.amount,
+          currency    : plan.currency,
+          pdfLink,
+          paymentLink,
+          invoiceMetadataError,
+          pricingDetails: {
+            paymentPlan: {
+              installment: installment.number,
+              installmentCount: plan.installmentCount,
+              dueDate: installment.dueDate,
+              totalPrice: plan.totalPrice,
+            },
+          },
+        });
+      } catch (error) {
+        logger.error(`Failed to invoice ${label}:`, error);
+        failed.push({ name: memberInfo.name, id: plan.membershipId, reason: `Installment ${installment.number}: ${error.message}` });
+        // Later installments wait until this one has been issued
+        break;
+      }
+    }
+  }
+
+  logger.info(`Payment plans: ${processed.length} installment(s) issued, ${failed.length} failed.`);
+  return { processed, failed };
+};
+
+module.exports = { issueDueInstallments };
@@ -0,0 +1,283 @@
+// Overdue Invoice Handler
+// Assesses late fees on open invoices past their due date and re-issues their PDFs
+// with an OVERDUE banner.
+const { getApiStats } = require('../hubspot/client');
+const {
+  createInvoice,
+  addLineItemsToInvoice,
+  findOverdueInvoices,
+  getInvoiceAssociations,
+  getInvoiceLineItems,
+  getPaymentInvoiceById,
+  recordLateFeeAssessment,
+  updateInvoice,
+  getInvoicePaymentLink,
+  buildIdempotencyKey,
+  toDateKey,
+  daysBetween,
+} = require('../hubspot/invoices');
+const { calculateLateFee, getLateFeePolicy, describeLateFeePolicy } = require('../pricing/lateFees');
+const { generateAndStoreReport, sendReportEmail } = require('../utils/reporting');
+const { storePdfInvoice } = require('../utils/storage');
+const { loadTemplate, populateTemplate, generatePdf, generateQRCode } = require('../pdf/generator');
+const { buildInvoicePdfData, buildPdfS3Key, buildMemberInfo } = require('../pdf/invoiceData');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Name of the line item a late fee is billed as; LATE_FEE_METHOD "line_item" counts these to
+// tell whether an assessment's fee is already on the invoice
+const LATE_FEE_LINE_NAME = 'Late Fee';
+
+/**
+ * Handles a `mode: "overdue"` event.
+ *
+ * Finds open renewal, installment and proration invoices past their due date, applies the late-fee policy from config
+ * (see pricing/lateFees.js), then either issues a follow-up invoice for the fee
+ * (LATE_FEE_METHOD "followup") or adds it to the overdue invoice ("line_item").
+ * The assessment is recorded on the invoice as soon as the fee is billed, so later runs respect
+ * the repeat interval and cap even if the rest fails. With "line_item", a percentage fee is charged
+ * on the balance excluding earlier late fees, and a fee line left by an assessment that was never
+ * recorded is recorded rather than added again. Each assessed invoice's PDF is then regenerated
+ * with an OVERDUE banner; it shows the fee only when the fee was added to that invoice.
+ *
+ * @param {object} event - The Lambda event.
+ * @param {string} [event.as_of_date] - The assessment date (YYYY-MM-DD). Defaults to today.
+ * @param {boolean} [event.dry_run] - Calculate and render only; write nothing to HubSpot or S3.
+ * @param {boolean} [event.keep_draft] - Leave follow-up invoices in draft status.
+ * @param {object} context - The Lambda context.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @returns {Promise<object>} The Lambda response.
+ */
+const handleOverdue = async (event, context, hsClient) => {
+  const isDryRun = event.dry_run === true;
+  const keepDraft = event.keep_draft === true;
+  const asOfDate = event.as_of_date || new Date().toISOString().slice(0, 10);
+  const method = config.LATE_FEE_METHOD === 'line_item' ? 'line_item' : 'followup';
+  const policy = getLateFeePolicy();
+
+  logger.info(`Assessing late fees as of ${asOfDate}`, { policy, method, isDryRun, keepDraft });
+
+  // Invoices still inside the grace period cannot be assessed, so don't fetch them
+  const cutoffDate = new Date(Date.parse(asOfDate) - policy.graceDays * DAY_MS).toISOString().slice(0, 10);
+  const overdueInvoices = await findOverdueInvoices(hsClient, cutoffDate);
+
+  const { templateHtml, logoBase64 } = loadTemplate();
+  const assessed = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const invoice of overdueInvoices) {
+    const props = invoice.properties;
+    const invoiceNumber = props.hs_number || invoice.id;
+    const currency = props.hs_currency || config.INVOICE_CURRENCY;
+
+    if (context.getRemainingTimeInMillis() < 30000) {
+      logger.warn(`TIMEOUT WARNING: stopping late-fee assessment with ${overdueInvoices.length - assessed.length - skipped.length - failed.length} invoice(s) left.`);
+      break;
+    }
+
+    let feeRecorded = false;
+    try {
+      const balanceDue = Number(props.hs_balance_due !== undefined && props.hs_balance_due !== null ? props.hs_balance_due : props.hs_amount_billed) || 0;
+      const previousLateFees = Number(props[config.HUBSPOT_INVOICE_LATE_FEE_TOTAL_PROPERTY]) || 0;
+      // Invoices assessed before the count was recorded have had at least one assessment
+      const previousAssessments = Number(props[config.HUBSPOT_INVOICE_LATE_FEE_COUNT_PROPERTY]) || (props[config.HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY] ? 1 : 0);
+      const dueDate = toDateKey(props.hs_due_date);
+
+      // With line_item the balance includes earlier fees, and may include one added by an
+      // assessment that failed before it was recorded: that fee is recorded, not added again
+      const invoiceItems = method === 'line_item' ? await getInvoiceLineItems(hsClient, invoice.id) : null;
+      const lateFeeLines = (invoiceItems || []).filter(li => li.name === LATE_FEE_LINE_NAME);
+      const unrecordedFee = lateFeeLines.length > previousAssessments ? lateFeeLines[lateFeeLines.length - 1] : null;
+      const feeBase = method === 'line_item'
+        ? Math.max(0, Math.round((balanceDue - previousLateFees - (unrecordedFee ? unrecordedFee.price : 0)) * 100) / 100)
+        : balanceDue;
+
+      let assessment;
+      if (unrecordedFee) {
+        logger.warn(`Invoice ${invoiceNumber} already has the fee for late fee assessment ${previousAssessments + 1}; recording it instead of adding another.`);
+        assessment = { fee: unrecordedFee.price, daysOverdue: daysBetween(dueDate, asOfDate), reason: 'assessed', policy };
+      } else {
+        assessment = calculateLateFee({
+          balanceDue: feeBase,
+          dueDate: props.hs_due_date,
+          lateFeeTotal: previousLateFees,
+          lastAssessed: props[config.HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY],
+          currency,
+        }, asOfDate, policy);
+      }
+
+      if (assessment.fee <= 0) {
+        logger.info(`No late fee for invoice ${invoiceNumber}: ${assessment.reason}`);
+        skipped.push({ name: `Invoice ${invoiceNumber}`, id: invoice.id, reason: assessment.reason });
+        continue;
+      }
+
+      const associations = await getInvoiceAssociations(hsClient, invoice.id);
+      if (!associations.contactId) {
+        throw new Error(`Invoice ${invoiceNumber} has no associated contact.`);
+      }
+      const memberInfo = await buildMemberInfo(hsClient, associations);
+
+      const lateFeeItem = unrecordedFee || {
+        name: LATE_FEE_LINE_NAME,
+        quantity: 1,
+        price: assessment.fee,
+        description: `${describeLateFeePolicy(policy, feeBase, currency)} on invoice ${invoiceNumber}, ${assessment.daysOverdue} days past due (due ${dueDate}).`,
+        billing_frequency: 'One-Time',
+        isLateFee: true,
+      };
+
+      //-------------------------------------------------------------------
+      // Assess the fee in HubSpot
+      //-------------------------------------------------------------------
+      let feeInvoiceId = invoice.id;
+      let feeInvoiceNumber;
+      if (isDryRun) {
+        logger.info(`[DRY RUN] Would ${method === 'followup' ? 'issue a follow-up invoice for' : 'add'} a ${logger.formatCurrency(assessment.fee, currency)} late fee on invoice ${invoiceNumber}`);
+        if (method === 'followup') feeInvoiceId = 'fake-invoice-id-test-run';
+      } else if (method === 'followup') {
+        const followUp = await createInvoice(hsClient, {
+          contactId    : memberInfo.contactId,
+          companyId    : memberInfo.companyId,
+          invoiceAmount: assessment.fee,
+          lineItems    : [lateFeeItem],
+          pdfLink      : '',
+          keepDraft    : keepDraft,
+          paidThroughDate: null,
+          currency,
+          // One follow-up per assessment, however many days a failed assessment is retried over
+          idempotencyKey: buildIdempotencyKey('late-fee', [invoice.id], dueDate, `assessment-${previousAssessments + 1}`),
+          // Tagged so the follow-up is never itself assessed a late fee
+          metadata     : { kind: 'late_fee' },
+        });
+        feeInvoiceId = followUp.id;
+        // The banner names the follow-up by the number the member sees, which a new draft may not carry yet
+        const followUpProps = followUp.properties && followUp.properties.hs_number
+          ? followUp.properties
+          : (await getPaymentInvoiceById(hsClient, followUp.id)).properties;
+        feeInvoiceNumber = followUpProps[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || followUpProps.hs_number;
+      } else if (!unrecordedFee) {
+        await addLineItemsToInvoice(hsClient, invoice.id, [lateFeeItem]);
+      }
+      const lateFeeTotal = Math.round((previousLateFees + assessment.fee) * 100) / 100;
+      if (!isDryRun) {
+        await recordLateFeeAssessment(hsClient, invoice.id, {
+          lateFeeTotal,
+          assessedOn: asOfDate,
+          assessmentCount: previousAssessments + 1,
+        });
+        feeRecorded = true;
+      }
+
+      //-------------------------------------------------------------------
+      // Regenerate the overdue invoice PDF with the banner, and the fee when it was added to it
+      //-------------------------------------------------------------------
+      // A follow-up fee is billed (and paid) on its own invoice, so the original shows only its own lines
+      const lineItems = method === 'line_item'
+        ? (unrecordedFee ? invoiceItems : [...invoiceItems, lateFeeItem])
+        : await getInvoiceLineItems(hsClient, invoice.id);
+      const pdfBalanceDue = method === 'line_item' && !unrecordedFee
+        ? Math.round((balanceDue + assessment.fee) * 100) / 100
+        : balanceDue;
+      const total = Math.round(lineItems.reduce((sum, li) => sum + li.price * li.quantity, 0) * 100) / 100;
+
+      const paymentLink = isDryRun
+        ? 'https://app.hubspot.com/contacts/12345/objects/2-18/invoice/67890'
+        : await getInvoicePaymentLink(hsClient, invoice.id);
+      const qrCodeDataUrl = paymentLink ? await generateQRCode(paymentLink) : null;
+
+      const banner = method === 'followup'
+        ? `Overdue — ${assessment.daysOverdue} days past due. Late fee billed separately${feeInvoiceNumber ? ` on invoice ${feeInvoiceNumber}` : ''}.`
+        : `Overdue — ${assessment.daysOverdue} days past due`;
+
+      const pdfData = buildInvoicePdfData({
+        memberInfo,
+        priceResult: { lineItems, subtotal: total, taxAmount: null, totalPrice: total, currency, details: {} },
+        dueDate,
+        logoBase64,
+        paymentLink,
+        qrCodeDataUrl,
+        invoiceNumber,
+        balanceDue: pdfBalanceDue,
+        banner,
+      });
+      const pdfBuffer = await generatePdf(populateTemplate(templateHtml, pdfData));
+
+      const pdfS3Key = buildPdfS3Key(memberInfo, 'Overdue');
+      let pdfLink;
+      if (isDryRun) {
+        logger.info(`[DRY RUN] Would store PDF in S3 at ${pdfS3Key}`);
+        pdfLink = `s3://fake-bucket-for-dry-run/${pdfS3Key}`;
+      } else {
+        pdfLink = await storePdfInvoice(pdfBuffer, pdfS3Key);
+        await updateInvoice(hsClient, invoice.id, { pdfLink });
+      }
+
+      assessed.push({
+        name        : memberInfo.name,
+        id          : invoice.id,
+        type        : method === 'followup' ? 'Late Fee (follow-up invoice)' : 'Late Fee (added to invoice)',
+        invoiceId   : feeInvoiceId,
+        invoiceAmount: assessment.fee,
+        currency,
+        pdfLink,
+        paymentLink,
+        pricingDetails: {
+          lateFee: {
+            invoiceNumber,
+            dueDate,
+            daysOverdue: assessment.daysOverdue,
+            balanceDue,
+            fee: assessment.fee,
+            lateFeeTotal,
+            method,
+          },
+        },
+      });
+    } catch (invoiceError) {
+      logger.error(`Failed to assess late fee on invoice ${invoiceNumber}:`, invoiceError);
+      failed.push({
+        name  : `Invoice ${invoiceNumber}`,
+        id    : invoice.id,
+        // The fee stays billed and recorded; only the overdue PDF is missing
+        reason: feeRecorded ? `Late fee assessed, but the overdue PDF was not re-issued: ${invoiceError.message}` : invoiceError.message,
+      });
+    }
+  }
+
+  const reportData = {
+    date                   : new Date().toISOString(),
+    totalMembershipsProcessed: overdueInvoices.length,
+    successfulInvoices     : assessed.length,
+    failedInvoices         : failed.length,
+    invoices               : assessed,
+    failures               : failed,
+    skipped,
+    apiStats               : getApiStats(),
+  };
+
+  const reportUrl = await generateAndStoreReport(reportData);
+  logger.info(`Report stored at: ${reportUrl}`);
+
+  if (config.ENABLE_REPORT_EMAIL === 'true') {
+    await sendReportEmail(reportUrl, reportData);
+  }
+
+  return {
+    statusCode: 200,
+    body      : JSON.stringify({
+      message : 'Overdue processing complete.',
+      asOfDate,
+      overdue : overdueInvoices.length,
+      assessed: assessed.length,
+      skipped : skipped.length,
+      failed  : failed.length,
+      reportUrl,
+    }),
+  };
+};
+
+module.exports = { handleOverdue };
@@ -0,0 +1,219 @@
+// Proration Invoice Handler
+// Invoices a single company membership for a mid-cycle change (added territories,
+// higher manufacturer tier) for the rest of its current term.
+const crypto = require('crypto');
+const { getApiStats } = require('../hubspot/client');
+const { getCompanyMembershipById } = require('../hubspot/companies');
+const { resolveBillingContact } = require('../hubspot/contacts');
+const { createInvoice, updateInvoice, updateCompanyMembershipDues, getInvoicePaymentLink, calculateDueDate, buildIdempotencyKey } = require('../hubspot/invoices');
+const { calculatePrice } = require('../pricing/engine');
+const { calculateProratedPrice } = require('../pricing/proration');
+const { generateAndStoreReport, sendReportEmail } = require('../utils/reporting');
+const { storePdfInvoice } = require('../utils/storage');
+const { loadTemplate, populateTemplate, generatePdf, generateQRCode } = require('../pdf/generator');
+const { buildInvoicePdfData, buildPdfS3Key } = require('../pdf/invoiceData');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Short, order-independent fingerprint of a change's previous property values, so that two
+ * different changes to a membership on the same day get different idempotency keys.
+ *
+ * @param {object} previousValues - Membership property values before the change.
+ * @returns {string} The first 12 hex characters of the values' SHA-1.
+ */
+const hashPreviousValues = (previousValues) => {
+  const entries = Object.keys(previousValues).sort().map(key => [key, previousValues[key]]);
+  return crypto.createHash('sha1').update(JSON.stringify(entries)).digest('hex').slice(0, 12);
+};
+
+/**
+ * Handles a `mode: "prorate"` event.
+ *
+ * The membership's current HubSpot properties describe the configuration after the change;
+ * `previous_properties` lists only the values that were different before it, for example
+ * `{ "distributor_us_states": "Illinois;Ohio" }` when territories were added, or the old membership level.
+ *
+ * @param {object} event - The Lambda event.
+ * @param {string} event.membership_id - The company membership record ID.
+ * @param {object} event.previous_properties - Membership property values before the change.
+ * @param {string} [event.effective_date] - Date the change takes effect (YYYY-MM-DD). Defaults to today.
+ * @param {boolean} [event.dry_run] - Calculate and render only; write nothing to HubSpot or S3.
+ * @param {boolean} [event.keep_draft] - Leave the HubSpot invoice in draft status.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @returns {Promise<object>} The Lambda response.
+ */
+const handleProration = async (event, hsClient) => {
+  const isDryRun = event.dry_run === true;
+  const keepDraft = event.keep_draft === true;
+  const { membership_id: membershipId, previous_properties: previousValues, effective_date: asOfDate } = event;
+
+  if (!membershipId) {
+    throw new Error('Proration requires event.membership_id.');
+  }
+  if (!previousValues || typeof previousValues !== 'object' || Object.keys(previousValues).length === 0) {
+    throw new Error('Proration requires event.previous_properties with the membership values before the change.');
+  }
+
+  logger.info(`Prorating membership ${membershipId}`, { previousValues, asOfDate, isDryRun, keepDraft });
+
+  const membership = await getCompanyMembershipById(hsClient, membershipId);
+  if (!membership) {
+    throw new Error(`Company membership ${membershipId} not found or has no associated company.`);
+  }
+
+  const memberInfo = {
+    type:       'Company',
+    id:         membership.id,
+    name:       membership.properties.name,
+    companyId:  membership.companyId,
+    properties: membership.properties,
+  };
+
+  const billingContact = await resolveBillingContact(hsClient, memberInfo.companyId, memberInfo.properties);
+  if (!billingContact.contact) throw new Error(`Billing contact needs review for company ${memberInfo.companyId}: ${billingContact.reason}`);
+
+  memberInfo.contactId          = billingContact.contact.id;
+  memberInfo.contactName        = `${billingContact.contact.properties.firstname} ${billingContact.contact.properties.lastname}`;
+  memberInfo.contactProperties  = billingContact.contact.properties;
+  memberInfo.billingContactRule = billingContact.rule;
+
+  const membershipType = memberInfo.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY];
+  const paidThroughDate = memberInfo.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY];
+  const previousProperties = { ...memberInfo.properties, ...previousValues };
+
+  const priceResult = calculateProratedPrice(membershipType, previousProperties, memberInfo.properties, {
+    paidThroughDate,
+    ...(asOfDate ? { asOfDate } : {}),
+  });
+
+  const processedInvoices = [];
+  const failedInvoices = [];
+
+  if (priceResult.lineItems.length === 0) {
+    logger.warn(`No prorated charge for ${memberInfo.name}: the change does not increase the membership price.`);
+    failedInvoices.push({ name: memberInfo.name, id: memberInfo.id, reason: 'No prorated charge (no price increase)' });
+  } else {
+    logger.info(`Prorated amount for ${memberInfo.name}: ${logger.formatCurrency(priceResult.totalPrice, priceResult.currency)} (${priceResult.details.proration.label})`);
+
+    let createdInvoice;
+    let paymentLink;
+    if (isDryRun) {
+      logger.info(`[DRY RUN] Would create prorated HubSpot Invoice for ${memberInfo.name}`);
+      createdInvoice = { id: 'fake-invoice-id-test-run' };
+      paymentLink = 'https://app.hubspot.com/contacts/12345/objects/2-18/invoice/67890';
+    } else {
+      // Proration invoices use the standard INVOICE_DUE_DAYS terms rather than the renewal date
+      createdInvoice = await createInvoice(hsClient, {
+        contactId    : memberInfo.contactId,
+        companyId    : memberInfo.companyId,
+        invoiceAmount: priceResult.totalPrice,
+        lineItems    : priceResult.lineItems,
+        pdfLink      : '',
+        keepDraft    : keepDraft,
+        paidThroughDate: null,
+        currency     : priceResult.currency,
+        // The same change (membership, effective date and previous values) is only invoiced once
+        idempotencyKey: buildIdempotencyKey('proration', [membershipId], asOfDate || new Date().toISOString().slice(0, 10), hashPreviousValues(previousValues)),
+        metadata     : {
+          // The proration bills the rest of the current term
+          billingPeriod   : paidThroughDate ? calculateDueDate(paidThroughDate) : undefined,
+          membershipIds   : [memberInfo.id],
+          priceBookVersion: priceResult.details.priceBookVersion,
+          kind            : 'proration',
+        },
+      });
+      paymentLink = await getInvoicePaymentLink(hsClient, createdInvoice.id);
+      if (!paymentLink) {
+        logger.warn(`No payment link available for invoice ${createdInvoice.id}`);
+      }
+    }
+    const qrCodeDataUrl = paymentLink ? await generateQRCode(paymentLink) : null;
+
+    const { templateHtml, logoBase64 } = loadTemplate();
+    const pdfData = buildInvoicePdfData({
+      memberInfo,
+      priceResult,
+      paidThroughDate: null,
+      logoBase64,
+      paymentLink,
+      qrCodeDataUrl,
+    });
+    const pdfBuffer = await generatePdf(populateTemplate(templateHtml, pdfData));
+
+    const pdfS3Key = buildPdfS3Key(memberInfo, 'Proration');
+    let pdfLink;
+    if (isDryRun) {
+      logger.info(`[DRY RUN] Would store PDF in S3 at ${pdfS3Key}`);
+      pdfLink = `s3://fake-bucket-for-dry-run/${pdfS3Key}`;
+    } else {
+      pdfLink = await storePdfInvoice(pdfBuffer, pdfS3Key);
+    }
+    logger.info(`PDF stored at: ${pdfLink}`);
+
+    let invoiceMetadataError;
+    if (!isDryRun) {
+      try {
+        await updateInvoice(hsClient, createdInvoice.id, { pdfLink, invoiceNumber: pdfData.invoice_number });
+      } catch (error) {
+        logger.error(`Invoice ${createdInvoice.id} was created, but its PDF link was not saved:`, error.message);
+        invoiceMetadataError = error.message;
+      }
+    }
+
+    // Dues reflect the new configuration's full-year price for the next renewal
+    const renewalPrice = calculatePrice(membershipType, memberInfo.properties, { paidThroughDate });
+    if (isDryRun) {
+      logger.info(`[DRY RUN] Would update dues for Company ${memberInfo.companyId} to ${logger.formatCurrency(renewalPrice.subtotal, renewalPrice.currency)}`);
+    } else {
+      await updateCompanyMembershipDues(hsClient, memberInfo.companyId, renewalPrice.subtotal);
+    }
+
+    processedInvoices.push({
+      name        : memberInfo.name,
+      id          : memberInfo.id,
+      type        : 'Company (Proration)',
+      invoiceId   : createdInvoice.id,
+      invoiceAmount: priceResult.totalPrice,
+      currency    : priceResult.currency,
+      pdfLink     : pdfLink,
+      paymentLink : paymentLink,
+      priceBookVersion: priceResult.details.priceBookVersion,
+      pricingDate : priceResult.details.pricingDate,
+      pricingDetails: priceResult.details,
+      billingContact: { id: memberInfo.contactId, rule: memberInfo.billingContactRule },
+      invoiceMetadataError,
+    });
+  }
+
+  const reportData = {
+    date                   : new Date().toISOString(),
+    totalMembershipsProcessed: 1,
+    successfulInvoices     : processedInvoices.length,
+    failedInvoices         : failedInvoices.length,
+    invoices               : processedInvoices,
+    failures               : failedInvoices,
+    apiStats               : getApiStats(),
+  };
+
+  const reportUrl = await generateAndStoreReport(reportData);
+  logger.info(`Report stored at: ${reportUrl}`);
+
+  if (config.ENABLE_REPORT_EMAIL === 'true') {
+    await sendReportEmail(reportUrl, reportData);
+  }
+
+  return {
+    statusCode: 200,
+    body      : JSON.stringify({
+      message : 'Proration complete.',
+      membershipId,
+      invoiceId: processedInvoices.length > 0 ? processedInvoices[0].invoiceId : null,
+      amount  : priceResult.totalPrice,
+      proration: priceResult.details.proration,
+      reportUrl,
+    }),
+  };
+};
+
+module.exports = { handleProration };
@@ -0,0 +1,291 @@
+// Payment Reconciliation Handler
+// Moves members' renewal dates on by one term once their renewal invoices are paid.
+const config = require('../config');
+const { getApiStats } = require('../hubspot/client');
+const { getMembershipsByIds, updateMembershipRenewal } = require('../hubspot/companies');
+const { getIndividualMembershipById, updateIndividualPaidThroughDate } = require('../hubspot/contacts');
+const {
+  findPaidUnreconciledInvoices,
+  getInvoiceAssociations,
+  getPaymentInvoiceById,
+  recordReconciliation,
+  toDateKey,
+} = require('../hubspot/invoices');
+const { addMonths } = require('../pricing/paymentPlans');
+const { generateAndStoreReport, sendReportEmail } = require('../utils/reporting');
+const { getPaymentPlan } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+/**
+ * Loads the records a paid invoice renews: its membership records (HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY),
+ * or, for an individual member's invoice, the associated contact.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} invoice - The paid invoice.
+ * @returns {Promise<Array<{type: string, id: string, name: string, renewalDate: string|null, status: string|null}>>}
+ */
+const getRenewedRecords = async (hsClient, invoice) => {
+  const membershipIds = String(invoice.properties[config.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY] || '')
+    .split(';')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (membershipIds.length > 0) {
+    const memberships = await getMembershipsByIds(hsClient, membershipIds);
+    return membershipIds.map(id => {
+      const membership = memberships.get(id);
+      if (!membership) {
+        throw new Error(`Membership record ${id} could not be read.`);
+      }
+      return {
+        type       : 'Membership',
+        id,
+        name       : membership.properties.company_membership_name || `Membership ${id}`,
+        renewalDate: toDateKey(membership.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY]),
+        status     : membership.properties[config.HUBSPOT_MEMBERSHIP_STATUS_PROPERTY] || null,
+      };
+    });
+  }
+
+  const { contactId } = await getInvoiceAssociations(hsClient, invoice.id);
+  if (!contactId) {
+    throw new Error('Invoice has no membership records and no associated contact.');
+  }
+  const contact = await getIndividualMembershipById(hsClient, contactId);
+  return [{
+    type       : 'Individual',
+    id         : contactId,
+    name       : `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim() || `Contact ${contactId}`,
+    renewalDate: toDateKey(contact.properties[config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY]),
+    status     : null,
+  }];
+};
+
+/**
+ * Lists the installments of an installment invoice's payment plan that are not paid yet.
+ * The invoice itself counts as paid.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} invoice - The paid installment invoice.
+ * @param {string} billingPeriod - The invoice's billing period, which is the plan's first due date.
+ * @returns {Promise<{installmentCount: number, outstanding: Array<number>}>} The plan size and the unpaid installment numbers.
+ * @throws {Error} If the invoice's payment plan cannot be found.
+ */
+const getOutstandingInstallments = async (hsClient, invoice, billingPeriod) => {
+  const membershipId = String(invoice.properties[config.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY] || '').split(';')[0].trim();
+  const plan = membershipId ? await getPaymentPlan(membershipId, billingPeriod) : null;
+  if (!plan) {
+    throw new Error(`No payment plan found for membership ${membershipId || '(none)'} starting ${billingPeriod}; cannot tell whether every installment is paid.`);
+  }
+
+  const outstanding = [];
+  for (const installment of plan.installments) {
+    if (String(installment.invoiceId) === String(invoice.id)) continue;
+    // Not issued yet, or issued and not paid
+    const status = installment.invoiceId
+      ? (await getPaymentInvoiceById(hsClient, installment.invoiceId)).properties.hs_invoice_status
+      : null;
+    if (status !== 'paid') outstanding.push(installment.number);
+  }
+  return { installmentCount: plan.installmentCount, outstanding };
+};
+
+/**
+ * Advances the records a paid invoice renews, then marks the invoice reconciled.
+ * The new date is the invoice's billing period plus MEMBERSHIP_TERM_MONTHS; records
+ * already renewed past the billing period are left alone. A payment plan renews the member
+ * only once every installment is paid: an installment paid before then is marked reconciled
+ * without changing any record, and the last one paid renews the member for the full term.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} invoice - The paid invoice (with the properties from getPaymentInvoiceById).
+ * @param {object} options
+ * @param {string} options.asOfDate - The reconciliation date recorded on the invoice (YYYY-MM-DD).
+ * @param {boolean} [options.isDryRun] - Log the changes without writing anything.
+ * @returns {Promise<{invoiceNumber: string, billingPeriod: string, records: Array<object>, changes: Array<object>, outstandingInstallments?: string}>}
+ *          The records the invoice renews and the changes made to them; for an installment paid before the
+ *          rest of its plan, the unpaid installments (e.g. "3, 4 of 4") and no records or changes.
+ * @throws {Error} If the invoice has no billing period, an installment's payment plan cannot be found,
+ *                 or its records cannot be read or updated.
+ */
+const reconcileInvoice = async (hsClient, invoice, { asOfDate, isDryRun = false }) => {
+  const props = invoice.properties;
+  const invoiceNumber = props[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || props.hs_number || invoice.id;
+
+  const billingPeriod = toDateKey(props[config.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY]);
+  if (!billingPeriod) {
+    throw new Error(`Invoice ${invoiceNumber} has no billing period (${config.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY}).`);
+  }
+
+  if (props[config.HUBSPOT_INVOICE_KIND_PROPERTY] === 'installment') {
+    const { installmentCount, outstanding } = await getOutstandingInstallments(hsClient, invoice, billingPeriod);
+    if (outstanding.length > 0) {
+      const outstandingInstallments = `${outstanding.join(', ')} of ${installmentCount}`;
+      logger.info(`Invoice ${invoiceNumber} is a paid installment; the membership renews once installment(s) ${outstandingInstallments} are paid.`);
+      if (isDryRun) {
+        logger.info(`[DRY RUN] Would mark invoice ${invoiceNumber} reconciled on ${asOfDate}`);
+      } else {
+        await recordReconciliation(hsClient, invoice.id, asOfDate);
+      }
+      return { invoiceNumber, billingPeriod, records: [], changes: [], outstandingInstallments };
+    }
+  }
+
+  const newDate = addMonths(billingPeriod, config.MEMBERSHIP_TERM_MONTHS);
+  const records = await getRenewedRecords(hsClient, invoice);
+
+  const changes = [];
+  for (const record of records) {
+    if (record.renewalDate && record.renewalDate > billingPeriod) {
+      logger.info(`${record.name} (${record.id}) is already renewed through ${record.renewalDate}; invoice ${invoiceNumber} billed ${billingPeriod}.`);
+      continue;
+    }
+
+    const newStatus = record.type === 'Membership' ? config.MEMBERSHIP_STATUS_ACTIVE : null;
+    if (isDryRun) {
+      logger.info(`[DRY RUN] Would renew ${record.name} (${record.id}) from ${record.renewalDate || 'none'} to ${newDate}`);
+    } else if (record.type === 'Membership') {
+      await updateMembershipRenewal(hsClient, record.id, { renewalDate: newDate, status: newStatus });
+    } else {
+      await updateIndividualPaidThroughDate(hsClient, record.id, newDate);
+    }
+
+    changes.push({
+      type          : record.type,
+      id            : record.id,
+      name          : record.name,
+      previousDate  : record.renewalDate,
+      newDate,
+      previousStatus: record.status,
+      newStatus,
+    });
+  }
+
+  if (isDryRun) {
+    logger.info(`[DRY RUN] Would mark invoice ${invoiceNumber} reconciled on ${asOfDate}`);
+  } else {
+    await recordReconciliation(hsClient, invoice.id, asOfDate);
+  }
+
+  return { invoiceNumber, billingPeriod, records, changes };
+};
+
+/**
+ * Handles a `mode: "reconcile"` event.
+ *
+ * Finds paid renewal and installment invoices created by this system that have not been
+ * reconciled, and moves each member's renewal date (HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY on a
+ * membership record, HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY on an individual's contact)
+ * from the invoice's billing period to MEMBERSHIP_TERM_MONTHS later. Membership records are
+ * also set to MEMBERSHIP_STATUS_ACTIVE. A record whose renewal date is already past the
+ * billing period has been renewed already and is left alone. A payment plan renews the member
+ * when its last unpaid installment is paid (see reconcileInvoice).
+ *
+ * Each invoice is marked reconciled (HUBSPOT_INVOICE_RECONCILED_PROPERTY) once its records are
+ * updated, so later runs skip it. An invoice that fails is left unmarked and retried next run.
+ *
+ * @param {object} event - The Lambda event.
+ * @param {string} [event.as_of_date] - The reconciliation date recorded on invoices (YYYY-MM-DD). Defaults to today.
+ * @param {boolean} [event.dry_run] - Report the changes that would be made without writing anything.
+ * @param {object} context - The Lambda context.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @returns {Promise<object>} The Lambda response.
+ */
+const handleReconciliation = async (event, context, hsClient) => {
+  const isDryRun = event.dry_run === true;
+  const asOfDate = event.as_of_date || new Date().toISOString().slice(0, 10);
+
+  logger.info(`Reconciling paid invoices as of ${asOfDate}`, { termMonths: config.MEMBERSHIP_TERM_MONTHS, isDryRun });
+
+  const paidInvoices = await findPaidUnreconciledInvoices(hsClient);
+  const reconciled = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const invoice of paidInvoices) {
+    const props = invoice.properties;
+    const invoiceNumber = props[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || props.hs_number || invoice.id;
+
+    if (context.getRemainingTimeInMillis() < 30000) {
+      logger.warn(`TIMEOUT WARNING: stopping reconciliation with ${paidInvoices.length - reconciled.length - skipped.length - failed.length} invoice(s) left.`);
+      break;
+    }
+
+    try {
+      const { billingPeriod, records, changes, outstandingInstallments } = await reconcileInvoice(hsClient, invoice, { asOfDate, isDryRun });
+
+      if (outstandingInstallments) {
+        skipped.push({
+          name  : `Invoice ${invoiceNumber}`,
+          id    : invoice.id,
+          reason: `Installment paid; the membership renews once installment(s) ${outstandingInstallments} are paid`,
+        });
+        continue;
+      }
+      if (changes.length === 0) {
+        skipped.push({
+          name  : `Invoice ${invoiceNumber}`,
+          id    : invoice.id,
+          reason: `Already renewed past billing period ${billingPeriod}: ${records.map(record => `${record.name} through ${record.renewalDate}`).join(', ')}`,
+        });
+        continue;
+      }
+
+      reconciled.push({
+        name         : changes[0].name,
+        id           : changes[0].id,
+        type         : `Payment Reconciled (${props[config.HUBSPOT_INVOICE_KIND_PROPERTY]})`,
+        invoiceId    : invoice.id,
+        invoiceAmount: Number(props.hs_amount_billed) || 0,
+        currency     : props.hs_currency || config.INVOICE_CURRENCY,
+        pricingDetails: {
+          reconciliation: {
+            invoiceNumber,
+            billingPeriod,
+            records: changes,
+          },
+        },
+      });
+    } catch (invoiceError) {
+      logger.error(`Failed to reconcile invoice ${invoiceNumber}:`, invoiceError);
+      failed.push({ name: `Invoice ${invoiceNumber}`, id: invoice.id, reason: invoiceError.message });
+    }
+  }
+
+  const reportData = {
+    date                   : new Date().toISOString(),
+    totalMembershipsProcessed: paidInvoices.length,
+    successfulInvoices     : reconciled.length,
+    failedInvoices         : failed.length,
+    invoices               : reconciled,
+    failures               : failed,
+    skipped,
+    skippedHeading         : 'ALREADY UP TO DATE',
+    apiStats               : getApiStats(),
+  };
+
+  const reportUrl = await generateAndStoreReport(reportData);
+  logger.info(`Report stored at: ${reportUrl}`);
+
+  if (config.ENABLE_REPORT_EMAIL === 'true') {
+    await sendReportEmail(reportUrl, reportData);
+  }
+
+  return {
+    statusCode: 200,
+    body      : JSON.stringify({
+      message   : 'Reconciliation complete.',
+      asOfDate,
+      paid      : paidInvoices.length,
+      reconciled: reconciled.length,
+      skipped   : skipped.length,
+      failed    : failed.length,
+      reportUrl,
+    }),
+  };
+};
+
+module.exports = { handleReconciliation, reconcileInvoice };
@@ -0,0 +1,409 @@
+// Invoice Reissue Handler
+// Voids an incorrect renewal invoice and replaces it with one priced from the member's current data.
+const { getApiStats } = require('../hubspot/client');
+const { getCompanyMembershipById } = require('../hubspot/companies');
+const { resolveBillingContact, getIndividualMembershipById } = require('../hubspot/contacts');
+const {
+  createInvoice,
+  updateInvoice,
+  setInvoiceStatus,
+  findDuplicateInvoices,
+  getPaymentInvoiceById,
+  getInvoiceAssociations,
+  updateCompanyMembershipDues,
+  getInvoicePaymentLink,
+  calculateDueDate,
+  toDateKey,
+  buildIdempotencyKey,
+  findInvoiceByIdempotencyKey,
+} = require('../hubspot/invoices');
+const { calculatePrice } = require('../pricing/engine');
+const { consolidatePriceResults } = require('../pricing/consolidation');
+const { generateAndStoreReport, sendReportEmail } = require('../utils/reporting');
+const { storePdfInvoice } = require('../utils/storage');
+const { loadTemplate, populateTemplate, generatePdf, generateQRCode } = require('../pdf/generator');
+const { buildInvoicePdfData, buildPdfS3Key } = require('../pdf/invoiceData');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Only unpaid invoices can be voided
+const REISSUABLE_STATUSES = ['draft', 'open'];
+
+/**
+ * Finds the unpaid invoice for a member's current billing period, for a reissue
+ * requested by membership or contact ID.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {{membership_id?: string, contact_id?: string}} event - The Lambda event.
+ * @returns {Promise<string>} The invoice ID.
+ * @throws {Error} If the member has no unpaid invoice for the period, or more than one.
+ */
+const findInvoiceToReplace = async (hsClient, { membership_id: membershipId, contact_id: contactId }) => {
+  let paidThroughDate;
+  let search;
+  if (membershipId) {
+    const membership = await getCompanyMembershipById(hsClient, membershipId);
+    if (!membership) {
+      throw new Error(`Company membership ${membershipId} not found or has no associated company.`);
+    }
+    paidThroughDate = membership.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY];
+    search = { companyId: membership.companyId, membershipIds: [membershipId] };
+  } else {
+    const contact = await getIndividualMembershipById(hsClient, contactId);
+    paidThroughDate = contact.properties[config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY];
+    search = { contactId };
+  }
+
+  const billingPeriod = paidThroughDate ? calculateDueDate(paidThroughDate) : undefined;
+  const candidates = (await findDuplicateInvoices(hsClient, { ...search, billingPeriod }))
+    .filter(invoice => REISSUABLE_STATUSES.includes(invoice.status));
+
+  if (candidates.length === 0) {
+    throw new Error(`No draft or open invoice found for ${membershipId ? `membership ${membershipId}` : `contact ${contactId}`} and billing period ${billingPeriod || 'any'}.`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`Several unpaid invoices found (${candidates.map(invoice => invoice.number).join(', ')}); reissue one by invoice_id.`);
+  }
+  return candidates[0].id;
+};
+
+/**
+ * Loads the member an invoice bills, from the membership records saved on it or,
+ * for an individual member, its associated contact.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} invoice - The invoice being replaced.
+ * @returns {Promise<{memberInfo: object, memberships: Array<object>}>} The normalized member and the memberships to price.
+ */
+const loadInvoiceMember = async (hsClient, invoice) => {
+  const membershipIds = String(invoice.properties[config.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY] || '')
+    .split(';')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (membershipIds.length === 0) {
+    const { contactId, companyId } = await getInvoiceAssociations(hsClient, invoice.id);
+    if (companyId || !contactId) {
+      throw new Error(`Invoice ${invoice.id} has no membership record ID (${config.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY}); reissue it by membership_id.`);
+    }
+    const contact = await getIndividualMembershipById(hsClient, contactId);
+    return {
+      memberInfo: {
+        type:       'Individual',
+        id:         contact.id,
+        name:       `${contact.properties.firstname} ${contact.properties.lastname}`,
+        contactId:  contact.id,
+        companyId:  null,
+        properties: contact.properties,
+        billingContactRule: 'individual',
+      },
+      memberships: [contact],
+    };
+  }
+
+  const memberships = [];
+  for (const membershipId of membershipIds) {
+    const membership = await getCompanyMembershipById(hsClient, membershipId);
+    if (!membership) {
+      throw new Error(`Company membership ${membershipId} not found or has no associated company.`);
+    }
+    memberships.push(membership);
+  }
+
+  const memberInfo = {
+    type:       'Company',
+    id:         memberships[0].id,
+    name:       memberships[0].properties.name,
+    companyId:  memberships[0].companyId,
+    properties: memberships[0].properties,
+  };
+
+  const billingContact = await resolveBillingContact(hsClient, memberInfo.companyId, memberInfo.properties);
+  if (!billingContact.contact) throw new Error(`Billing contact needs review for company ${memberInfo.companyId}: ${billingContact.reason}`);
+
+  memberInfo.contactId          = billingContact.contact.id;
+  memberInfo.contactName        = `${billingContact.contact.properties.firstname} ${billingContact.contact.properties.lastname}`;
+  memberInfo.contactProperties  = billingContact.contact.properties;
+  memberInfo.billingContactRule = billingContact.rule;
+
+  return { memberInfo, memberships };
+};
+
+/**
+ * Works out the replacement's terms: it keeps the old invoice's due date and billing period.
+ * @param {object} oldProps - The properties of the invoice being replaced.
+ * @param {object} memberInfo - The member it bills (see loadInvoiceMember).
+ * @returns {{paidThroughDate: string, dueDate: string, billingPeriod: string|undefined}}
+ */
+const getReplacementTerms = (oldProps, memberInfo) => {
+  const paidThroughDate = memberInfo.type === 'Company'
+    ? memberInfo.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY]
+    : memberInfo.properties[config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY];
+  return {
+    paidThroughDate,
+    dueDate: toDateKey(oldProps.hs_due_date) || calculateDueDate(paidThroughDate),
+    billingPeriod: toDateKey(oldProps[config.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY]) || (paidThroughDate ? calculateDueDate(paidThroughDate) : undefined),
+  };
+};
+
+/**
+ * Builds the idempotency key of the invoice replacing another.
+ * @param {string} invoiceId - The invoice being replaced.
+ * @param {Array<object>} memberships - The memberships it bills.
+ * @param {{dueDate: string, billingPeriod: string|undefined}} terms - See getReplacementTerms.
+ * @returns {string|null} The key.
+ */
+const buildReissueKey = (invoiceId, memberships, { dueDate, billingPeriod }) => (
+  buildIdempotencyKey('reissue', memberships.map(membership => membership.id), billingPeriod || dueDate, `replaces-${invoiceId}`)
+);
+
+/**
+ * Finds the replacement left behind by a reissue that voided the old invoice but failed
+ * before linking the two (HUBSPOT_INVOICE_REPLACED_BY_PROPERTY is still empty).
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} oldInvoice - The voided invoice.
+ * @returns {Promise<{memberInfo: object, memberships: Array<object>, replacement: object}|null>}
+ *          The member and the replacement invoice, or null if there is none.
+ */
+const findUnfinishedReplacement = async (hsClient, oldInvoice) => {
+  const { memberInfo, memberships } = await loadInvoiceMember(hsClient, oldInvoice);
+  const idempotencyKey = buildReissueKey(oldInvoice.id, memberships, getReplacementTerms(oldInvoice.properties, memberInfo));
+  const replacement = idempotencyKey ? await findInvoiceByIdempotencyKey(hsClient, idempotencyKey) : null;
+  return replacement ? { memberInfo, memberships, replacement } : null;
+};
+
+/**
+ * Handles a `mode: "reissue"` event.
+ *
+ * Replaces one incorrect renewal invoice without rerunning anyone else: the member is
+ * re-priced from its current HubSpot data, a replacement invoice is created, the old
+ * invoice is voided, and the replacement's PDF shows "Replaces <old number>". The old and
+ * new invoices are linked through HUBSPOT_INVOICE_REPLACES_PROPERTY and
+ * HUBSPOT_INVOICE_REPLACED_BY_PROPERTY, and in the report.
+ *
+ * The replacement is created as a draft and only opened once the old invoice is voided,
+ * so the member never has two payable invoices. Paid invoices, installments and
+ * proration invoices cannot be reissued. A reissue that failed after voiding the old
+ * invoice is finished by running it again: the replacement is found by its idempotency key.
+ *
+ * @param {object} event - The Lambda event.
+ * @param {string} [event.invoice_id] - The HubSpot invoice to replace.
+ * @param {string} [event.membership_id] - Or: the company membership whose unpaid invoice to replace.
+ * @param {string} [event.contact_id] - Or: the individual member whose unpaid invoice to replace.
+ * @param {string} [event.reason] - Why the invoice is reissued, for the report.
+ * @param {boolean} [event.dry_run] - Calculate and render only; write nothing to HubSpot or S3.
+ * @param {boolean} [event.keep_draft] - Leave the replacement invoice in draft status.
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @returns {Promise<object>} The Lambda response.
+ */
+const handleReissue = async (event, hsClient) => {
+  const isDryRun = event.dry_run === true;
+  const keepDraft = event.keep_draft === true;
+  const reason = event.reason || null;
+
+  if (!event.invoice_id && !event.membership_id && !event.contact_id) {
+    throw new Error('Reissue requires event.invoice_id, event.membership_id or event.contact_id.');
+  }
+
+  const invoiceId = event.invoice_id || await findInvoiceToReplace(hsClient, event);
+  const oldInvoice = await getPaymentInvoiceById(hsClient, invoiceId);
+  const oldProps = oldInvoice.properties;
+  const oldNumber = oldProps[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || oldProps.hs_number || oldInvoice.id;
+  const kind = oldProps[config.HUBSPOT_INVOICE_KIND_PROPERTY];
+
+  logger.info(`Reissuing invoice ${oldNumber} (${invoiceId})`, { status: oldProps.hs_invoice_status, kind, reason, isDryRun, keepDraft });
+
+  // A voided invoice not yet linked to its replacement is an earlier reissue that failed part-way
+  const unfinished = oldProps.hs_invoice_status === 'voided' && !oldProps[config.HUBSPOT_INVOICE_REPLACED_BY_PROPERTY]
+    ? await findUnfinishedReplacement(hsClient, oldInvoice)
+    : null;
+  if (unfinished) {
+    logger.info(`Invoice ${oldNumber} is already voided; finishing its replacement ${unfinished.replacement.id}.`);
+  } else if (!REISSUABLE_STATUSES.includes(oldProps.hs_invoice_status)) {
+    throw new Error(`Invoice ${oldNumber} is ${oldProps.hs_invoice_status}; only draft or open invoices can be reissued.`);
+  }
+  if (kind && kind !== 'renewal') {
+    throw new Error(`Invoice ${oldNumber} is a ${kind} invoice; only renewal invoices can be reissued.`);
+  }
+
+  const { memberInfo, memberships } = unfinished || await loadInvoiceMember(hsClient, oldInvoice);
+  const replacementTerms = getReplacementTerms(oldProps, memberInfo);
+  const { paidThroughDate, dueDate, billingPeriod } = replacementTerms;
+
+  //-------------------------------------------------------------------
+  // Re-price from the member's current data
+  //-------------------------------------------------------------------
+  const pricingMembershipType = memberInfo.type === 'Company'
+    ? memberInfo.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]
+    : config.MEMBERSHIP_TYPE_INDIVIDUAL;
+  const membershipPrices = memberships.map(membership => ({
+    membership,
+    priceResult: calculatePrice(pricingMembershipType, membership.properties, {
+      paidThroughDate: memberInfo.type === 'Company' ? membership.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY] : paidThroughDate,
+    }),
+  }));
+  const priceResult = membershipPrices.length > 1
+    ? consolidatePriceResults(membershipPrices)
+    : membershipPrices[0].priceResult;
+
+  const previousAmount = Number(oldProps.hs_amount_billed) || 0;
+  const membershipIds = memberInfo.type === 'Company' ? memberships.map(membership => membership.id) : [];
+  logger.info(`Reissue amount for ${memberInfo.name}: ${logger.formatCurrency(priceResult.totalPrice, priceResult.currency)} (was ${logger.formatCurrency(previousAmount, oldProps.hs_currency || priceResult.currency)}; price book ${priceResult.details.priceBookVersion})`);
+
+  //-------------------------------------------------------------------
+  // Create the replacement (draft), void the old invoice, then open the replacement
+  //-------------------------------------------------------------------
+  let createdInvoice;
+  let paymentLink;
+  if (isDryRun) {
+    logger.info(`[DRY RUN] Would create a replacement invoice for ${memberInfo.name} and void invoice ${oldNumber}`);
+    createdInvoice = { id: 'fake-invoice-id-test-run' };
+    paymentLink = 'https://app.hubspot.com/contacts/12345/objects/2-18/invoice/67890';
+  } else {
+    createdInvoice = await createInvoice(hsClient, {
+      contactId    : memberInfo.contactId,
+      companyId    : memberInfo.companyId,
+      invoiceAmount: priceResult.totalPrice,
+      lineItems    : priceResult.lineItems,
+      pdfLink      : '',
+      keepDraft    : true,
+      dueDate,
+      currency     : priceResult.currency,
+      membershipIds,
+      // Keyed on the invoice it replaces: a retry resumes the replacement's draft, or returns it once opened
+      idempotencyKey: buildReissueKey(invoiceId, memberships, replacementTerms),
+      metadata     : {
+        billingPeriod,
+        membershipIds,
+        priceBookVersion: priceResult.details.priceBookVersion,
+        kind            : 'renewal',
+        replacesInvoice : oldNumber,
+      },
+    });
+
+    if (!unfinished) {
+      try {
+        await setInvoiceStatus(hsClient, invoiceId, 'voided');
+      } catch (error) {
+        throw new Error(`Replacement invoice ${createdInvoice.id} was created as a draft, but invoice ${oldNumber} could not be voided: ${error.message}`);
+      }
+    }
+    if (!keepDraft && createdInvoice.properties?.hs_invoice_status !== 'open') {
+      await setInvoiceStatus(hsClient, createdInvoice.id, 'open');
+    }
+
+    paymentLink = await getInvoicePaymentLink(hsClient, createdInvoice.id);
+    if (!paymentLink) {
+      logger.warn(`No payment link available for invoice ${createdInvoice.id}`);
+    }
+  }
+  const qrCodeDataUrl = paymentLink ? await generateQRCode(paymentLink) : null;
+
+  const { templateHtml, logoBase64 } = loadTemplate();
+  const pdfData = buildInvoicePdfData({
+    memberInfo,
+    priceResult,
+    dueDate,
+    logoBase64,
+    paymentLink,
+    qrCodeDataUrl,
+    // An unfinished replacement keeps a number saved by the earlier attempt
+    invoiceNumber: unfinished ? unfinished.replacement.properties[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] : undefined,
+    replacesInvoiceNumber: oldNumber,
+  });
+  const pdfBuffer = await generatePdf(populateTemplate(templateHtml, pdfData));
+
+  const pdfS3Key = buildPdfS3Key(memberInfo, 'Reissue');
+  let pdfLink;
+  if (isDryRun) {
+    logger.info(`[DRY RUN] Would store PDF in S3 at ${pdfS3Key}`);
+    pdfLink = `s3://fake-bucket-for-dry-run/${pdfS3Key}`;
+  } else {
+    pdfLink = await storePdfInvoice(pdfBuffer, pdfS3Key);
+  }
+  logger.info(`PDF stored at: ${pdfLink}`);
+
+  //-------------------------------------------------------------------
+  // Link the two invoices and save the replacement's metadata
+  //-------------------------------------------------------------------
+  let invoiceMetadataError;
+  if (!isDryRun) {
+    try {
+      await updateInvoice(hsClient, createdInvoice.id, { pdfLink, invoiceNumber: pdfData.invoice_number });
+      await updateInvoice(hsClient, invoiceId, { replacedBy: pdfData.invoice_number });
+    } catch (error) {
+      logger.error(`Invoice ${createdInvoice.id} replaced ${oldNumber}, but its PDF link or the link from ${oldNumber} to it was not saved:`, error.message);
+      invoiceMetadataError = error.message;
+    }
+  }
+
+  if (memberInfo.type === 'Company') {
+    if (isDryRun) {
+      logger.info(`[DRY RUN] Would update dues for Company ${memberInfo.companyId} to ${logger.formatCurrency(priceResult.subtotal, priceResult.currency)}`);
+    } else {
+      // Dues exclude sales tax
+      await updateCompanyMembershipDues(hsClient, memberInfo.companyId, priceResult.subtotal);
+    }
+  }
+
+  const processedInvoices = [{
+    name        : memberInfo.name,
+    id          : memberInfo.id,
+    type        : `${memberInfo.type} (Reissue)`,
+    invoiceId   : createdInvoice.id,
+    invoiceAmount: priceResult.totalPrice,
+    currency    : priceResult.currency,
+    pdfLink,
+    paymentLink,
+    priceBookVersion: priceResult.details.priceBookVersion,
+    pricingDate : priceResult.details.pricingDate,
+    pricingDetails: {
+      ...priceResult.details,
+      reissue: {
+        replacesInvoiceId    : invoiceId,
+        replacesInvoiceNumber: oldNumber,
+        previousAmount,
+        reason,
+      },
+    },
+    billingContact: { id: memberInfo.contactId, rule: memberInfo.billingContactRule },
+    invoiceMetadataError,
+  }];
+
+  const reportData = {
+    date                   : new Date().toISOString(),
+    totalMembershipsProcessed: 1,
+    successfulInvoices     : processedInvoices.length,
+    failedInvoices         : 0,
+    invoices               : processedInvoices,
+    failures               : [],
+    apiStats               : getApiStats(),
+  };
+
+  const reportUrl = await generateAndStoreReport(reportData);
+  logger.info(`Report stored at: ${reportUrl}`);
+
+  if (config.ENABLE_REPORT_EMAIL === 'true') {
+    await sendReportEmail(reportUrl, reportData);
+  }
+
+  return {
+    statusCode: 200,
+    body      : JSON.stringify({
+      message          : 'Reissue complete.',
+      voidedInvoiceId  : invoiceId,
+      voidedInvoiceNumber: oldNumber,
+      invoiceId        : createdInvoice.id,
+      invoiceNumber    : pdfData.invoice_number,
+      amount           : priceResult.totalPrice,
+      previousAmount,
+      reportUrl,
+    }),
+  };
+};
+
+module.exports = { handleReissue };
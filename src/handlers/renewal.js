@@ -0,0 +1,599 @@
+// Renewal Member Processing
+// Finds the memberships due for renewal (or the ones a targeted run names) and invoices one member end to end.
+// Shared by the single-Lambda renewal run (index.js) and the queue fan-out (handlers/fanout.js).
+const { getExpiringCompanyMemberships, getCompanyMembershipsByIds, getCompanyMembershipIds, updateManufacturerMembershipLevel, groupMembershipsByCompany } = require('../hubspot/companies');
+const { resolveBillingContact, getExpiringIndividualMemberships, getIndividualMembershipsByIds } = require('../hubspot/contacts');
+const { createInvoice, updateInvoice, findDuplicateInvoices, findInvoiceByIdempotencyKey, updateCompanyMembershipDues, getInvoicePaymentLink, calculateDueDate, calculateRenewalWindow, buildIdempotencyKey } = require('../hubspot/invoices');
+const { calculatePrice } = require('../pricing/engine');
+const { consolidatePriceResults } = require('../pricing/consolidation');
+const { parseInstallmentCount, buildInstallmentSchedule, buildInstallmentLineItem } = require('../pricing/paymentPlans');
+const { storePdfInvoice, storePaymentPlan, getRenewalCoverage } = require('../utils/storage');
+const { populateTemplate, generatePdf, generateQRCode } = require('../pdf/generator');
+const { buildInvoicePdfData, buildPdfS3Key } = require('../pdf/invoiceData');
+const { openMemberCheckpoint } = require('../utils/checkpoints');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * The key a member's checkpoint and fan-out result are stored under. Company membership
+ * and contact IDs come from different objects, so the type is part of the key.
+ * @param {{type: string, data: object}} member - The member (or consolidated batch).
+ * @returns {string} The member key.
+ */
+const memberKey = (member) => `${member.type.toLowerCase()}-${member.data.id}`;
+
+/**
+ * Finds the company and individual memberships renewing in this run's window.
+ *
+ * Unless catchUpFrom is given, the window reaches back to the day after the last completed
+ * run's coverage (when useCoverage is set and RENEWAL_CATCH_UP_MAX_DAYS allows it).
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} [options]
+ * @param {string} [options.catchUpFrom] - Widen the window back to this date (YYYY-MM-DD).
+ * @param {boolean} [options.useCoverage] - Catch up from the stored renewal coverage. Off for limited test runs.
+ * @returns {Promise<{renewalWindow: object, coveredThrough: string, members: Array<{type: string, data: object}>}>}
+ *          The window, its last renewal date (YYYY-MM-DD) and the members, companies first.
+ */
+const findRenewingMembers = async (hsClient, { catchUpFrom, useCoverage = false } = {}) => {
+  let renewalCatchUpFrom = catchUpFrom;
+  if (!renewalCatchUpFrom && useCoverage && config.RENEWAL_CATCH_UP_MAX_DAYS > 0) {
+    const coveredThrough = await getRenewalCoverage();
+    renewalCatchUpFrom = coveredThrough
+      ? new Date(Date.parse(coveredThrough) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+      : undefined;
+  }
+  const renewalWindow = calculateRenewalWindow({ catchUpFrom: renewalCatchUpFrom });
+  const coveredThrough = new Date(renewalWindow.end).toISOString().slice(0, 10);
+
+  const expiringCompanies    = await getExpiringCompanyMemberships(hsClient, renewalWindow);
+  const expiringIndividuals  = await getExpiringIndividualMemberships(hsClient, renewalWindow);
+  logger.info(`Found ${expiringCompanies.length} company and ${expiringIndividuals.length} individual memberships.`);
+
+  // Unify members into a single list for processing
+  const members = [
+    ...expiringCompanies.map(m => ({ type: 'Company',    data: m })),
+    ...expiringIndividuals.map(m => ({ type: 'Individual', data: m }))
+  ];
+
+  logger.info(`Total members found: ${members.length} (${expiringCompanies.length} companies, ${expiringIndividuals.length} individuals)`);
+  return { renewalWindow, coveredThrough, members };
+};
+
+/**
+ * Reads the members a targeted run is limited to from the event: membership_ids (company
+ * membership records), contact_ids (individual members) and company_ids (every membership of
+ * the company). Each may be an array or a comma-separated string.
+ *
+ * @param {object} event - The Lambda event.
+ * @returns {{membershipIds: Array<string>, contactIds: Array<string>, companyIds: Array<string>}|null}
+ *          The IDs, or null when the event names no members (a normal run over the renewal window).
+ */
+const getMemberTargets = (event) => {
+  const parseIds = (value) => {
+    if (value === undefined || value === null) return [];
+    const ids = (Array.isArray(value) ? value : String(value).split(',')).map(id => String(id).trim()).filter(Boolean);
+    return [...new Set(ids)];
+  };
+  const targets = {
+    membershipIds: parseIds(event.membership_ids),
+    contactIds   : parseIds(event.contact_ids),
+    companyIds   : parseIds(event.company_ids),
+  };
+  return targets.membershipIds.length + targets.contactIds.length + targets.companyIds.length > 0 ? targets : null;
+};
+
+/**
+ * Finds the members a targeted run names, whatever their renewal dates (no window search).
+ * Each is invoiced for its current renewal or paid-through date, as in a normal run.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {{membershipIds: Array<string>, contactIds: Array<string>, companyIds: Array<string>}} targets - See getMemberTargets().
+ * @returns {Promise<{members: Array<{type: string, data: object}>, notFound: Array<{name: string, id: string, reason: string}>}>}
+ *          The members, companies first, and a failure entry for each ID that could not be found.
+ */
+const findTargetedMembers = async (hsClient, { membershipIds = [], contactIds = [], companyIds = [] }) => {
+  const notFound = [];
+
+  const companyMembershipIds = companyIds.length > 0 ? await getCompanyMembershipIds(hsClient, companyIds) : new Map();
+  companyIds
+    .filter(companyId => !companyMembershipIds.has(companyId))
+    .forEach(companyId => notFound.push({ name: `Company ${companyId}`, id: companyId, reason: 'No membership records associated with the company' }));
+
+  const allMembershipIds = [...new Set([...membershipIds, ...[...companyMembershipIds.values()].flat()])];
+  const companyMemberships = allMembershipIds.length > 0 ? await getCompanyMembershipsByIds(hsClient, allMembershipIds) : [];
+  const foundMembershipIds = new Set(companyMemberships.map(membership => String(membership.id)));
+  allMembershipIds
+    .filter(membershipId => !foundMembershipIds.has(membershipId))
+    .forEach(membershipId => notFound.push({ name: `Membership ${membershipId}`, id: membershipId, reason: 'Membership not found or has no associated company' }));
+
+  const individuals = contactIds.length > 0 ? await getIndividualMembershipsByIds(hsClient, contactIds) : [];
+  const foundContactIds = new Set(individuals.map(contact => String(contact.id)));
+  contactIds
+    .filter(contactId => !foundContactIds.has(contactId))
+    .forEach(contactId => notFound.push({ name: `Contact ${contactId}`, id: contactId, reason: 'Contact not found' }));
+
+  const members = [
+    ...companyMemberships.map(m => ({ type: 'Company',    data: m })),
+    ...individuals.map(m => ({ type: 'Individual', data: m }))
+  ];
+  logger.info(`Targeted run: ${members.length} member(s) found (${companyMemberships.length} company memberships, ${individuals.length} individuals); ${notFound.length} not found.`);
+  return { members, notFound };
+};
+
+/**
+ * Groups each company's memberships into a single invoice when consolidating.
+ * State and reporting stay per membership (member.memberships).
+ *
+ * @param {Array<{type: string, data: object}>} members - The members to invoice.
+ * @param {boolean} consolidate - Whether memberships of the same company share one invoice.
+ * @returns {Array<{type: string, data: object, memberships?: Array<object>}>} One entry per invoice.
+ */
+const groupInvoiceBatches = (members, consolidate) => {
+  if (!consolidate) {
+    return members;
+  }
+  const invoiceBatches = [
+    ...groupMembershipsByCompany(members.filter(m => m.type === 'Company').map(m => m.data))
+      .map(memberships => ({ type: 'Company', data: memberships[0], memberships })),
+    ...members.filter(m => m.type === 'Individual'),
+  ];
+  logger.info(`Consolidated ${members.length} memberships into ${invoiceBatches.length} invoices.`);
+  return invoiceBatches;
+};
+
+/**
+ * Invoices one member (or one company's consolidated memberships): billing contact,
+ * duplicate check, pricing, HubSpot invoice, payment link, PDF, payment plan and dues.
+ *
+ * Errors are caught and reported as failures, so one member never stops a run.
+ *
+ * Progress is checkpointed per member and billing period after every step (see utils/checkpoints.js).
+ * A member that stopped part-way resumes after its last finished step, reusing the invoice and PDF
+ * it already has; a finished member is skipped and its outcome flagged alreadyDone.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {{type: string, data: object, memberships?: Array<object>}} member - The member, as returned by findRenewingMembers() or groupInvoiceBatches().
+ * @param {object} options
+ * @param {string} options.templateHtml - The invoice HTML template.
+ * @param {string} options.logoBase64 - The base64 logo.
+ * @param {boolean} [options.isDryRun] - Log what would be written without writing to HubSpot or S3.
+ * @param {boolean} [options.isPdfTest] - Generate and store the PDF only; nothing is written to HubSpot.
+ * @param {boolean} [options.keepDraft] - Leave the invoice in draft status.
+ * @param {boolean} [options.restart] - Ignore the member's checkpoint and start from the beginning (event.clear_state).
+ * @param {boolean} [options.regeneratePdf] - For a member already invoiced for the billing period, render and store a new PDF
+ *                                           for that invoice instead of skipping it (event.regenerate_pdf, targeted runs only).
+ * @returns {Promise<{processed: Array<object>, failed: Array<object>, duplicates: Array<object>, needsReview: Array<object>, alreadyDone?: boolean}>}
+ *          Report entries for the member, one per membership.
+ */
+const processRenewalMember = async (hsClient, member, { templateHtml, logoBase64, isDryRun = false, isPdfTest = false, keepDraft = false, restart = false, regeneratePdf = false }) => {
+  const outcome = { processed: [], failed: [], duplicates: [], needsReview: [] };
+  let memberInfo = {};  // normalized container for data
+  const memberships = member.memberships || [member.data];
+
+  try {
+    //-------------------------------------------------------------------
+    // 0. CHECKPOINT  (per member and billing period; skip finished members)
+    //-------------------------------------------------------------------
+    // Get the paid through date from the appropriate property based on member type
+    let paidThroughDate = null;
+    if (member.type === 'Company') {
+      // For company memberships, use the next renewal date property
+      paidThroughDate = member.data.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY];
+    } else {
+      // For individual memberships, use the individual paid through date property
+      paidThroughDate = member.data.properties[config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY];
+    }
+    const billingPeriod = paidThroughDate ? calculateDueDate(paidThroughDate) : undefined;
+
+    const checkpoint = await openMemberCheckpoint({
+      billingPeriod,
+      memberKey    : memberKey(member),
+      membershipIds: memberships.map(membership => membership.id),
+      persist      : !isDryRun && !isPdfTest,
+      restart,
+    });
+    if (checkpoint.reached('done') && !regeneratePdf) {
+      logger.info(`Skipping already processed member: ${memberKey(member)} (billing period ${billingPeriod || 'none'}, invoice ${checkpoint.state.invoiceId})`);
+      outcome.alreadyDone = true;
+      return outcome;
+    }
+    const isResumed = Boolean(checkpoint.state);
+    if (isResumed) {
+      logger.info(`Resuming ${memberKey(member)} after step "${checkpoint.state.step}" (invoice ${checkpoint.state.invoiceId || 'not created yet'})`);
+    } else {
+      await checkpoint.advance('discovered');
+    }
+
+    //-------------------------------------------------------------------
+    // A. Standardize member data
+    //-------------------------------------------------------------------
+    if (member.type === 'Company') {
+      memberInfo = {
+        type:       'Company',
+        id:         member.data.id,
+        name:       member.data.properties.name,
+        companyId:  member.data.companyId,
+        properties: member.data.properties,
+      };
+
+      // Never guess who to bill: members without a clear billing contact go to review
+      const billingContact = await resolveBillingContact(hsClient, memberInfo.companyId, memberInfo.properties);
+      if (!billingContact.contact) {
+        logger.warn(`Routing ${memberInfo.name} to billing contact review: ${billingContact.reason}`);
+        memberships.forEach(membership => {
+          outcome.needsReview.push({ name: memberInfo.name, id: membership.id, companyId: memberInfo.companyId, reason: billingContact.reason });
+        });
+        return outcome;
+      }
+
+      memberInfo.contactId          = billingContact.contact.id;
+      memberInfo.contactName        = `${billingContact.contact.properties.firstname} ${billingContact.contact.properties.lastname}`;
+      memberInfo.contactProperties  = billingContact.contact.properties;
+      memberInfo.billingContactRule = billingContact.rule;
+
+    } else {  // Individual
+      memberInfo = {
+        type:       'Individual',
+        id:         member.data.id,
+        name:       `${member.data.properties.firstname} ${member.data.properties.lastname}`,
+        contactId:  member.data.id,
+        companyId:  null,
+        properties: member.data.properties,
+        billingContactRule: 'individual',
+      };
+    }
+    logger.info(`Processing ${memberInfo.type} member: ${memberInfo.name} (${memberInfo.id})${memberships.length > 1 ? ` with ${memberships.length} memberships` : ''}`);
+
+    //-------------------------------------------------------------------
+    // B. DUPLICATE CHECK  (company, contact and membership; same billing period)
+    //-------------------------------------------------------------------
+    logger.info(`Paid through date for ${memberInfo.name}: ${paidThroughDate ? new Date(paidThroughDate).toISOString().split('T')[0] : 'Not found'}`);
+        
+    // With regeneratePdf, a member already invoiced for the period gets a new PDF for that invoice
+    let regenerate = regeneratePdf && checkpoint.reached('dues_updated')
+      ? { invoiceId: checkpoint.state.invoiceId, invoiceNumber: checkpoint.state.invoiceNumber, billedAmount: checkpoint.state.invoiceAmount }
+      : null;
+
+    // A resumed member may have died inside or just after createInvoice, before the checkpoint recorded the invoice;
+    // its invoice carries the renewal key and is this member's own, not a duplicate
+    const idempotencyKey = buildIdempotencyKey('renewal', memberships.map(membership => membership.id), billingPeriod);
+    const keyedInvoice = isResumed && idempotencyKey && !checkpoint.reached('invoice_created') && !isDryRun && !isPdfTest
+      ? await findInvoiceByIdempotencyKey(hsClient, idempotencyKey)
+      : null;
+    if (keyedInvoice) {
+      logger.info(`Resuming invoice ${keyedInvoice.properties.hs_number || keyedInvoice.id} (${keyedInvoice.properties.hs_invoice_status}) for ${memberInfo.name}, found by its idempotency key`);
+    }
+
+    // A member resumed after its invoice was created would find that invoice
+    if (!checkpoint.reached('invoice_created') && !keyedInvoice) {
+      const existingInvoices = await findDuplicateInvoices(hsClient, {
+        companyId    : memberInfo.companyId,
+        contactId    : memberInfo.contactId,
+        membershipIds: member.type === 'Company' ? memberships.map(membership => membership.id) : [],
+        billingPeriod,
+      });
+      if (regeneratePdf && existingInvoices.length === 1) {
+        regenerate = { invoiceId: existingInvoices[0].id, invoiceNumber: existingInvoices[0].invoiceNumber, billedAmount: existingInvoices[0].amount };
+        logger.info(`Regenerating the PDF of invoice ${existingInvoices[0].number} (${existingInvoices[0].status}) for ${memberInfo.name}`);
+      } else if (existingInvoices.length > 0) {
+        logger.warn(`Skipping ${memberInfo.name} – ${existingInvoices.length} existing invoice(s) for billing period ${billingPeriod || 'any'}: ${existingInvoices.map(inv => `${inv.number} (${inv.status})`).join(', ')}`);
+        memberships.forEach(membership => {
+          outcome.duplicates.push({ name: memberInfo.name, id: membership.id, billingPeriod, existingInvoices });
+        });
+        return outcome;
+      }
+    }
+
+    //-------------------------------------------------------------------
+    // C. PRICE CALCULATION
+    //-------------------------------------------------------------------
+    const companyMembershipType = memberInfo.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY];
+        
+    // Add debug logging for membership type
+    logger.info(`Membership type for ${memberInfo.name}: ${companyMembershipType || 'Individual'}`);
+    if (companyMembershipType === config.MEMBERSHIP_TYPE_MANUFACTURER) {
+      const membershipLevel = memberInfo.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY];
+      logger.info(`Manufacturer membership level for ${memberInfo.name}: ${membershipLevel || 'MISSING'}`);
+    }
+
+    // Dispatch through the pricing engine; the price book maps each membership type to its rule set.
+    // Dues come from the price book in force when the renewed term starts, not on the run date.
+    const pricingMembershipType = member.type === 'Company' ? companyMembershipType : config.MEMBERSHIP_TYPE_INDIVIDUAL;
+    // Each membership is priced on its own; a consolidated invoice combines them in sections
+    const membershipPrices = memberships.length > 1
+      ? memberships.map(membership => ({
+          membership,
+          priceResult: calculatePrice(pricingMembershipType, membership.properties, {
+            paidThroughDate: membership.properties[config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY],
+          }),
+        }))
+      : [{ membership: member.data, priceResult: calculatePrice(pricingMembershipType, memberInfo.properties, { paidThroughDate }) }];
+    const priceResult = membershipPrices.length > 1
+      ? consolidatePriceResults(membershipPrices)
+      : membershipPrices[0].priceResult;
+
+    //-------------------------------------------------------------------
+    // C2. PAYMENT PLAN  (company memberships flagged with a plan)
+    //     Only the first installment is invoiced now; later runs issue the rest.
+    //-------------------------------------------------------------------
+    const installmentCount = member.type === 'Company'
+      ? parseInstallmentCount(memberInfo.properties[config.HUBSPOT_PAYMENT_PLAN_PROPERTY])
+      : 0;
+    if (installmentCount && memberships.length > 1) {
+      throw new Error('Memberships on a payment plan cannot share a consolidated invoice; invoice them separately.');
+    }
+    const paymentSchedule = installmentCount
+      ? buildInstallmentSchedule(priceResult.totalPrice, calculateDueDate(paidThroughDate), installmentCount)
+      : null;
+    if (paymentSchedule) {
+      logger.info(`${memberInfo.name} pays in ${installmentCount} installments:`, paymentSchedule);
+    }
+    const invoiceAmount = paymentSchedule ? paymentSchedule[0].amount : priceResult.totalPrice;
+    logger.info(`Invoice amount for ${memberInfo.name}: ${logger.formatCurrency(priceResult.totalPrice, priceResult.currency)} (price book ${priceResult.details.priceBookVersion})`);
+    if (!checkpoint.reached('priced')) {
+      await checkpoint.advance('priced', { invoiceAmount, currency: priceResult.currency, priceBookVersion: priceResult.details.priceBookVersion });
+    }
+    // A new PDF must show what the invoice actually bills; a changed price needs a reissue instead
+    if (regenerate && regenerate.billedAmount !== undefined && Math.abs(regenerate.billedAmount - invoiceAmount) >= 0.01) {
+      throw new Error(`Invoice ${regenerate.invoiceId} bills ${logger.formatCurrency(regenerate.billedAmount, priceResult.currency)}, but the member now prices at ${logger.formatCurrency(invoiceAmount, priceResult.currency)}; use reissue mode to correct it.`);
+    }
+
+    //-------------------------------------------------------------------
+    // D. CREATE HUBSPOT INVOICE RECORD FIRST (without PDF initially)
+    //     • Skip when dry-run OR pdf-test (but allow full-test)
+    //-------------------------------------------------------------------
+        
+    let createdInvoice;
+    if (checkpoint.reached('invoice_created')) {
+      createdInvoice = { id: checkpoint.state.invoiceId };
+    } else if (regenerate) {
+      createdInvoice = { id: regenerate.invoiceId };
+    } else if (isDryRun || isPdfTest) {                           // Skip only dry-run and PDF-test
+      logger.info(`[DRY/PDF TEST RUN] Would create HubSpot Invoice for ${memberInfo.name}`);
+      createdInvoice = { id: 'fake-invoice-id-test-run' };
+    } else {
+      createdInvoice = await createInvoice(hsClient, {
+        contactId    : memberInfo.contactId,
+        companyId    : memberInfo.companyId,
+        invoiceAmount: invoiceAmount,
+        lineItems    : paymentSchedule
+          ? [buildInstallmentLineItem(paymentSchedule[0], installmentCount, priceResult.totalPrice, priceResult.currency)]
+          : priceResult.lineItems,
+        pdfLink      : '', // Will be updated after PDF generation
+        keepDraft    : keepDraft, // *** NEW - control invoice status
+        paidThroughDate: paidThroughDate, // *** NEW - use paid through date as due date
+        currency     : priceResult.currency,
+        membershipIds: member.type === 'Company' ? memberships.map(membership => membership.id) : [],
+        idempotencyKey,  // Finishes a keyedInvoice left as a draft, or returns it as is once open
+        metadata     : {
+          billingPeriod,
+          membershipIds   : member.type === 'Company' ? memberships.map(membership => membership.id) : [],
+          priceBookVersion: priceResult.details.priceBookVersion,
+          kind            : paymentSchedule ? 'installment' : 'renewal',
+        },
+      });
+    }
+    if (!checkpoint.reached('invoice_created') && !regenerate) {
+      await checkpoint.advance('invoice_created', { invoiceId: createdInvoice.id });
+    }
+
+    // A member resumed after its PDF was stored keeps that PDF and its invoice number
+    let paymentLink = null;
+    let pdfLink;
+    let invoiceNumber;
+    if (checkpoint.reached('pdf_stored') && !regenerate) {
+      ({ paymentLink, pdfLink, invoiceNumber } = checkpoint.state);
+      logger.info(`PDF already stored at: ${pdfLink}`);
+    } else {
+      //-------------------------------------------------------------------
+      // E. FETCH PAYMENT LINK AND GENERATE QR CODE
+      //-------------------------------------------------------------------
+      let qrCodeDataUrl = null;
+
+      if (!isDryRun && !isPdfTest) {
+        // Fetch the payment link from HubSpot
+        paymentLink = await getInvoicePaymentLink(hsClient, createdInvoice.id);
+          
+        if (paymentLink) {
+          // Generate QR code from payment link
+          qrCodeDataUrl = await generateQRCode(paymentLink);
+        } else {
+          logger.warn(`No payment link available for invoice ${createdInvoice.id}`);
+        }
+      } else {
+        // For test/dry runs, use dummy data
+        paymentLink = 'https://app.hubspot.com/contacts/12345/objects/2-18/invoice/67890';
+        qrCodeDataUrl = await generateQRCode(paymentLink);
+      }
+
+      //-------------------------------------------------------------------
+      // F. PDF GENERATION (now with QR code)
+      //-------------------------------------------------------------------
+      const pdfData = buildInvoicePdfData({
+        memberInfo,
+        priceResult,
+        paidThroughDate,
+        logoBase64,
+        paymentLink,
+        qrCodeDataUrl,
+        // A regenerated PDF keeps the number it was first issued with, when it is known
+        invoiceNumber: regenerate ? regenerate.invoiceNumber : undefined,
+        // The first installment's PDF shows the full dues and the plan's schedule
+        balanceDue: paymentSchedule ? invoiceAmount : undefined,
+        paymentSchedule,
+      });
+
+      const populatedHtml = populateTemplate(templateHtml, pdfData);
+      const pdfBuffer     = await generatePdf(populatedHtml);
+
+      //-------------------------------------------------------------------
+      // G. STORE PDF IN S3  (always—even in test mode)
+      //-------------------------------------------------------------------
+      const pdfS3Key = buildPdfS3Key(memberInfo);
+
+      if (isDryRun) {
+        logger.info(`[DRY RUN] Would store PDF in S3 at ${pdfS3Key}`);
+        pdfLink = `s3://fake-bucket-for-dry-run/${pdfS3Key}`;
+      } else {
+        pdfLink = await storePdfInvoice(pdfBuffer, pdfS3Key);
+      }
+      logger.info(`PDF stored at: ${pdfLink}`);
+      invoiceNumber = pdfData.invoice_number;
+      if (!regenerate) {
+        await checkpoint.advance('pdf_stored', { pdfLink, paymentLink, invoiceNumber });
+      }
+    }
+
+    // Metadata, payment plan and dues are written once; a member resumed after them goes on to H2
+    let invoiceMetadataError;
+    if (regenerate) {
+      // The payment plan and dues were saved when the invoice was issued; only the new PDF's link and number change
+      if (isDryRun || isPdfTest) {
+        logger.info(`[DRY/PDF TEST RUN] Would save the new PDF link on HubSpot invoice ${createdInvoice.id} for ${memberInfo.name}`);
+      } else {
+        try {
+          await updateInvoice(hsClient, createdInvoice.id, { pdfLink, invoiceNumber });
+        } catch (error) {
+          logger.error(`The PDF for invoice ${createdInvoice.id} was regenerated, but its link was not saved:`, error.message);
+          invoiceMetadataError = error.message;
+        }
+      }
+    } else if (!checkpoint.reached('dues_updated')) {
+      //-------------------------------------------------------------------
+      // G1. SAVE PDF LINK ON THE HUBSPOT INVOICE  (skip in test/dry modes)
+      //     The rest of the metadata was saved with the draft by createInvoice.
+      //-------------------------------------------------------------------
+      if (isDryRun || isPdfTest) {
+        logger.info(`[DRY/PDF TEST RUN] Would save the PDF link and invoice number on the HubSpot invoice for ${memberInfo.name}`);
+      } else {
+        try {
+          await updateInvoice(hsClient, createdInvoice.id, { pdfLink, invoiceNumber });
+        } catch (error) {
+          // The invoice itself is valid and payable; report the missing link rather than failing the member
+          logger.error(`Invoice ${createdInvoice.id} was created, but its PDF link was not saved:`, error.message);
+          invoiceMetadataError = error.message;
+        }
+      }
+
+      //-------------------------------------------------------------------
+      // G2. PERSIST PAYMENT PLAN  (skip in test/dry modes)
+      //-------------------------------------------------------------------
+      if (paymentSchedule) {
+        if (isDryRun || isPdfTest) {
+          logger.info(`[DRY/PDF TEST RUN] Would save a ${installmentCount}-installment payment plan for membership ${memberInfo.id}`);
+        } else {
+          await storePaymentPlan({
+            membershipId    : memberInfo.id,
+            firstDueDate    : paymentSchedule[0].dueDate,
+            installmentCount,
+            totalPrice      : priceResult.totalPrice,
+            currency        : priceResult.currency,
+            priceBookVersion: priceResult.details.priceBookVersion,
+            // Enough of the member to bill later installments without re-fetching it
+            member: {
+              type       : memberInfo.type,
+              id         : memberInfo.id,
+              name       : memberInfo.name,
+              companyId  : memberInfo.companyId,
+              contactId  : memberInfo.contactId,
+              contactName: memberInfo.contactName,
+              properties : {
+                name   : memberInfo.properties.name,
+                address: memberInfo.properties.address,
+                city   : memberInfo.properties.city,
+                state  : memberInfo.properties.state,
+                zip    : memberInfo.properties.zip,
+              },
+            },
+            installments: paymentSchedule.map(installment => (installment.number === 1
+              ? { ...installment, invoiceId: createdInvoice.id, pdfLink, issuedAt: new Date().toISOString() }
+              : { ...installment })),
+            createdAt: new Date().toISOString(),
+          });
+        }
+      }
+
+      //-------------------------------------------------------------------
+      // H. UPDATE COMPANY DUES  (company only; skip in test/dry modes)
+      //-------------------------------------------------------------------
+      if (member.type === 'Company') {
+        if (isDryRun || isPdfTest) {                               // *** NEW
+          logger.info(`[DRY/PDF TEST RUN] Would update dues for Company ${memberInfo.companyId}`);
+        } else {
+          // Dues exclude sales tax
+          await updateCompanyMembershipDues(hsClient, memberInfo.companyId, priceResult.subtotal);
+        }
+      }
+      await checkpoint.advance('dues_updated');
+    }
+
+    //-------------------------------------------------------------------
+    // H2. CORRECT MANUFACTURER LEVEL  (opt-in; skip in test/dry modes)
+    //-------------------------------------------------------------------
+    const tierWrittenBack = {};
+    for (const { membership, priceResult: membershipPrice } of membershipPrices) {
+      const tierAssignment = membershipPrice.details.tierAssignment;
+      tierWrittenBack[membership.id] = false;
+      if (tierAssignment && tierAssignment.mismatch && config.ENABLE_MANUFACTURER_TIER_WRITEBACK === 'true') {
+        if (isDryRun || isPdfTest) {
+          logger.info(`[DRY/PDF TEST RUN] Would set membership ${membership.id} level to "${tierAssignment.derivedLevel}"`);
+        } else {
+          tierWrittenBack[membership.id] = await updateManufacturerMembershipLevel(hsClient, membership.id, tierAssignment.derivedLevel);
+        }
+      }
+    }
+
+    await checkpoint.advance('done', regenerate ? { invoiceId: createdInvoice.id, pdfLink, paymentLink, invoiceNumber } : {});
+
+    //-------------------------------------------------------------------
+    // I. BOOK-KEEPING
+    //-------------------------------------------------------------------
+    // One entry per membership; consolidated memberships share the invoice and PDF
+    for (const { membership, priceResult: membershipPrice } of membershipPrices) {
+      outcome.processed.push({
+        name        : memberInfo.name,
+        id          : membership.id,
+        type        : regenerate
+          ? `${memberInfo.type} PDF Regenerated`
+          : paymentSchedule ? `${memberInfo.type} Installment 1/${installmentCount}` : memberInfo.type,
+        invoiceId   : createdInvoice.id,
+        invoiceAmount: paymentSchedule ? invoiceAmount : membershipPrice.totalPrice,
+        currency    : membershipPrice.currency,
+        pdfLink     : pdfLink,
+        paymentLink : paymentLink,
+        priceBookVersion: membershipPrice.details.priceBookVersion,
+        pricingDate : membershipPrice.details.pricingDate,
+        pricingDetails: paymentSchedule
+          ? { ...membershipPrice.details, paymentPlan: { installment: 1, installmentCount, dueDate: paymentSchedule[0].dueDate, totalPrice: priceResult.totalPrice } }
+          : membershipPrice.details,
+        tierWrittenBack: tierWrittenBack[membership.id],
+        billingContact: { id: memberInfo.contactId, rule: memberInfo.billingContactRule },
+        invoiceMetadataError,
+        consolidatedMemberships: membershipPrices.length > 1 ? membershipPrices.length : undefined,
+      });
+    }
+  } catch (memberError) {
+    logger.error(`Failed ${memberInfo.name || member.data.id}:`, memberError);
+    memberships.forEach(membership => {
+      outcome.failed.push({
+        name  : memberInfo.name || 'Unknown',
+        id    : membership.id,
+        reason: memberError.message,
+      });
+    });
+  }
+  return outcome;
+};
+
+module.exports = {
+  memberKey,
+  findRenewingMembers,
+  getMemberTargets,
+  findTargetedMembers,
+  groupInvoiceBatches,
+  processRenewalMember,
+};
@@ -0,0 +1,208 @@
+// HubSpot Webhook Handler
+// Reacts to invoice status changes as HubSpot reports them, instead of waiting for scheduled runs.
+const config = require('../config');
+const { getWebhookSecret, getApiStats } = require('../hubspot/client');
+const { getWebhookRequest, verifyWebhookSignature, getInvoiceStatusChanges } = require('../hubspot/webhooks');
+const {
+  getPaymentInvoiceById,
+  getInvoiceAssociations,
+  getInvoiceLineItems,
+  recordPaidReceipt,
+  toDateKey,
+  RENEWING_INVOICE_KINDS,
+} = require('../hubspot/invoices');
+const { reconcileInvoice } = require('./reconciliation');
+const { storePdfInvoice, storeWebhookEvent } = require('../utils/storage');
+const { loadTemplate, populateTemplate, generatePdf } = require('../pdf/generator');
+const { buildInvoicePdfData, buildPdfS3Key, buildMemberInfo } = require('../pdf/invoiceData');
+const logger = require('../utils/logger');
+
+/**
+ * Renews the memberships a paid renewal or installment invoice covers (see reconcileInvoice).
+ * Invoices of other kinds, and invoices already reconciled, are left alone.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} invoice - The paid invoice.
+ * @param {{isDryRun: boolean, occurredAt: number}} options
+ * @returns {Promise<object>} The outcome, for the event log.
+ */
+const renewPaidMemberships = async (hsClient, invoice, { isDryRun, occurredAt }) => {
+  const props = invoice.properties;
+  const kind = props[config.HUBSPOT_INVOICE_KIND_PROPERTY];
+
+  if (!RENEWING_INVOICE_KINDS.includes(kind)) {
+    return { renewal: `Not renewed: invoice kind is ${kind || 'not set'}` };
+  }
+  if (props[config.HUBSPOT_INVOICE_RECONCILED_PROPERTY]) {
+    return { renewal: `Already reconciled on ${toDateKey(props[config.HUBSPOT_INVOICE_RECONCILED_PROPERTY])}` };
+  }
+
+  const asOfDate = toDateKey(occurredAt) || new Date().toISOString().slice(0, 10);
+  const { changes, outstandingInstallments } = await reconcileInvoice(hsClient, invoice, { asOfDate, isDryRun });
+  if (outstandingInstallments) {
+    return { renewal: `Not renewed yet: waiting on installment(s) ${outstandingInstallments}` };
+  }
+  return { renewal: changes };
+};
+
+/**
+ * Renders a receipt for a paid invoice (its line items under a PAID banner), stores it in S3
+ * and saves the link on the invoice (HUBSPOT_INVOICE_RECEIPT_LINK_PROPERTY).
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {object} invoice - The paid invoice.
+ * @param {{isDryRun: boolean}} options
+ * @returns {Promise<object>} The outcome, for the event log.
+ */
+const storePaidReceipt = async (hsClient, invoice, { isDryRun }) => {
+  const props = invoice.properties;
+  const invoiceNumber = props[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || props.hs_number || invoice.id;
+
+  const associations = await getInvoiceAssociations(hsClient, invoice.id);
+  if (!associations.contactId) {
+    throw new Error(`Invoice ${invoiceNumber} has no associated contact.`);
+  }
+  const memberInfo = await buildMemberInfo(hsClient, associations);
+  const pdfS3Key = buildPdfS3Key(memberInfo, `Receipt-${invoice.id}`);
+
+  if (isDryRun) {
+    logger.info(`[DRY RUN] Would store a receipt for invoice ${invoiceNumber} at ${pdfS3Key}`);
+    return { receiptLink: null };
+  }
+
+  const lineItems = await getInvoiceLineItems(hsClient, invoice.id);
+  const total = Math.round(lineItems.reduce((sum, li) => sum + li.price * li.quantity, 0) * 100) / 100;
+  const { templateHtml, logoBase64 } = loadTemplate();
+  const pdfData = buildInvoicePdfData({
+    memberInfo,
+    priceResult: { lineItems, subtotal: total, taxAmount: null, totalPrice: total, currency: props.hs_currency || config.INVOICE_CURRENCY, details: {} },
+    dueDate: toDateKey(props.hs_due_date),
+    logoBase64,
+    invoiceNumber,
+    balanceDue: 0,
+    banner: 'Paid — thank you',
+  });
+  const pdfBuffer = await generatePdf(populateTemplate(templateHtml, pdfData));
+  const receiptLink = await storePdfInvoice(pdfBuffer, pdfS3Key);
+  await recordPaidReceipt(hsClient, invoice.id, receiptLink);
+
+  return { receiptLink };
+};
+
+// What each invoice status triggers. Every event is also logged and stored in S3.
+const INVOICE_STATUS_HANDLERS = {
+  paid  : [renewPaidMemberships, storePaidReceipt],
+  voided: [],
+};
+
+/**
+ * Builds a Lambda HTTP response.
+ * @param {number} statusCode - The HTTP status.
+ * @param {object} body - The response body.
+ * @returns {object} The response.
+ */
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' },
+  body   : JSON.stringify(body),
+});
+
+/**
+ * Handles a HubSpot webhook request (exports.webhookHandler).
+ *
+ * Rejects requests whose v3 signature does not match, then runs the handlers in
+ * INVOICE_STATUS_HANDLERS for each invoice status change in the payload:
+ * - paid:   renews the memberships the invoice covers and stores a receipt PDF
+ * - voided: logged only
+ *
+ * Events whose invoice has changed status again since are stale and only logged. Each event's
+ * outcome is logged and stored under webhook-events/ in S3. Every step is safe to repeat, so
+ * a request with a failed event returns 500 and HubSpot's retry reprocesses it.
+ * Set WEBHOOK_DRY_RUN to 'true' to validate and log events without writing anything.
+ *
+ * @param {object} event - The Lambda HTTP event (API Gateway or function URL).
+ * @param {object} context - The Lambda context.
+ * @param {Function} getClient - Returns an initialized HubSpot client (only called for valid requests).
+ * @returns {Promise<object>} The HTTP response.
+ */
+const handleWebhook = async (event, context, getClient) => {
+  const isDryRun = config.WEBHOOK_DRY_RUN === 'true';
+  const request = getWebhookRequest(event);
+
+  const { valid, reason } = verifyWebhookSignature(request, await getWebhookSecret());
+  if (!valid) {
+    logger.warn(`Rejected webhook request to ${request.uri}: ${reason}`);
+    return respond(401, { message: 'Invalid signature.' });
+  }
+
+  let events;
+  try {
+    events = JSON.parse(request.body);
+  } catch (error) {
+    events = null;
+  }
+  if (!Array.isArray(events)) {
+    logger.warn('Rejected webhook request: body is not a JSON array of events.');
+    return respond(400, { message: 'Expected a JSON array of events.' });
+  }
+
+  const statusChanges = getInvoiceStatusChanges(events);
+  logger.info(`Webhook received ${events.length} event(s), ${statusChanges.length} invoice status change(s).`, { isDryRun });
+  if (statusChanges.length === 0) {
+    return respond(200, { message: 'No invoice status changes.', received: events.length });
+  }
+
+  const hsClient = await getClient();
+  const results = [];
+
+  for (const change of statusChanges) {
+    const record = { ...change, handled: [], errors: [] };
+
+    try {
+      const invoice = await getPaymentInvoiceById(hsClient, change.invoiceId);
+      record.invoiceNumber = invoice.properties[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || invoice.properties.hs_number;
+      record.currentStatus = invoice.properties.hs_invoice_status;
+
+      if (record.currentStatus !== change.status) {
+        logger.info(`Invoice ${change.invoiceId} is now ${record.currentStatus}; ignoring stale ${change.status} event ${change.eventId}.`);
+      } else {
+        for (const handler of INVOICE_STATUS_HANDLERS[change.status] || []) {
+          try {
+            Object.assign(record, await handler(hsClient, invoice, { isDryRun, occurredAt: change.occurredAt }));
+            record.handled.push(handler.name);
+          } catch (error) {
+            logger.error(`Webhook ${handler.name} failed for invoice ${change.invoiceId}:`, error);
+            record.errors.push(`${handler.name}: ${error.message}`);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Could not process webhook event ${change.eventId} for invoice ${change.invoiceId}:`, error);
+      record.errors.push(error.message);
+    }
+
+    logger.info(`Invoice ${change.invoiceId} ${change.status} (event ${change.eventId}):`, record);
+    if (!isDryRun) {
+      try {
+        await storeWebhookEvent(record);
+      } catch (error) {
+        // The event was handled; a missing log entry is not worth a HubSpot retry
+        logger.error(`Webhook event ${change.eventId} was handled but not stored:`, error.message);
+      }
+    }
+    results.push(record);
+  }
+
+  const failed = results.filter(record => record.errors.length > 0);
+  logger.info(`Webhook processed ${results.length} invoice status change(s), ${failed.length} with errors.`, { apiStats: getApiStats() });
+
+  return respond(failed.length > 0 ? 500 : 200, {
+    message : failed.length > 0 ? 'Some events failed; HubSpot will retry.' : 'Webhook processed.',
+    received: events.length,
+    results : results.map(({ eventId, invoiceId, status, handled, errors }) => ({ eventId, invoiceId, status, handled, errors })),
+  });
+};
+
+module.exports = { handleWebhook };
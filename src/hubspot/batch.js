@@ -0,0 +1,40 @@
+// HubSpot Batch Helpers
+// Splits record IDs into requests the HubSpot batch endpoints accept.
+const logger = require('../utils/logger');
+
+// Most HubSpot batch endpoints (read, create, association read/create) take at most 100 inputs
+const HUBSPOT_BATCH_SIZE = 100;
+
+/**
+ * Splits an array into consecutive chunks.
+ * @param {Array} items - The items to split.
+ * @param {number} [size] - Maximum chunk length. Defaults to HUBSPOT_BATCH_SIZE.
+ * @returns {Array<Array>} The chunks, in order.
+ */
+const chunk = (items, size = HUBSPOT_BATCH_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Logs the per-input errors HubSpot returns alongside a partially successful batch response (HTTP 207).
+ * @param {object} response - The batch response.
+ * @param {string} operation - What the batch was doing, for the log message.
+ * @returns {Array<object>} The errors, or an empty array.
+ */
+const logBatchErrors = (response, operation) => {
+  const errors = response?.errors || [];
+  for (const error of errors) {
+    logger.warn(`HubSpot batch ${operation}: ${error.category || 'ERROR'} - ${error.message}`, error.context || {});
+  }
+  return errors;
+};
+
+module.exports = {
+  HUBSPOT_BATCH_SIZE,
+  chunk,
+  logBatchErrors,
+};
@@ -3,8 +3,10 @@ const hubspot = require('@hubspot/api-client');
 const AWS = require('aws-sdk');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { createRateLimitMiddleware, wrapClientWithRetries, getApiStats, resetApiStats } = require('./rateLimiter');
 
 let clientInstance;
+let webhookSecret;
 
 /**
  * Retrieves the HubSpot API key, first trying environment variables,
@@ -51,6 +53,8 @@ const getApiKey = async () => {
 /**
  * Initializes and returns a HubSpot API client.
  * Uses a singleton pattern to avoid re-initializing the client on subsequent calls within the same Lambda invocation.
+ * The client tracks HubSpot's rate-limit headers and retries 429s, 5xx errors and
+ * network failures with backoff (see rateLimiter.js).
  *
  * @async
  * @returns {hubspot.Client} The initialized HubSpot client.
@@ -63,7 +67,10 @@ const getClient = async () => {
 
   try {
     const apiKey = await getApiKey();
-    clientInstance = new hubspot.Client({ accessToken: apiKey });
+    clientInstance = wrapClientWithRetries(new hubspot.Client({
+      accessToken: apiKey,
+      middleware: [createRateLimitMiddleware()],
+    }));
     logger.info('HubSpot client initialized successfully.');
     return clientInstance;
   } catch (error) {
@@ -73,6 +80,38 @@ const getClient = async () => {
   }
 };
 
+/**
+ * Retrieves the HubSpot app's client secret, which signs webhook requests. Tries the
+ * HUBSPOT_CLIENT_SECRET environment variable, then the same Secrets Manager secret as the API key.
+ * @async
+ * @returns {string} The client secret.
+ * @throws {Error} If the client secret cannot be retrieved.
+ */
+const getWebhookSecret = async () => {
+  if (webhookSecret) return webhookSecret;
+
+  if (process.env.HUBSPOT_CLIENT_SECRET) {
+    webhookSecret = process.env.HUBSPOT_CLIENT_SECRET;
+    return webhookSecret;
+  }
+
+  if (config.HUBSPOT_API_KEY_SECRET_ID) {
+    const secretsManager = new AWS.SecretsManager({ region: config.AWS_REGION });
+    try {
+      const secretValue = await secretsManager.getSecretValue({ SecretId: config.HUBSPOT_API_KEY_SECRET_ID }).promise();
+      const secret = JSON.parse(secretValue.SecretString || '{}');
+      webhookSecret = secret.HUBSPOT_CLIENT_SECRET || secret.clientSecret || secret.client_secret;
+    } catch (error) {
+      logger.error('Error retrieving HubSpot client secret from AWS Secrets Manager:', error);
+      throw new Error(`Failed to retrieve HubSpot client secret from Secrets Manager: ${error.message}`);
+    }
+    if (webhookSecret) return webhookSecret;
+  }
+
+  logger.error('HubSpot client secret not found. Set HUBSPOT_CLIENT_SECRET or add it to the HUBSPOT_API_KEY_SECRET_ID secret.');
+  throw new Error('HubSpot client secret is missing.');
+};
+
 // Export getClient directly as it's the primary function to be used.
 // getApiKey is an internal helper.
-module.exports = { getClient };
\ No newline at end of file
+module.exports = { getClient, getWebhookSecret, getApiStats, resetApiStats };
\ No newline at end of file
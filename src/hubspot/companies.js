@@ -1,21 +1,221 @@
 // HubSpot Company Data Retrieval
 const config  = require('../config');
 const logger  = require('../utils/logger');
-const { calculateTargetDate } = require('./invoices');
+const { calculateRenewalWindow } = require('./invoices');
+const { chunk, logBatchErrors } = require('./batch');
 
 /**
- * Fetches company memberships expiring at the configured target date and
+ * Lists the membership object properties needed for pricing and invoicing.
+ * @returns {Array<string>} Property names.
+ */
+const getMembershipPropertiesToFetch = () => [
+  'company_membership_name',
+  'company_name',
+  config.HUBSPOT_MEMBERSHIP_STATUS_PROPERTY,
+  config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY,
+  config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY,
+  config.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY,
+  config.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY,
+  config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY,
+  config.HUBSPOT_PAYMENT_PLAN_PROPERTY,
+].filter(Boolean);
+
+// Company properties copied onto each enriched membership
+const getCompanyPropertiesToFetch = () => [
+  'name',
+  'address',
+  'city',
+  'state',
+  'zip',
+  'country',
+  config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY,
+  config.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY,
+  config.HUBSPOT_DISCOUNT_CODES_PROPERTY,
+  config.HUBSPOT_PRICE_OVERRIDE_PROPERTY,
+  config.HUBSPOT_MEMBER_CURRENCY_PROPERTY,
+  config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY,
+  config.HUBSPOT_TAX_EXEMPT_PROPERTY,
+  config.HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY,
+].filter(Boolean);
+
+/**
+ * Looks up the company associated with each membership, using the batch association
+ * endpoint (one call per 100 memberships).
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<string>} membershipIds The membership record IDs.
+ * @returns {Promise<Map<string, string>>} Company ID by membership ID; memberships without a company are absent.
+ */
+const getMembershipCompanyIds = async (hubspotClient, membershipIds) => {
+  const companyIds = new Map();
+  for (const ids of chunk(membershipIds)) {
+    const rsp = await hubspotClient.crm.associations.v4.batchApi.getPage(
+      config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
+      'company',
+      { inputs: ids.map(id => ({ id: String(id) })) }
+    );
+    for (const result of rsp.results || []) {
+      if (result.to?.length) {
+        companyIds.set(String(result._from.id), String(result.to[0].toObjectId));
+      }
+    }
+  }
+  return companyIds;
+};
+
+/**
+ * Reads companies in batches of 100.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<string>} companyIds The company IDs (duplicates are read once).
+ * @param {Array<string>} properties The company properties to read.
+ * @returns {Promise<Map<string, object>>} Company records by ID; companies HubSpot could not find are absent.
+ */
+const getCompaniesByIds = async (hubspotClient, companyIds, properties) => {
+  const companies = new Map();
+  for (const ids of chunk([...new Set(companyIds)])) {
+    const rsp = await hubspotClient.crm.companies.batchApi.read({
+      inputs: ids.map(id => ({ id })),
+      properties,
+      propertiesWithHistory: [],
+    });
+    logBatchErrors(rsp, 'company read');
+    for (const company of rsp.results || []) {
+      companies.set(String(company.id), company);
+    }
+  }
+  return companies;
+};
+
+/**
+ * Combines a membership record with its company's data into the shape the pricing
+ * and invoicing steps expect.
+ *
+ * @param {object} membership The membership record (id and properties) from the custom object.
+ * @param {string} companyId The associated company's ID.
+ * @param {object} company The company record.
+ * @returns {object} The enriched membership.
+ */
+const buildEnrichedMembership = (membership, companyId, company) => {
+  const nextRenewalDateProperty = config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY;
+
+  // DEBUG: Log the raw company data retrieved from HubSpot
+  logger.info(`Raw company data for ${companyId}:`, {
+    name: company.properties.name,
+    address: company.properties.address,
+    city: company.properties.city,
+    state: company.properties.state,
+    zip: company.properties.zip,
+    membershipType: company.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]
+  });
+
+  // DEBUG: Log the raw membership data for manufacturer membership level
+  if (company.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY] === config.MEMBERSHIP_TYPE_MANUFACTURER) {
+    logger.info(`Raw membership data for manufacturer ${companyId}:`, {
+      membershipLevel: membership.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY],
+      membershipLevelProperty: config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY
+    });
+  }
+
+  const enrichedMembership = {
+    id: membership.id,
+    companyId,
+    properties: {
+      company_membership_name:        membership.properties.company_membership_name,
+      company_name:                   membership.properties.company_name,
+      status:                         membership.properties[config.HUBSPOT_MEMBERSHIP_STATUS_PROPERTY],
+      [nextRenewalDateProperty]:      membership.properties[nextRenewalDateProperty],
+      name:                           company.properties.name,
+      address:                        company.properties.address,
+      city:                           company.properties.city,
+      state:                          company.properties.state,
+      zip:                            company.properties.zip,
+      country:                        company.properties.country,
+      [config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]:
+                                      company.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY],
+      [config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY]:
+                                      membership.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY],
+      number_of_territories:          company.properties.number_of_territories,
+      [config.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY]:
+                                      company.properties[config.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY],
+      // Distributor territory properties now come from membership object
+      [config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY]:
+                                      membership.properties[config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY],
+      [config.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY]:
+                                      membership.properties[config.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY],
+      [config.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY]:
+                                      membership.properties[config.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY],
+      [config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY]:
+                                      membership.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY],
+      [config.HUBSPOT_PAYMENT_PLAN_PROPERTY]:
+                                      membership.properties[config.HUBSPOT_PAYMENT_PLAN_PROPERTY],
+      // Member-specific discounts and overrides come from the company record
+      [config.HUBSPOT_DISCOUNT_CODES_PROPERTY]:
+                                      company.properties[config.HUBSPOT_DISCOUNT_CODES_PROPERTY],
+      [config.HUBSPOT_PRICE_OVERRIDE_PROPERTY]:
+                                      company.properties[config.HUBSPOT_PRICE_OVERRIDE_PROPERTY],
+      [config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY]:
+                                      company.properties[config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY],
+      [config.HUBSPOT_TAX_EXEMPT_PROPERTY]:
+                                      company.properties[config.HUBSPOT_TAX_EXEMPT_PROPERTY],
+      [config.HUBSPOT_MEMBER_CURRENCY_PROPERTY]:
+                                      company.properties[config.HUBSPOT_MEMBER_CURRENCY_PROPERTY],
+      [config.HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY]:
+                                      company.properties[config.HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY],
+    },
+  };
+
+  return enrichedMembership;
+};
+
+/**
+ * Enriches membership records with their associated companies' data. Associations and
+ * companies are fetched with HubSpot's batch endpoints, so a run makes a few calls per
+ * 100 memberships rather than two per membership.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<object>} memberships The membership records (id and properties) from the custom object.
+ * @returns {Promise<Array<object>>} The enriched memberships, in input order. Memberships without a company are left out.
+ */
+const enrichMemberships = async (hubspotClient, memberships) => {
+  if (memberships.length === 0) return [];
+
+  const companyIds = await getMembershipCompanyIds(hubspotClient, memberships.map(m => m.id));
+  const companies = await getCompaniesByIds(hubspotClient, [...companyIds.values()], getCompanyPropertiesToFetch());
+
+  const enriched = [];
+  for (const membership of memberships) {
+    const companyId = companyIds.get(String(membership.id));
+    if (!companyId) {
+      logger.warn(`No company associated with membership ${membership.id}; skipping`);
+      continue;
+    }
+    const company = companies.get(companyId);
+    if (!company) {
+      logger.error(`Error enriching membership ${membership.id}: company ${companyId} could not be read`);
+      continue;
+    }
+
+    enriched.push(buildEnrichedMembership(membership, companyId, company));
+    logger.info(`Enriched membership ${membership.id} with company ${companyId}`);
+  }
+  return enriched;
+};
+
+/**
+ * Fetches company memberships renewing within the renewal window and
  * enriches them with company data.
  *
  * @async
  * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {{start: number, end: number}} [renewalWindow] The renewal dates to search. Defaults to calculateRenewalWindow().
  * @returns {Promise<Array<object>>} Array of enriched membership objects.
  */
-const getExpiringCompanyMemberships = async (hubspotClient) => {
-  logger.info('Fetching company memberships expiring at the configured target date…');
-
-  // Use the new target date calculation instead of hardcoding last day of current month
-  const targetTs = calculateTargetDate();
+const getExpiringCompanyMemberships = async (hubspotClient, renewalWindow = calculateRenewalWindow()) => {
+  logger.info('Fetching company memberships renewing within the renewal window…');
 
   // Configured renewal-date property
   const nextRenewalDateProperty = config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY;
@@ -24,31 +224,22 @@ const getExpiringCompanyMemberships = async (hubspotClient) => {
   }
 
   // Properties we need from the membership object
-  const propertiesToFetch = [
-    'company_membership_name',
-    'company_name',
-    'status',
-    nextRenewalDateProperty,          // ← variable, not a string literal
-    config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY,
-    config.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY,
-    config.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY,
-    config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY,
-  ].filter(Boolean);
-
-  const CUSTOM_OBJECT_TYPE_ID = '2-45511388';
+  const propertiesToFetch = getMembershipPropertiesToFetch();
+
   let after;
   const limit = 100;
   const allMemberships = [];
 
   try {
     do {
-      // Search for memberships whose renewal date == last day of month
+      // Search for memberships whose renewal date falls within the window
       const searchRequest = {
         filterGroups: [{
           filters: [{
             propertyName: nextRenewalDateProperty,     // ← variable here too
-            operator: 'EQ',
-            value: targetTs,
+            operator: 'BETWEEN',
+            value: renewalWindow.start,
+            highValue: renewalWindow.end,
           }],
         }],
         properties: propertiesToFetch,
@@ -58,12 +249,12 @@ const getExpiringCompanyMemberships = async (hubspotClient) => {
       };
 
       logger.info(
-        `Searching memberships where ${nextRenewalDateProperty} = ${new Date(targetTs).toISOString().slice(0,10)}`,
+        `Searching memberships where ${nextRenewalDateProperty} is between ${new Date(renewalWindow.start).toISOString().slice(0,10)} and ${new Date(renewalWindow.end).toISOString().slice(0,10)}`,
         { searchRequest }
       );
 
       const rsp = await hubspotClient.crm.objects.searchApi.doSearch(
-        CUSTOM_OBJECT_TYPE_ID,
+        config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
         searchRequest,
       );
 
@@ -73,106 +264,256 @@ const getExpiringCompanyMemberships = async (hubspotClient) => {
 
     logger.info(`Total expiring memberships found: ${allMemberships.length}`);
 
-    // Enrich each membership with its associated company data
-    const enriched = [];
-    for (const membership of allMemberships) {
-      try {
-        const assocResponse = await hubspotClient.crm.associations.v4.basicApi.getPage(
-          CUSTOM_OBJECT_TYPE_ID,
-          membership.id,
-          '0-2', // "0-2" = Company object type
-          undefined, // after
-          1 // limit
-        );
-
-        const assoc = assocResponse.results;
-
-        if (!assoc?.length) {
-          logger.warn(`No company associated with membership ${membership.id}; skipping`);
-          continue;
-        }
+    // Enrich the memberships with their associated company data
+    const enriched = await enrichMemberships(hubspotClient, allMemberships);
+
+    logger.info(`Successfully enriched ${enriched.length} memberships`);
+    return enriched;
+  } catch (err) {
+    logger.error('Error fetching company memberships:', err.body || err.message || err);
+    throw err.body?.message
+      ? new Error(`HubSpot API Error: ${err.body.message}`)
+      : err;
+  }
+};
+
+/**
+ * Fetches a single company membership by its record ID and enriches it with company data.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} membershipId The membership record ID.
+ * @returns {Promise<object|null>} The enriched membership, or null if no company is associated.
+ */
+const getCompanyMembershipById = async (hubspotClient, membershipId) => {
+  logger.info(`Fetching company membership ${membershipId}…`);
 
-        const companyId = assoc[0].toObjectId;
-
-        const company = await hubspotClient.crm.companies.basicApi.getById(companyId, [
-          'name',
-          'address',
-          'city',
-          'state',
-          'zip',
-          config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY,
-          'annual_sales_volume',
-        ].filter(Boolean));
-
-        // DEBUG: Log the raw company data retrieved from HubSpot
-        logger.info(`Raw company data for ${companyId}:`, {
-          name: company.properties.name,
-          address: company.properties.address,
-          city: company.properties.city,
-          state: company.properties.state,
-          zip: company.properties.zip,
-          membershipType: company.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]
-        });
-
-        // DEBUG: Log the raw membership data for manufacturer membership level
-        if (company.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY] === config.MEMBERSHIP_TYPE_MANUFACTURER) {
-          logger.info(`Raw membership data for manufacturer ${companyId}:`, {
-            membershipLevel: membership.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY],
-            membershipLevelProperty: config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY
-          });
+  try {
+    const membership = await hubspotClient.crm.objects.basicApi.getById(
+      config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
+      membershipId,
+      getMembershipPropertiesToFetch()
+    );
+    const [enriched] = await enrichMemberships(hubspotClient, [membership]);
+    return enriched || null;
+  } catch (err) {
+    logger.error(`Error fetching company membership ${membershipId}:`, err.body || err.message || err);
+    throw err.body?.message
+      ? new Error(`HubSpot API Error (getCompanyMembershipById): ${err.body.message}`)
+      : err;
+  }
+};
+
+/**
+ * Fetches company memberships by record ID and enriches them with company data,
+ * e.g. for a run targeted at an explicit list of memberships.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<string>} membershipIds The membership record IDs.
+ * @returns {Promise<Array<object>>} The enriched memberships, in input order. Memberships HubSpot could not read,
+ *          or without an associated company, are left out.
+ */
+const getCompanyMembershipsByIds = async (hubspotClient, membershipIds) => {
+  const ids = [...new Set(membershipIds.map(String))];
+  const memberships = new Map();
+  try {
+    for (const batch of chunk(ids)) {
+      const rsp = await hubspotClient.crm.objects.batchApi.read(config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID, {
+        inputs: batch.map(id => ({ id })),
+        properties: getMembershipPropertiesToFetch(),
+        propertiesWithHistory: [],
+      });
+      logBatchErrors(rsp, 'membership read');
+      for (const membership of rsp.results || []) {
+        memberships.set(String(membership.id), membership);
+      }
+    }
+    return await enrichMemberships(hubspotClient, ids.filter(id => memberships.has(id)).map(id => memberships.get(id)));
+  } catch (err) {
+    logger.error('Error fetching company memberships by ID:', err.body || err.message || err);
+    throw err.body?.message
+      ? new Error(`HubSpot API Error (getCompanyMembershipsByIds): ${err.body.message}`)
+      : err;
+  }
+};
+
+/**
+ * Lists the membership records associated with each company, using the batch association endpoint.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<string>} companyIds The company IDs.
+ * @returns {Promise<Map<string, Array<string>>>} Membership IDs by company ID; companies without memberships are absent.
+ */
+const getCompanyMembershipIds = async (hubspotClient, companyIds) => {
+  const membershipIds = new Map();
+  try {
+    for (const ids of chunk([...new Set(companyIds.map(String))])) {
+      const rsp = await hubspotClient.crm.associations.v4.batchApi.getPage(
+        'company',
+        config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
+        { inputs: ids.map(id => ({ id })) }
+      );
+      for (const result of rsp.results || []) {
+        if (result.to?.length) {
+          membershipIds.set(String(result._from.id), result.to.map(to => String(to.toObjectId)));
         }
+      }
+    }
+    return membershipIds;
+  } catch (err) {
+    logger.error('Error listing company memberships:', err.body || err.message || err);
+    throw err.body?.message
+      ? new Error(`HubSpot API Error (getCompanyMembershipIds): ${err.body.message}`)
+      : err;
+  }
+};
 
-        enriched.push({
-          id: membership.id,
-          companyId,
-          properties: {
-            company_membership_name:        membership.properties.company_membership_name,
-            company_name:                   membership.properties.company_name,
-            status:                         membership.properties.status,
-            [nextRenewalDateProperty]:      membership.properties[nextRenewalDateProperty],
-            name:                           company.properties.name,
-            address:                        company.properties.address,
-            city:                           company.properties.city,
-            state:                          company.properties.state,
-            zip:                            company.properties.zip,
-            [config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]:
-                                            company.properties[config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY],
-            [config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY]:
-                                            membership.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY],
-            number_of_territories:          company.properties.number_of_territories,
-            annual_sales_volume:            company.properties.annual_sales_volume,
-            // Distributor territory properties now come from membership object
-            [config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY]:
-                                            membership.properties[config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY],
-            [config.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY]:
-                                            membership.properties[config.HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY],
-            [config.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY]:
-                                            membership.properties[config.HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY],
-            [config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY]:
-                                            membership.properties[config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY],
-          },
-        });
-
-        logger.info(`Enriched membership ${membership.id} with company ${companyId}`);
-      } catch (err) {
-        logger.error(`Error enriching membership ${membership.id}:`, err.message);
+/**
+ * Writes a manufacturer membership level back to the membership record, e.g. when the
+ * tier derived from annual sales volume differs from the stored label.
+ * Failures are logged and do not stop invoicing.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} membershipId The membership record ID.
+ * @param {string} membershipLevel The level label to store (e.g. "$3,500 ($5M - $10M)").
+ * @returns {Promise<boolean>} True if the membership was updated.
+ */
+const updateManufacturerMembershipLevel = async (hubspotClient, membershipId, membershipLevel) => {
+  const levelProperty = config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY;
+  try {
+    await hubspotClient.crm.objects.basicApi.update(
+      config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
+      membershipId,
+      { properties: { [levelProperty]: membershipLevel } }
+    );
+    logger.info(`Membership ${membershipId} ${levelProperty} updated to "${membershipLevel}".`);
+    return true;
+  } catch (err) {
+    logger.error(`Error updating ${levelProperty} for membership ${membershipId}:`, err.body || err.message);
+    return false;
+  }
+};
+
+/**
+ * Reads the renewal date and status of membership records.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<string>} membershipIds The membership record IDs.
+ * @returns {Promise<Map<string, object>>} Membership record by ID; records HubSpot could not read are left out.
+ */
+const getMembershipsByIds = async (hubspotClient, membershipIds) => {
+  const memberships = new Map();
+  try {
+    for (const ids of chunk([...new Set(membershipIds)])) {
+      const rsp = await hubspotClient.crm.objects.batchApi.read(config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID, {
+        inputs: ids.map(id => ({ id })),
+        properties: [
+          'company_membership_name',
+          config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY,
+          config.HUBSPOT_MEMBERSHIP_STATUS_PROPERTY,
+        ],
+        propertiesWithHistory: [],
+      });
+      logBatchErrors(rsp, 'membership read');
+      for (const membership of rsp.results || []) {
+        memberships.set(String(membership.id), membership);
       }
     }
+    return memberships;
+  } catch (err) {
+    logger.error('Error reading membership records:', err.body || err.message || err);
+    throw err.body?.message
+      ? new Error(`HubSpot API Error (getMembershipsByIds): ${err.body.message}`)
+      : err;
+  }
+};
 
-    logger.info(`Successfully enriched ${enriched.length} memberships`);
-    return enriched;
+/**
+ * Records a paid renewal on a membership record: moves its next renewal date on and sets its status.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} membershipId The membership record ID.
+ * @param {object} renewal
+ * @param {string} renewal.renewalDate The new next renewal date (YYYY-MM-DD).
+ * @param {string} [renewal.status] The new membership status.
+ */
+const updateMembershipRenewal = async (hubspotClient, membershipId, { renewalDate, status }) => {
+  const properties = {
+    [config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY]: renewalDate,
+    ...(status && { [config.HUBSPOT_MEMBERSHIP_STATUS_PROPERTY]: status }),
+  };
+  try {
+    await hubspotClient.crm.objects.basicApi.update(config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID, membershipId, { properties });
+    logger.info(`Membership ${membershipId} renewed through ${renewalDate}${status ? ` (${status})` : ''}.`);
   } catch (err) {
-    logger.error('Error fetching company memberships:', err.body || err.message || err);
+    logger.error(`Error updating renewal date for membership ${membershipId}:`, err.body || err.message || err);
     throw err.body?.message
-      ? new Error(`HubSpot API Error: ${err.body.message}`)
+      ? new Error(`HubSpot API Error (updateMembershipRenewal): ${err.body.message}`)
       : err;
   }
 };
 
+/**
+ * Fetches a company's name and billing address.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} companyId The company ID.
+ * @returns {Promise<object>} The company object.
+ */
+const getCompanyById = async (hubspotClient, companyId) => {
+  try {
+    return await hubspotClient.crm.companies.basicApi.getById(companyId, [
+      'name',
+      'address',
+      'city',
+      'state',
+      'zip',
+      'country',
+    ]);
+  } catch (err) {
+    logger.error(`Error fetching company ${companyId}:`, err.body || err.message || err);
+    throw err.body?.message
+      ? new Error(`HubSpot API Error (getCompanyById): ${err.body.message}`)
+      : err;
+  }
+};
+
+/**
+ * Groups enriched memberships by the company they belong to, keeping the search order.
+ *
+ * @param {Array<object>} memberships The enriched memberships (each with a companyId).
+ * @returns {Array<Array<object>>} One array of memberships per company.
+ */
+const groupMembershipsByCompany = (memberships) => {
+  const groups = new Map();
+  for (const membership of memberships) {
+    if (!groups.has(membership.companyId)) {
+      groups.set(membership.companyId, []);
+    }
+    groups.get(membership.companyId).push(membership);
+  }
+  return [...groups.values()];
+};
+
 // Alias for backward compatibility
 const getCompaniesWithExpiringMemberships = getExpiringCompanyMemberships;
 
 module.exports = {
   getExpiringCompanyMemberships,
+  getCompanyMembershipById,
+  getCompanyMembershipsByIds,
+  getCompanyMembershipIds,
+  updateManufacturerMembershipLevel,
+  getMembershipsByIds,
+  updateMembershipRenewal,
+  getCompanyById,
+  groupMembershipsByCompany,
   getCompaniesWithExpiringMemberships,
+  buildEnrichedMembership,
 };
\ No newline at end of file
@@ -1,92 +1,191 @@
 // HubSpot Contact Data Operations
 const config = require('../config');
 const logger = require('../utils/logger');
-const { calculateTargetDate } = require('./invoices');
+const { calculateRenewalWindow } = require('./invoices');
+const { chunk, logBatchErrors } = require('./batch');
+
+// Billing contact resolution rules (BILLING_CONTACT_RESOLUTION_ORDER)
+const BILLING_CONTACT_RULES = {
+  association_label: 'billing contact association label',
+  company_property : 'company billing contact property',
+  primary          : 'primary contact',
+};
+
+/**
+ * Lists the contact properties to fetch for invoicing.
+ * @returns {Array<string>} Property names.
+ */
+const getContactPropertiesToFetch = () => (
+  config.HUBSPOT_CONTACT_PROPERTIES_TO_FETCH ||
+  'email,firstname,lastname,address,city,state,zip'
+).split(',');
 
 /**
- * Fetches the primary contact for a given company.
+ * Lists every contact associated with a company, with the association types (and labels) of each.
  *
  * @async
  * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
  * @param {string} companyId The ID of the HubSpot company.
- * @returns {Promise<object|null>} The primary contact object, or null if not found.
+ * @returns {Promise<Array<{toObjectId: string, associationTypes: Array<object>}>>} The associations.
  */
-const getPrimaryContact = async (hubspotClient, companyId) => {
-  logger.info(`Fetching primary contact for company ID: ${companyId}`);
+const getCompanyContactAssociations = async (hubspotClient, companyId) => {
+  const associations = [];
+  let after;
+  do {
+    const rsp = await hubspotClient.crm.associations.v4.basicApi.getPage('companies', companyId, 'contacts', after, 500);
+    associations.push(...(rsp.results || []));
+    after = rsp.paging?.next?.after;
+  } while (after);
+  return associations;
+};
+
+/**
+ * Finds the contacts a company's billing contact property refers to, by contact ID or email.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} value The property value (a contact ID or an email address).
+ * @returns {Promise<Array<string>>} The matching contact IDs.
+ */
+const findContactIdsByReference = async (hubspotClient, value) => {
+  if (/^\d+$/.test(value)) {
+    try {
+      const contact = await hubspotClient.crm.contacts.basicApi.getById(value, ['email']);
+      return [String(contact.id)];
+    } catch (error) {
+      if (error.code === 404) return [];
+      throw error;
+    }
+  }
+
+  const rsp = await hubspotClient.crm.contacts.searchApi.doSearch({
+    filterGroups: [{ filters: [{ propertyName: 'email', operator: 'EQ', value }] }],
+    properties: ['email'],
+    limit: 10,
+  });
+  return (rsp.results || []).map(contact => String(contact.id));
+};
+
+/**
+ * Works out who a company's invoices go to by trying each rule in
+ * BILLING_CONTACT_RESOLUTION_ORDER until one applies:
+ * - association_label: the contact associated with the HUBSPOT_BILLING_CONTACT_ASSOCIATION_LABEL label
+ * - company_property:  the contact ID or email in the company's HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY
+ * - primary:           the company's primary contact (HUBSPOT_PRIMARY_CONTACT_ASSOCIATION_TYPE_ID, or the "Primary" label)
+ *
+ * A rule applies when it finds at least one contact. If it finds more than one, or a company property
+ * names a contact that does not exist, the billing contact is ambiguous and no contact is returned.
+ * There is no "first associated contact" fallback: a member no rule resolves needs review.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} companyId The ID of the HubSpot company.
+ * @param {object} [companyProperties] The company's properties (for the billing contact property).
+ * @returns {Promise<{contact: object|null, rule: string|null, reason: string|null, candidates: Array<string>}>}
+ *          The contact and the rule that chose it, or a null contact with the reason it needs review.
+ */
+const resolveBillingContact = async (hubspotClient, companyId, companyProperties = {}) => {
+  logger.info(`Resolving billing contact for company ID: ${companyId}`);
+
+  const rules = config.BILLING_CONTACT_RESOLUTION_ORDER.split(',').map(rule => rule.trim()).filter(Boolean);
 
   try {
-    const toObjectType = 'contact';
-    let primaryContactId = null;
-
-    const associationsResponse = await hubspotClient.crm.associations.v4.basicApi.getPage(
-      'companies',      // fromObjectType
-      companyId,        // fromObjectId
-      'contacts',       // toObjectType
-      undefined,        // after (pagination)
-      100               // limit (adjust as needed)
-    );
+    let associations;
+    const associatedContactIds = async (matches) => {
+      associations = associations || await getCompanyContactAssociations(hubspotClient, companyId);
+      return associations
+        .filter(assoc => (assoc.associationTypes || []).some(matches))
+        .map(assoc => String(assoc.toObjectId));
+    };
+    const hasLabel = (label) => (type) => (type.label || '').toLowerCase() === label.toLowerCase();
 
-    if (!associationsResponse.results?.length) {
-      logger.warn(`No contacts found associated with company ID: ${companyId}`);
-      return null;
-    }
+    for (const rule of rules) {
+      let candidates = [];
 
-    // If a specific "primary contact" association type is configured, try that first
-    const primaryContactAssociationTypeId = config.HUBSPOT_PRIMARY_CONTACT_ASSOCIATION_TYPE_ID;
-    if (primaryContactAssociationTypeId) {
-      const primaryAssoc = associationsResponse.results.find((assoc) =>
-        assoc.associationTypes.some(
-          (at) =>
-            at.type === primaryContactAssociationTypeId &&
-            at.category === 'HUBSPOT_DEFINED' // or 'USER_DEFINED' depending on setup
-        )
-      );
-      if (primaryAssoc) {
-        primaryContactId = primaryAssoc.toObjectId;
+      if (rule === 'association_label') {
+        candidates = await associatedContactIds(hasLabel(config.HUBSPOT_BILLING_CONTACT_ASSOCIATION_LABEL));
+      } else if (rule === 'company_property') {
+        const value = String(companyProperties[config.HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY] || '').trim();
+        if (!value) continue;
+        candidates = await findContactIdsByReference(hubspotClient, value);
+        if (candidates.length === 0) {
+          return { contact: null, rule, candidates, reason: `Billing contact "${value}" in company property ${config.HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY} not found` };
+        }
+      } else if (rule === 'primary') {
+        const primaryTypeId = config.HUBSPOT_PRIMARY_CONTACT_ASSOCIATION_TYPE_ID;
+        candidates = await associatedContactIds(primaryTypeId
+          ? (type) => String(type.typeId) === String(primaryTypeId)
+          : hasLabel('Primary'));
+      } else {
+        logger.warn(`Unknown billing contact rule "${rule}" in BILLING_CONTACT_RESOLUTION_ORDER; ignoring it.`);
+        continue;
       }
-    }
 
-    // Fallback: just grab the first associated contact
-    if (!primaryContactId) {
-      primaryContactId = associationsResponse.results[0].toObjectId;
-    }
+      candidates = [...new Set(candidates)];
+      if (candidates.length === 0) continue;
+      if (candidates.length > 1) {
+        return { contact: null, rule, candidates, reason: `Ambiguous billing contact: ${candidates.length} contacts match the ${BILLING_CONTACT_RULES[rule]} (${candidates.join(', ')})` };
+      }
 
-    if (!primaryContactId) {
-      logger.warn(`Could not determine a primary contact ID for company: ${companyId}`);
-      return null;
+      const contact = await hubspotClient.crm.contacts.basicApi.getById(candidates[0], getContactPropertiesToFetch());
+      logger.info(`Billing contact for company ${companyId}: ${contact.properties.email || contact.id} (${BILLING_CONTACT_RULES[rule]})`);
+      return { contact, rule, candidates, reason: null };
     }
 
-    const contactProps = (
-      config.HUBSPOT_CONTACT_PROPERTIES_TO_FETCH ||
-      'email,firstname,lastname,address,city,state,zip'
-    ).split(',');
-
-    const contact = await hubspotClient.crm.contacts.basicApi.getById(
-      primaryContactId,
-      contactProps
-    );
-
-    logger.info(`Primary contact found for company ${companyId}: ${contact.properties.email || contact.id}`);
-    return contact;
+    logger.warn(`No billing contact found for company ID: ${companyId}`);
+    return { contact: null, rule: null, candidates: [], reason: `No billing contact: none of ${rules.join(', ')} matched a contact` };
   } catch (error) {
     logger.error(
-      `Error fetching primary contact for company ${companyId}:`,
+      `Error resolving billing contact for company ${companyId}:`,
       error.body || error.message || error
     );
     throw error.body?.message
-      ? new Error(`HubSpot API Error (getPrimaryContact): ${error.body.message}`)
+      ? new Error(`HubSpot API Error (resolveBillingContact): ${error.body.message}`)
       : error;
   }
 };
 
 /**
- * Fetches individual members whose memberships expire at the configured target date.
+ * Fetches the billing contact for a given company.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} companyId The ID of the HubSpot company.
+ * @returns {Promise<object|null>} The billing contact object, or null if there is none or it is ambiguous.
+ * @deprecated Use resolveBillingContact, which also reports the rule used and why a contact needs review.
+ */
+const getPrimaryContact = async (hubspotClient, companyId) => {
+  const { contact } = await resolveBillingContact(hubspotClient, companyId);
+  return contact;
+};
+
+// Contact properties needed to price and invoice an individual membership
+const getIndividualPropertiesToFetch = () => [
+  'firstname',
+  'lastname',
+  'email',
+  'address',
+  'city',
+  'state',
+  'zip',
+  'country',
+  config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY,
+  config.HUBSPOT_DISCOUNT_CODES_PROPERTY,
+  config.HUBSPOT_PRICE_OVERRIDE_PROPERTY,
+  config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY,
+  config.HUBSPOT_TAX_EXEMPT_PROPERTY,
+  config.HUBSPOT_MEMBER_CURRENCY_PROPERTY,
+].filter(Boolean);
+
+/**
+ * Fetches individual members whose paid-through dates fall within the renewal window.
  *
  * @async
  * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {{start: number, end: number}} [renewalWindow] The renewal dates to search. Defaults to calculateRenewalWindow().
  * @returns {Promise<Array<object>>} Array of contact objects.
  */
-const getExpiringIndividualMemberships = async (hubspotClient) => {
+const getExpiringIndividualMemberships = async (hubspotClient, renewalWindow = calculateRenewalWindow()) => {
   logger.info('Fetching individual members with expiring memberships…');
 
   const paidThroughProp = config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY;
@@ -94,19 +193,7 @@ const getExpiringIndividualMemberships = async (hubspotClient) => {
     throw new Error('Configuration for Individual Paid Through Date property is missing.');
   }
 
-  // Use the new target date calculation instead of hardcoding last day of current month
-  const targetDateTimestamp = calculateTargetDate();
-
-  const propertiesToFetch = [
-    'firstname',
-    'lastname',
-    'email',
-    'address',
-    'city',
-    'state',
-    'zip',
-    paidThroughProp,
-  ].filter(Boolean);
+  const propertiesToFetch = getIndividualPropertiesToFetch();
 
   const limit = 100;
   let after;
@@ -120,8 +207,9 @@ const getExpiringIndividualMemberships = async (hubspotClient) => {
             filters: [
               {
                 propertyName: paidThroughProp,
-                operator: 'EQ',
-                value: targetDateTimestamp,
+                operator: 'BETWEEN',
+                value: renewalWindow.start,
+                highValue: renewalWindow.end,
               },
             ],
           },
@@ -137,7 +225,7 @@ const getExpiringIndividualMemberships = async (hubspotClient) => {
       after = response.paging?.next?.after;
     } while (after);
 
-    logger.info(`Found ${contacts.length} individual memberships expiring this month.`);
+    logger.info(`Found ${contacts.length} individual memberships renewing within the window.`);
     return contacts;
   } catch (error) {
     logger.error('Error fetching expiring individual members from HubSpot:', error.body || error.message);
@@ -145,7 +233,106 @@ const getExpiringIndividualMemberships = async (hubspotClient) => {
   }
 };
 
+/**
+ * Fetches a contact by ID with the configured contact properties.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} contactId The ID of the HubSpot contact.
+ * @returns {Promise<object>} The contact object.
+ */
+const getContactById = async (hubspotClient, contactId) => {
+  try {
+    return await hubspotClient.crm.contacts.basicApi.getById(contactId, getContactPropertiesToFetch());
+  } catch (error) {
+    logger.error(`Error fetching contact ${contactId}:`, error.body || error.message || error);
+    throw error.body?.message
+      ? new Error(`HubSpot API Error (getContactById): ${error.body.message}`)
+      : error;
+  }
+};
+
+/**
+ * Fetches an individual member by contact ID with the properties used for renewals,
+ * including the paid-through date.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} contactId The ID of the HubSpot contact.
+ * @returns {Promise<object>} The contact object.
+ */
+const getIndividualMembershipById = async (hubspotClient, contactId) => {
+  try {
+    return await hubspotClient.crm.contacts.basicApi.getById(contactId, getIndividualPropertiesToFetch());
+  } catch (error) {
+    logger.error(`Error fetching individual member ${contactId}:`, error.body || error.message || error);
+    throw error.body?.message
+      ? new Error(`HubSpot API Error (getIndividualMembershipById): ${error.body.message}`)
+      : error;
+  }
+};
+
+/**
+ * Fetches individual members by contact ID with the properties used for renewals,
+ * e.g. for a run targeted at an explicit list of contacts.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {Array<string>} contactIds The contact IDs.
+ * @returns {Promise<Array<object>>} The contacts, in input order. Contacts HubSpot could not read are left out.
+ */
+const getIndividualMembershipsByIds = async (hubspotClient, contactIds) => {
+  const ids = [...new Set(contactIds.map(String))];
+  const contacts = new Map();
+  try {
+    for (const batch of chunk(ids)) {
+      const rsp = await hubspotClient.crm.contacts.batchApi.read({
+        inputs: batch.map(id => ({ id })),
+        properties: getIndividualPropertiesToFetch(),
+        propertiesWithHistory: [],
+      });
+      logBatchErrors(rsp, 'contact read');
+      for (const contact of rsp.results || []) {
+        contacts.set(String(contact.id), contact);
+      }
+    }
+    return ids.filter(id => contacts.has(id)).map(id => contacts.get(id));
+  } catch (error) {
+    logger.error('Error fetching individual members by ID:', error.body || error.message || error);
+    throw error.body?.message
+      ? new Error(`HubSpot API Error (getIndividualMembershipsByIds): ${error.body.message}`)
+      : error;
+  }
+};
+
+/**
+ * Moves an individual member's paid-through date (HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY) on.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
+ * @param {string} contactId The ID of the HubSpot contact.
+ * @param {string} paidThroughDate The new paid-through date (YYYY-MM-DD).
+ */
+const updateIndividualPaidThroughDate = async (hubspotClient, contactId, paidThroughDate) => {
+  try {
+    await hubspotClient.crm.contacts.basicApi.update(contactId, {
+      properties: { [config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY]: paidThroughDate },
+    });
+    logger.info(`Contact ${contactId} paid through ${paidThroughDate}.`);
+  } catch (error) {
+    logger.error(`Error updating paid-through date for contact ${contactId}:`, error.body || error.message || error);
+    throw error.body?.message
+      ? new Error(`HubSpot API Error (updateIndividualPaidThroughDate): ${error.body.message}`)
+      : error;
+  }
+};
+
 module.exports = {
+  resolveBillingContact,
   getPrimaryContact,
+  getContactById,
+  getIndividualMembershipById,
+  getIndividualMembershipsByIds,
+  updateIndividualPaidThroughDate,
   getExpiringIndividualMemberships,
 };
\ No newline at end of file
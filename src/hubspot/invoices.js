@@ -1,6 +1,7 @@
 // HubSpot Invoice Generation
 const config = require('../config');
 const logger = require('../utils/logger');
+const { chunk, logBatchErrors } = require('./batch');
 
 /**
  * Calculates the target date for invoice generation based on configuration.
@@ -36,6 +37,62 @@ function calculateTargetDate() {
   return targetTimestamp;
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculates the window of renewal dates to invoice, per RENEWAL_WINDOW_MODE:
+ * - 'month': every day of the month containing the target date (default)
+ * - 'date':  the target date only
+ * - 'days':  today through RENEWAL_WINDOW_DAYS_AHEAD days ahead
+ *
+ * The window spans whole UTC days, so renewal dates stored with a time or timezone
+ * offset still match. When catchUpFrom is earlier than the window start, the window
+ * is widened back to it (by at most RENEWAL_CATCH_UP_MAX_DAYS) so members missed by
+ * earlier runs are invoiced.
+ *
+ * @param {object} [options]
+ * @param {string} [options.catchUpFrom] - First renewal date (YYYY-MM-DD) not covered by a completed run.
+ * @returns {{start: number, end: number, scheduledStart: number, catchUpFrom: string|null}}
+ *          Timestamps of the window's first and last millisecond, and the start before any catch-up.
+ */
+function calculateRenewalWindow({ catchUpFrom } = {}) {
+  const target = new Date(calculateTargetDate());
+  let start;
+  let lastDay;
+
+  switch (config.RENEWAL_WINDOW_MODE) {
+    case 'date':
+      start = lastDay = target.getTime();
+      break;
+    case 'days':
+      start = Date.parse(new Date().toISOString().slice(0, 10));
+      lastDay = start + config.RENEWAL_WINDOW_DAYS_AHEAD * DAY_MS;
+      break;
+    case 'month':
+      start = Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), 1);
+      lastDay = Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0);
+      break;
+    default:
+      throw new Error(`Unknown RENEWAL_WINDOW_MODE "${config.RENEWAL_WINDOW_MODE}". Use 'month', 'date' or 'days'.`);
+  }
+
+  const scheduledStart = start;
+  const catchUpTs = catchUpFrom ? Date.parse(catchUpFrom) : NaN;
+  if (!isNaN(catchUpTs) && catchUpTs < start && config.RENEWAL_CATCH_UP_MAX_DAYS > 0) {
+    start = Math.max(catchUpTs, start - config.RENEWAL_CATCH_UP_MAX_DAYS * DAY_MS);
+  }
+
+  const window = {
+    start,
+    end: lastDay + DAY_MS - 1,
+    scheduledStart,
+    catchUpFrom: start < scheduledStart ? toDateKey(start) : null,
+  };
+  logger.info(`Renewal window (${config.RENEWAL_WINDOW_MODE}): ${toDateKey(window.start)} to ${toDateKey(window.end)}` +
+    (window.catchUpFrom ? ` (catching up from ${window.catchUpFrom}; scheduled start ${toDateKey(scheduledStart)})` : ''));
+  return window;
+}
+
 /**
  * Calculates the due date for an invoice.
  * @param {string|number} [paidThroughDate] - The paid through date (timestamp or ISO string). If provided, this becomes the due date.
@@ -176,80 +233,347 @@ async function createAssociation(hubspotClient, fromObjectType, fromObjectId, to
   }
 }
 
+// Invoice statuses that still block a new invoice for the same billing period
+const ACTIVE_INVOICE_STATUSES = ['draft', 'open', 'paid'];
+
 /**
- * Checks if an open (unpaid and not voided) invoice already exists for a contact or company.
+ * Converts a HubSpot date value (ISO string or epoch ms) to a YYYY-MM-DD string.
+ * @param {string|number} value - The date value.
+ * @returns {string|null} The date, or null if missing.
+ */
+function toDateKey(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the whole days from one YYYY-MM-DD date to another.
+ * @param {string} from - The start date.
+ * @param {string} to - The end date.
+ * @returns {number} Days between the dates (negative if `to` is earlier).
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Lists the IDs of every invoice associated with a record.
+ * @param {hubspot.Client} hubspotClient - The HubSpot client.
+ * @param {string} objectType - The record's object type (e.g. 'company', 'contact', or a custom object type ID).
+ * @param {string} objectId - The record ID.
+ * @returns {Promise<Array<string>>} The associated invoice IDs.
+ */
+async function getAssociatedInvoiceIds(hubspotClient, objectType, objectId) {
+  const invoiceType = getObjectTypeName(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID);
+  const invoiceIds = [];
+  let after;
+  do {
+    const rsp = await hubspotClient.crm.associations.v4.basicApi.getPage(objectType, String(objectId), invoiceType, after, 500);
+    invoiceIds.push(...rsp.results.map(r => String(r.toObjectId)));
+    after = rsp.paging?.next?.after;
+  } while (after);
+  return invoiceIds;
+}
+
+/**
+ * Finds invoices that would duplicate a new invoice for a member's billing period.
+ *
+ * Looks up every invoice associated with the company, the billing contact and the
+ * membership record(s), so a change of primary contact between runs does not hide
+ * an existing invoice. An invoice is a duplicate when it is not voided and its due
+ * date is the billing period (the renewal date the new invoice would be due on).
+ * Without a billing period, any draft or open invoice counts.
  *
  * @async
  * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
  * @param {object} params
  * @param {string} [params.companyId] - The ID of the associated company.
- * @param {string} [params.contactId] - The ID of the associated contact.
- * @returns {Promise<object|null>} A promise that resolves to the first found open invoice object, or null if none are found.
+ * @param {string} [params.contactId] - The ID of the billing contact.
+ * @param {Array<string>} [params.membershipIds] - The membership record IDs being invoiced.
+ * @param {string} [params.billingPeriod] - The due date (YYYY-MM-DD) of the invoice about to be created.
+ * @returns {Promise<Array<object>>} Every matching invoice as { id, number, invoiceNumber, status, dueDate, amount, matchedOn },
+ *          where invoiceNumber is our number as printed on its PDF (if saved) and matchedOn lists which of
+ *          'company', 'contact' and 'membership' it is associated with.
+ * @throws {Error} If HubSpot cannot be searched, so that a member is never double-billed silently.
  */
-const findExistingOpenInvoice = async (hubspotClient, { companyId, contactId }) => {
-  if (!companyId && !contactId) {
-    logger.warn('findExistingOpenInvoice called without companyId or contactId. Cannot check.');
-    return null;
+const findDuplicateInvoices = async (hubspotClient, { companyId, contactId, membershipIds = [], billingPeriod }) => {
+  const sources = [
+    ...(companyId ? [['company', 'company', companyId]] : []),
+    ...(contactId ? [['contact', 'contact', contactId]] : []),
+    ...membershipIds.map(membershipId => ['membership', config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID, membershipId]),
+  ];
+  if (sources.length === 0) {
+    logger.warn('findDuplicateInvoices called without companyId, contactId or membershipIds. Cannot check.');
+    return [];
   }
 
-  logger.info(`Checking for existing open invoices for companyId: ${companyId}, contactId: ${contactId}`);
-  const INVOICE_OBJECT_TYPE_ID = config.HUBSPOT_INVOICE_OBJECT_TYPE_ID;
-  const INVOICE_STATUS_PROPERTY = config.HUBSPOT_INVOICE_STATUS_PROPERTY || 'hs_status';
-
-  // Define statuses that mean an invoice is "open" and should not be duplicated.
-  // This might include 'SENT', 'DRAFT', 'PROCESSING', etc.
-  const openStatuses = ['SENT', 'DRAFT', 'PROCESSING', 'OVERDUE'];
+  logger.info(`Checking for existing invoices for company ${companyId || '-'}, contact ${contactId || '-'}, memberships ${membershipIds.join(', ') || '-'}, billing period ${billingPeriod || 'any'}`);
 
   try {
-    const filters = [];
-    if (contactId) {
-      // Create a filter to find invoices associated with the given contact.
-      // Use the correct association search structure for v4 API
-      filters.push({
-        propertyName: "hs_object_id",
-        operator: "HAS_PROPERTY",
-        associationCategory: "HUBSPOT_DEFINED",
-        associationTypeId: config.HUBSPOT_ASSOCIATION_TYPE_ID_CONTACT_TO_INVOICE || 1
+    // Which of the member's records each invoice is associated with
+    const matchedOn = new Map();
+    for (const [label, objectType, objectId] of sources) {
+      for (const invoiceId of await getAssociatedInvoiceIds(hubspotClient, objectType, objectId)) {
+        if (!matchedOn.has(invoiceId)) matchedOn.set(invoiceId, []);
+        if (!matchedOn.get(invoiceId).includes(label)) matchedOn.get(invoiceId).push(label);
+      }
+    }
+
+    if (matchedOn.size === 0) {
+      logger.info('No existing invoices found.');
+      return [];
+    }
+
+    const invoices = [];
+    for (const ids of chunk([...matchedOn.keys()])) {
+      const rsp = await hubspotClient.crm.objects.batchApi.read(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, {
+        inputs: ids.map(id => ({ id })),
+        properties: ['hs_number', 'hs_invoice_status', 'hs_due_date', 'hs_amount_billed', config.HUBSPOT_INVOICE_NUMBER_PROPERTY],
+        propertiesWithHistory: [],
       });
+      invoices.push(...rsp.results);
     }
 
-    // Add a filter for invoice status
-    filters.push({
-      propertyName: INVOICE_STATUS_PROPERTY,
-      operator: 'IN',
-      values: openStatuses
-    });
+    const duplicates = invoices
+      .map(invoice => ({
+        id: invoice.id,
+        number: invoice.properties.hs_number || invoice.id,
+        invoiceNumber: invoice.properties[config.HUBSPOT_INVOICE_NUMBER_PROPERTY] || undefined,
+        status: invoice.properties.hs_invoice_status || 'unknown',
+        dueDate: toDateKey(invoice.properties.hs_due_date),
+        amount: Number(invoice.properties.hs_amount_billed) || 0,
+        matchedOn: matchedOn.get(String(invoice.id)) || [],
+      }))
+      .filter(invoice => billingPeriod
+        ? ACTIVE_INVOICE_STATUSES.includes(invoice.status) && invoice.dueDate === billingPeriod
+        : ['draft', 'open'].includes(invoice.status));
 
-    const searchRequest = {
-      filterGroups: [{ filters }],
-      properties: ['hs_object_id', INVOICE_STATUS_PROPERTY],
-      limit: 1, // We only need to know if at least one exists
-      sorts: [{ propertyName: 'createdate', direction: 'DESCENDING' }]
-    };
+    if (duplicates.length > 0) {
+      logger.info(`Found ${duplicates.length} existing invoice(s) for this billing period:`, duplicates);
+    } else {
+      logger.info(`No existing invoices for this billing period among ${invoices.length} associated invoice(s).`);
+    }
+    return duplicates;
+  } catch (error) {
+    logger.error('Error searching for existing invoices:', error.body || error.message);
+    throw error.body?.message
+      ? new Error(`HubSpot API Error (findDuplicateInvoices): ${error.body.message}`)
+      : error;
+  }
+};
 
-    const searchResults = await hubspotClient.crm.objects.searchApi.doSearch(INVOICE_OBJECT_TYPE_ID, searchRequest);
+/**
+ * Checks if an open (unpaid and not voided) invoice already exists for a contact or company.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {object} params
+ * @param {string} [params.companyId] - The ID of the associated company.
+ * @param {string} [params.contactId] - The ID of the associated contact.
+ * @returns {Promise<object|null>} The first open invoice found, or null if none are found.
+ * @deprecated Use findDuplicateInvoices, which also checks the membership and billing period.
+ */
+const findExistingOpenInvoice = async (hubspotClient, { companyId, contactId }) => {
+  const duplicates = await findDuplicateInvoices(hubspotClient, { companyId, contactId });
+  return duplicates.length > 0 ? duplicates[0] : null;
+};
 
-    if (searchResults.results.length > 0) {
-      const existingInvoice = searchResults.results[0];
-      logger.info(`Found existing open invoice ${existingInvoice.id} for contact ${contactId}.`);
-      return existingInvoice;
+/**
+ * Builds the batch create input for a line item, associated with the invoice as it is created.
+ * Line items with a productId are created from the HubSpot product; others (territories,
+ * discounts, tax, late fees) are custom line items.
+ *
+ * @param {object} lineItem - The line item ({ name, quantity, price, description, productId, section }).
+ * @param {string} invoiceId - The invoice to associate it with.
+ * @param {number} associationTypeId - The invoice-to-line-item association type ID (NaN to create unassociated).
+ * @returns {object} The line item create input.
+ */
+function buildLineItemInput(lineItem, invoiceId, associationTypeId) {
+  // Consolidated invoices group line items by membership
+  const name = lineItem.section ? `${lineItem.section}: ${lineItem.name || ''}` : lineItem.name;
+  return {
+    properties: {
+      hs_product_id: lineItem.productId ? lineItem.productId.toString() : null,
+      quantity: lineItem.quantity.toString(),
+      price: lineItem.price.toString(),
+      name: name || '',
+      description: lineItem.description || '',
+      billing_frequency: 'One-Time'
+    },
+    associations: isNaN(associationTypeId) ? [] : [{
+      to: { id: String(invoiceId) },
+      types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId }]
+    }]
+  };
+}
+
+/**
+ * Checks whether a line item create failed because its product does not exist.
+ * @param {Error} error - The error from HubSpot.
+ * @returns {boolean} True for a missing product.
+ */
+function isMissingProductError(error) {
+  return Boolean(error.body && error.body.message && error.body.message.includes('not found'));
+}
+
+/**
+ * Creates line items one call at a time. Used when a batch is rejected because one of its
+ * products is missing, so the remaining line items are still created.
+ *
+ * @param {hubspot.Client} hubspotClient - The HubSpot client.
+ * @param {string} invoiceId - The invoice the line items belong to.
+ * @param {Array<{lineItem: object, input: object}>} items - The line items and their create inputs.
+ */
+async function createLineItemsIndividually(hubspotClient, invoiceId, items) {
+  for (const { lineItem, input } of items) {
+    try {
+      const created = await hubspotClient.crm.lineItems.basicApi.create(input);
+      logger.info(`Line item ${created.id} created and associated with invoice ${invoiceId}`);
+    } catch (error) {
+      // If the product doesn't exist, log a warning but don't fail the invoice creation
+      if (lineItem.productId && isMissingProductError(error)) {
+        logger.warn(`Product ${lineItem.productId} does not exist in HubSpot. Skipping line item creation. Error: ${error.body.message}`);
+        logger.warn(`Consider creating the product in HubSpot or using a different product ID.`);
+      } else {
+        logger.error(`Error creating line item ${lineItem.name}:`, error.body || error.message);
+        throw error;
+      }
     }
+  }
+}
 
-    logger.info(`No existing open invoices found for contact ${contactId}.`);
-    return null;
+/**
+ * Creates line items and associates them with an invoice, 100 per batch create call.
+ * Each line item is associated with the invoice as part of its create request.
+ * If a line item's product does not exist in HubSpot, that line item is skipped
+ * with a warning and the rest are still created.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The invoice to add the line items to.
+ * @param {Array<object>} lineItems - Line items ({ name, quantity, price, description, productId }).
+ */
+const addLineItemsToInvoice = async (hubspotClient, invoiceId, lineItems) => {
+  const associationTypeId = parseInt(config.HUBSPOT_ASSOCIATION_TYPE_ID_INVOICE_TO_LINE_ITEM, 10);
+  if (isNaN(associationTypeId)) {
+    logger.warn(`Creating line items for invoice ${invoiceId} without associations - set HUBSPOT_ASSOCIATION_TYPE_ID_INVOICE_TO_LINE_ITEM to associate them.`);
+  }
+
+  const items = lineItems.map(lineItem => ({ lineItem, input: buildLineItemInput(lineItem, invoiceId, associationTypeId) }));
+
+  for (const batch of chunk(items)) {
+    logger.info(`Creating ${batch.length} line item(s) for invoice ${invoiceId}...`);
+    try {
+      const rsp = await hubspotClient.crm.lineItems.batchApi.create({ inputs: batch.map(item => item.input) });
+      logBatchErrors(rsp, 'line item create');
+      logger.info(`Line items ${(rsp.results || []).map(r => r.id).join(', ')} created and associated with invoice ${invoiceId}`);
+    } catch (error) {
+      if (!batch.some(item => item.lineItem.productId) || !isMissingProductError(error)) {
+        logger.error(`Error creating line items for invoice ${invoiceId}:`, error.body || error.message);
+        throw error;
+      }
+      // HubSpot rejects the whole batch when one product is missing
+      logger.warn(`Batch line item create failed (${error.body.message}); creating line items individually.`);
+      await createLineItemsIndividually(hubspotClient, invoiceId, batch);
+    }
+  }
+};
+
+/**
+ * Builds the idempotency key that identifies what an invoice is for, e.g.
+ * 'renewal:12345:2026-11-01' or, for a consolidated invoice, 'renewal:12345+67890:2026-11-01'.
+ * Retrying the same invoice always gives the same key, so createInvoice can find what an
+ * earlier attempt left behind.
+ *
+ * @param {string} purpose - What the invoice bills, e.g. 'renewal', 'installment', 'proration'.
+ * @param {Array<string>} subjectIds - The membership records (or, for a late fee, the invoice) billed.
+ * @param {string} [period] - The billing period (YYYY-MM-DD) or other date the invoice is for.
+ * @param {string} [qualifier] - Tells apart invoices with the same purpose, subject and period.
+ * @returns {string|null} The key, or null without subject IDs or a period; such invoices are not deduplicated.
+ */
+function buildIdempotencyKey(purpose, subjectIds, period, qualifier) {
+  const ids = (subjectIds || []).filter(Boolean).map(String).sort();
+  if (ids.length === 0 || !period) return null;
+  return [purpose, ids.join('+'), period, ...(qualifier ? [qualifier] : [])].join(':');
+}
+
+/**
+ * Finds the invoice carrying an idempotency key. Voided invoices are ignored, so a voided
+ * orphan draft does not stop the invoice from being created again.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} idempotencyKey - The key (see buildIdempotencyKey).
+ * @returns {Promise<object|null>} The oldest matching invoice, or null if there is none.
+ */
+const findInvoiceByIdempotencyKey = async (hubspotClient, idempotencyKey) => {
+  try {
+    const rsp = await hubspotClient.crm.objects.searchApi.doSearch(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, {
+      filterGroups: [{
+        filters: [
+          { propertyName: config.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY, operator: 'EQ', value: idempotencyKey },
+          { propertyName: 'hs_invoice_status', operator: 'NEQ', value: 'voided' },
+        ],
+      }],
+      properties: ['hs_number', 'hs_invoice_status', 'hs_due_date', 'hs_currency', config.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY, config.HUBSPOT_INVOICE_NUMBER_PROPERTY],
+      sorts: [{ propertyName: 'hs_createdate', direction: 'ASCENDING' }],
+      limit: 10,
+    });
+
+    if (rsp.results.length > 1) {
+      logger.warn(`${rsp.results.length} invoices carry idempotency key ${idempotencyKey}: ${rsp.results.map(invoice => invoice.id).join(', ')}. Using the oldest.`);
+    }
+    return rsp.results[0] || null;
   } catch (error) {
-    logger.error(`Error searching for existing invoices:`, error.body || error.message);
-    // In case of error, we default to assuming no invoice exists to avoid blocking, but log it.
-    return null;
+    logger.error(`Error searching for invoice with idempotency key ${idempotencyKey}:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (findInvoiceByIdempotencyKey): ${error.body.message}`);
+    }
+    throw error;
   }
 };
 
+/**
+ * Lists the IDs of the line items associated with an invoice.
+ * @param {hubspot.Client} hubspotClient - The HubSpot client.
+ * @param {string} invoiceId - The invoice ID.
+ * @returns {Promise<Array<string>>} The line item IDs.
+ */
+async function getInvoiceLineItemIds(hubspotClient, invoiceId) {
+  const invoiceType = getObjectTypeName(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID);
+  const lineItemIds = [];
+  let after;
+  do {
+    const rsp = await hubspotClient.crm.associations.v4.basicApi.getPage(invoiceType, invoiceId, 'line_item', after, 100);
+    lineItemIds.push(...rsp.results.map(r => String(r.toObjectId)));
+    after = rsp.paging?.next?.after;
+  } while (after);
+  return lineItemIds;
+}
+
+/**
+ * Deletes line items, e.g. the incomplete set left on a draft by an interrupted createInvoice.
+ * @param {hubspot.Client} hubspotClient - The HubSpot client.
+ * @param {Array<string>} lineItemIds - The line item IDs.
+ */
+async function archiveLineItems(hubspotClient, lineItemIds) {
+  for (const ids of chunk(lineItemIds)) {
+    await hubspotClient.crm.lineItems.batchApi.archive({ inputs: ids.map(id => ({ id })) });
+  }
+}
+
 /**
  * Creates an invoice record in HubSpot following the official API workflow.
  * Step 1: Create draft invoice with minimal properties
  * Step 2: Add associations (contact, line items, company)
  * Step 3: Update properties and move to open status (unless keepDraft is true)
  *
+ * With an idempotency key, an invoice that already carries the key is reused instead: an open
+ * or paid one is returned as it is, and a draft (possibly left half-built by an earlier attempt)
+ * is repaired by running steps 2 and 3 on it again. Its line items are recreated only if they
+ * are missing or incomplete.
+ *
  * @async
  * @param {hubspot.Client} hubspotClient The initialized HubSpot client.
  * @param {object} invoiceData - Data for creating the invoice.
@@ -260,12 +584,19 @@ const findExistingOpenInvoice = async (hubspotClient, { companyId, contactId })
  * @param {string} invoiceData.pdfLink - The public URL to the generated PDF invoice in S3.
  * @param {boolean} [invoiceData.keepDraft] - If true, keep invoice in draft status instead of setting to open.
  * @param {string|number} [invoiceData.paidThroughDate] - The paid through date to use as the due date.
- * @returns {Promise<object>} A promise that resolves to the created HubSpot invoice object.
+ * @param {string} [invoiceData.currency] - The invoice currency code. Defaults to config.INVOICE_CURRENCY.
+ * @param {string} [invoiceData.dueDate] - Explicit due date (YYYY-MM-DD), e.g. for installments; overrides paidThroughDate.
+ * @param {Array<string>} [invoiceData.membershipIds] - Membership records the invoice covers; each is associated with the invoice.
+ * @param {string} [invoiceData.idempotencyKey] - What the invoice is for (see buildIdempotencyKey); stored on the invoice.
+ * @param {object} [invoiceData.metadata] - Our invoice metadata (billing period, membership IDs, kind, ...; see updateInvoice()),
+ *        stored with the draft so reconciliation and webhooks can rely on it even if a later write fails.
+ * @returns {Promise<object>} A promise that resolves to the created (or reused) HubSpot invoice object.
  */
 const createInvoice = async (hubspotClient, invoiceData) => {
-  const { contactId, companyId, invoiceAmount, lineItems, pdfLink, keepDraft, paidThroughDate } = invoiceData;
+  const { contactId, companyId, invoiceAmount, lineItems, pdfLink, keepDraft, paidThroughDate, currency, dueDate, membershipIds, idempotencyKey, metadata } = invoiceData;
+  const metadataProperties = buildInvoiceMetadataProperties(metadata);
 
-  logger.info(`Creating HubSpot invoice record for Company ID: ${companyId}, Contact ID: ${contactId}, Amount: ${invoiceAmount}, Keep Draft: ${keepDraft || false}, Paid Through Date: ${paidThroughDate || 'Not provided'}`);
+  logger.info(`Creating HubSpot invoice record for Company ID: ${companyId}, Contact ID: ${contactId}, Amount: ${invoiceAmount} ${currency || config.INVOICE_CURRENCY}, Keep Draft: ${keepDraft || false}, Paid Through Date: ${paidThroughDate || 'Not provided'}`);
 
   // Validate configuration before proceeding
   try {
@@ -276,25 +607,41 @@ const createInvoice = async (hubspotClient, invoiceData) => {
   }
 
   try {
-    // STEP 1: Create draft invoice with minimal properties
-    const draftInvoiceProperties = {
-      'hs_currency': config.INVOICE_CURRENCY || 'USD',
-      // Add PDF link if we have one
-      ...(pdfLink && { [config.HUBSPOT_INVOICE_PDF_LINK_PROPERTY]: pdfLink })
-    };
+    // An earlier attempt may have created this invoice already
+    const existingInvoice = idempotencyKey ? await findInvoiceByIdempotencyKey(hubspotClient, idempotencyKey) : null;
+    if (existingInvoice && existingInvoice.properties.hs_invoice_status !== 'draft') {
+      logger.info(`Invoice ${existingInvoice.id} (${existingInvoice.properties.hs_invoice_status}) already exists for ${idempotencyKey}; not creating another.`);
+      return existingInvoice;
+    }
 
-    const createInvoiceRequest = {
-      properties: draftInvoiceProperties
-    };
+    let createdInvoiceResponse;
+    if (existingInvoice) {
+      logger.info(`Step 1: Resuming draft invoice ${existingInvoice.id} for ${idempotencyKey}`);
+      createdInvoiceResponse = existingInvoice;
+    } else {
+      // STEP 1: Create draft invoice with minimal properties
+      const draftInvoiceProperties = {
+        'hs_currency': currency || config.INVOICE_CURRENCY || 'USD',
+        // Add PDF link if we have one
+        ...(pdfLink && { [config.HUBSPOT_INVOICE_PDF_LINK_PROPERTY]: pdfLink }),
+        ...metadataProperties,
+        // Set with the draft itself, so an attempt that fails after this point can be found and resumed
+        ...(idempotencyKey && { [config.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY]: idempotencyKey })
+      };
 
-    logger.info('Step 1: Creating draft invoice with properties:', draftInvoiceProperties);
-    const createdInvoiceResponse = await hubspotClient.crm.objects.basicApi.create(
-      config.HUBSPOT_INVOICE_OBJECT_TYPE_ID,
-      createInvoiceRequest
-    );
+      const createInvoiceRequest = {
+        properties: draftInvoiceProperties
+      };
+
+      logger.info('Step 1: Creating draft invoice with properties:', draftInvoiceProperties);
+      createdInvoiceResponse = await hubspotClient.crm.objects.basicApi.create(
+        config.HUBSPOT_INVOICE_OBJECT_TYPE_ID,
+        createInvoiceRequest
+      );
+    }
 
     const invoiceId = createdInvoiceResponse.id;
-    logger.info(`Draft invoice created successfully. Invoice ID: ${invoiceId}`);
+    logger.info(`Draft invoice ${existingInvoice ? 'found' : 'created successfully'}. Invoice ID: ${invoiceId}`);
 
     // STEP 2: Add associations using v4 API
     logger.info('Step 2: Adding associations...');
@@ -323,74 +670,28 @@ const createInvoice = async (hubspotClient, invoiceData) => {
       );
     }
 
-    // Add line items associations
-    for (const lineItem of lineItems) {
-      if (lineItem.productId) {
-        // Create a line item from the product first
-        try {
-          const lineItemData = {
-            properties: {
-              hs_product_id: lineItem.productId.toString(),
-              quantity: lineItem.quantity.toString(),
-              price: lineItem.price.toString(),
-              name: lineItem.name || '',
-              description: lineItem.description || '',
-              billing_frequency: 'One-Time'
-            }
-          };
-
-          logger.info(`Creating line item from product ${lineItem.productId}...`);
-          const createdLineItem = await hubspotClient.crm.lineItems.basicApi.create(lineItemData);
-          const lineItemId = createdLineItem.id;
-          logger.info(`Line item ${lineItemId} created successfully from product ${lineItem.productId}`);
-
-          // Now associate the line item with the invoice
-          await createAssociation(
-            hubspotClient,
-            config.HUBSPOT_INVOICE_OBJECT_TYPE_ID,
-            invoiceId,
-            'line_items',
-            lineItemId,
-            config.HUBSPOT_ASSOCIATION_TYPE_ID_INVOICE_TO_LINE_ITEM
-          );
-          logger.info(`Successfully associated line item ${lineItemId} with invoice ${invoiceId}`);
-        } catch (error) {
-          // If the product doesn't exist, log a warning but don't fail the invoice creation
-          if (error.body && error.body.message && error.body.message.includes('not found')) {
-            logger.warn(`Product ${lineItem.productId} does not exist in HubSpot. Skipping line item creation. Error: ${error.body.message}`);
-            logger.warn(`Consider creating the product in HubSpot or using a different product ID.`);
-          } else {
-            // For other errors, re-throw to maintain existing behavior
-            logger.error(`Error creating line item from product ${lineItem.productId}:`, error.body || error.message);
-            throw error;
-          }
-        }
-      } else {
-        // Create custom line item for state addons (Distributor territories)
-        const customLineItemData = {
-          properties: {
-            name: lineItem.name,
-            quantity: lineItem.quantity.toString(),
-            price: lineItem.price.toString(),
-            hs_product_id: null, // Custom line item, no product ID
-            description: lineItem.description || '',
-            billing_frequency: 'One-Time'
-          }
-        };
-
-        const customLineItem = await hubspotClient.crm.lineItems.basicApi.create(customLineItemData);
-
-        // Associate the custom line item
-        await createAssociation(
-          hubspotClient,
-          config.HUBSPOT_INVOICE_OBJECT_TYPE_ID,
-          invoiceId,
-          'line_items',
-          customLineItem.id,
-          config.HUBSPOT_ASSOCIATION_TYPE_ID_INVOICE_TO_LINE_ITEM
-        );
-        logger.info(`Custom line item ${customLineItem.id} created and associated with invoice ${invoiceId}`);
+    // Add membership associations so later runs can detect duplicates per membership
+    for (const ids of chunk(membershipIds || [])) {
+      logger.info(`Associating invoice ${invoiceId} with membership(s) ${ids.join(', ')}`);
+      const rsp = await hubspotClient.crm.associations.v4.batchApi.createDefault(
+        getObjectTypeName(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID),
+        config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
+        { inputs: ids.map(id => ({ _from: { id: String(invoiceId) }, to: { id: String(id) } })) }
+      );
+      logBatchErrors(rsp, 'membership association');
+    }
+
+    // Add line items associations. Associations above can be repeated safely; line items cannot,
+    // so a resumed draft keeps a complete set and has a partial one replaced.
+    const existingLineItemIds = existingInvoice ? await getInvoiceLineItemIds(hubspotClient, invoiceId) : [];
+    if (existingLineItemIds.length > 0 && existingLineItemIds.length === (lineItems || []).length) {
+      logger.info(`Invoice ${invoiceId} already has its ${existingLineItemIds.length} line item(s)`);
+    } else {
+      if (existingLineItemIds.length > 0) {
+        logger.warn(`Invoice ${invoiceId} has ${existingLineItemIds.length} of ${(lineItems || []).length} line item(s); replacing them.`);
+        await archiveLineItems(hubspotClient, existingLineItemIds);
       }
+      await addLineItemsToInvoice(hubspotClient, invoiceId, lineItems);
     }
 
     // STEP 3: Update invoice properties and move to open status (unless keepDraft is true)
@@ -411,10 +712,11 @@ const createInvoice = async (hubspotClient, invoiceData) => {
     }
     
     const updateProperties = {
-      'hs_due_date': calculateDueDate(paidThroughDate),
+      'hs_due_date': dueDate || calculateDueDate(paidThroughDate),
       // Conditionally set status based on keepDraft parameter
       ...(keepDraft ? {} : { 'hs_invoice_status': 'open' }), // Only set to open if keepDraft is false
-      // Add any other properties that need to be set after associations
+      // A resumed draft may predate its metadata
+      ...(existingInvoice && metadataProperties),
     };
 
     await hubspotClient.crm.objects.basicApi.update(
@@ -442,6 +744,63 @@ const createInvoice = async (hubspotClient, invoiceData) => {
   }
 };
 
+/**
+ * Maps our invoice metadata to the HubSpot invoice properties named in config. Only the values given are included.
+ * @param {object} metadata - See updateInvoice().
+ * @returns {object} HubSpot invoice properties.
+ */
+function buildInvoiceMetadataProperties({ pdfLink, invoiceNumber, billingPeriod, membershipIds = [], priceBookVersion, kind, replacesInvoice, replacedBy } = {}) {
+  return {
+    ...(pdfLink && { [config.HUBSPOT_INVOICE_PDF_LINK_PROPERTY]: pdfLink }),
+    ...(invoiceNumber && { [config.HUBSPOT_INVOICE_NUMBER_PROPERTY]: invoiceNumber }),
+    ...(billingPeriod && { [config.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY]: billingPeriod }),
+    ...(membershipIds.length > 0 && { [config.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY]: membershipIds.join(';') }),
+    ...(priceBookVersion && { [config.HUBSPOT_INVOICE_PRICE_BOOK_VERSION_PROPERTY]: priceBookVersion }),
+    ...(kind && { [config.HUBSPOT_INVOICE_KIND_PROPERTY]: kind }),
+    ...(replacesInvoice && { [config.HUBSPOT_INVOICE_REPLACES_PROPERTY]: replacesInvoice }),
+    ...(replacedBy && { [config.HUBSPOT_INVOICE_REPLACED_BY_PROPERTY]: replacedBy }),
+  };
+}
+
+/**
+ * Writes the printable PDF link and our invoice metadata to a HubSpot invoice.
+ * Only the values given are written, to the properties named in config.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The invoice ID.
+ * @param {object} metadata
+ * @param {string} [metadata.pdfLink] - The public URL of the PDF in S3 (HUBSPOT_INVOICE_PDF_LINK_PROPERTY).
+ * @param {string} [metadata.invoiceNumber] - Our invoice number, as printed on the PDF (HUBSPOT_INVOICE_NUMBER_PROPERTY).
+ * @param {string} [metadata.billingPeriod] - Renewal date (YYYY-MM-DD) of the term billed (HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY).
+ * @param {Array<string>} [metadata.membershipIds] - Company membership record IDs (HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY).
+ * @param {string} [metadata.priceBookVersion] - Price book version used (HUBSPOT_INVOICE_PRICE_BOOK_VERSION_PROPERTY).
+ * @param {string} [metadata.kind] - What the invoice bills: 'renewal', 'installment', 'proration' or 'late_fee' (HUBSPOT_INVOICE_KIND_PROPERTY).
+ * @param {string} [metadata.replacesInvoice] - Number of the voided invoice this one replaces (HUBSPOT_INVOICE_REPLACES_PROPERTY).
+ * @param {string} [metadata.replacedBy] - Number of the invoice that replaces this voided one (HUBSPOT_INVOICE_REPLACED_BY_PROPERTY).
+ * @returns {Promise<object>} The properties written.
+ */
+const updateInvoice = async (hubspotClient, invoiceId, metadata) => {
+  const properties = buildInvoiceMetadataProperties(metadata);
+
+  if (Object.keys(properties).length === 0) {
+    logger.warn(`updateInvoice called for invoice ${invoiceId} with nothing to write.`);
+    return properties;
+  }
+
+  try {
+    await hubspotClient.crm.objects.basicApi.update(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, invoiceId, { properties });
+    logger.info(`Invoice ${invoiceId} updated with PDF link and metadata:`, properties);
+    return properties;
+  } catch (error) {
+    logger.error(`Error updating invoice ${invoiceId}:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (updateInvoice): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
 /**
  * Updates the company's membership dues property in HubSpot.
  * (This function remains unchanged, as it's specific to companies).
@@ -501,4 +860,400 @@ const getInvoicePaymentLink = async (hubspotClient, invoiceId) => {
   }
 };
 
-module.exports = { createInvoice, findExistingOpenInvoice, updateCompanyMembershipDues, getInvoicePaymentLink, calculateTargetDate, calculateDueDate };
\ No newline at end of file
+// Invoice kinds that are charged a late fee when overdue. Follow-up late-fee invoices are not,
+// so fees never compound, and invoices this system did not create are left alone.
+const LATE_FEE_ELIGIBLE_INVOICE_KINDS = ['renewal', 'installment', 'proration'];
+
+/**
+ * Finds open membership invoices (see LATE_FEE_ELIGIBLE_INVOICE_KINDS) whose due date is before a given date.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} beforeDate - Only invoices due before this date (YYYY-MM-DD) are returned.
+ * @returns {Promise<Array<object>>} Overdue invoices with their status, due date, amounts, currency and late-fee properties.
+ */
+const findOverdueInvoices = async (hubspotClient, beforeDate) => {
+  const INVOICE_OBJECT_TYPE_ID = config.HUBSPOT_INVOICE_OBJECT_TYPE_ID;
+  const properties = [
+    'hs_number',
+    'hs_invoice_status',
+    'hs_due_date',
+    'hs_amount_billed',
+    'hs_balance_due',
+    'hs_currency',
+    config.HUBSPOT_INVOICE_PDF_LINK_PROPERTY,
+    config.HUBSPOT_INVOICE_LATE_FEE_TOTAL_PROPERTY,
+    config.HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY,
+    config.HUBSPOT_INVOICE_LATE_FEE_COUNT_PROPERTY,
+  ].filter(Boolean);
+
+  logger.info(`Searching for open ${LATE_FEE_ELIGIBLE_INVOICE_KINDS.join('/')} invoices due before ${beforeDate}…`);
+
+  let after;
+  const overdue = [];
+  try {
+    do {
+      const searchRequest = {
+        filterGroups: [{
+          filters: [
+            { propertyName: 'hs_invoice_status', operator: 'EQ', value: 'open' },
+            { propertyName: 'hs_due_date', operator: 'LT', value: Date.parse(beforeDate) },
+            { propertyName: config.HUBSPOT_INVOICE_KIND_PROPERTY, operator: 'IN', values: LATE_FEE_ELIGIBLE_INVOICE_KINDS },
+          ],
+        }],
+        properties,
+        sorts: [{ propertyName: 'hs_due_date', direction: 'ASCENDING' }],
+        limit: 100,
+        after,
+      };
+
+      const rsp = await hubspotClient.crm.objects.searchApi.doSearch(INVOICE_OBJECT_TYPE_ID, searchRequest);
+      overdue.push(...rsp.results);
+      after = rsp.paging?.next?.after;
+    } while (after);
+
+    logger.info(`Found ${overdue.length} overdue open invoice(s).`);
+    return overdue;
+  } catch (error) {
+    logger.error('Error searching for overdue invoices:', error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (findOverdueInvoices): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Finds orphan drafts: draft invoices with an idempotency key that createInvoice never finished,
+ * so they are missing their due date, contact or line items. Only drafts created before
+ * `createdBefore` are checked, to leave alone invoices that are still being created.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} createdBefore - Only drafts created before this time (ISO date-time) are checked.
+ * @returns {Promise<Array<object>>} Orphan drafts as { id, number, idempotencyKey, createdAt, missing },
+ *          where missing lists which of 'due date', 'contact' and 'line items' the draft lacks.
+ */
+const findOrphanDraftInvoices = async (hubspotClient, createdBefore) => {
+  const properties = ['hs_number', 'hs_invoice_status', 'hs_due_date', 'hs_createdate', config.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY];
+
+  logger.info(`Searching for keyed draft invoices created before ${createdBefore}…`);
+
+  let after;
+  const drafts = [];
+  try {
+    do {
+      const searchRequest = {
+        filterGroups: [{
+          filters: [
+            { propertyName: 'hs_invoice_status', operator: 'EQ', value: 'draft' },
+            { propertyName: config.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY, operator: 'HAS_PROPERTY' },
+            { propertyName: 'hs_createdate', operator: 'LT', value: Date.parse(createdBefore) },
+          ],
+        }],
+        properties,
+        sorts: [{ propertyName: 'hs_createdate', direction: 'ASCENDING' }],
+        limit: 100,
+        after,
+      };
+
+      const rsp = await hubspotClient.crm.objects.searchApi.doSearch(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, searchRequest);
+      drafts.push(...rsp.results);
+      after = rsp.paging?.next?.after;
+    } while (after);
+
+    const orphans = [];
+    for (const draft of drafts) {
+      const { contactId } = await getInvoiceAssociations(hubspotClient, draft.id);
+      const lineItemIds = await getInvoiceLineItemIds(hubspotClient, draft.id);
+      const missing = [
+        ...(draft.properties.hs_due_date ? [] : ['due date']),
+        ...(contactId ? [] : ['contact']),
+        ...(lineItemIds.length > 0 ? [] : ['line items']),
+      ];
+      if (missing.length > 0) {
+        orphans.push({
+          id            : draft.id,
+          number        : draft.properties.hs_number || draft.id,
+          idempotencyKey: draft.properties[config.HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY],
+          createdAt     : draft.properties.hs_createdate,
+          missing,
+        });
+      }
+    }
+
+    logger.info(`Found ${orphans.length} orphan draft(s) among ${drafts.length} keyed draft invoice(s).`);
+    return orphans;
+  } catch (error) {
+    logger.error('Error searching for orphan draft invoices:', error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (findOrphanDraftInvoices): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+// Invoice kinds whose payment renews a membership for another term
+const RENEWING_INVOICE_KINDS = ['renewal', 'installment'];
+
+// Invoice properties needed to reconcile a payment or issue a receipt
+const getPaymentPropertiesToFetch = () => [
+  'hs_number',
+  'hs_invoice_status',
+  'hs_amount_billed',
+  'hs_currency',
+  'hs_due_date',
+  config.HUBSPOT_INVOICE_NUMBER_PROPERTY,
+  config.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY,
+  config.HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY,
+  config.HUBSPOT_INVOICE_KIND_PROPERTY,
+  config.HUBSPOT_INVOICE_RECONCILED_PROPERTY,
+  config.HUBSPOT_INVOICE_REPLACED_BY_PROPERTY,
+].filter(Boolean);
+
+/**
+ * Finds paid renewal and installment invoices created by this system that reconciliation
+ * has not yet processed (HUBSPOT_INVOICE_RECONCILED_PROPERTY is empty).
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @returns {Promise<Array<object>>} The invoices, oldest billing period first.
+ */
+const findPaidUnreconciledInvoices = async (hubspotClient) => {
+  const properties = getPaymentPropertiesToFetch();
+
+  logger.info('Searching for paid membership invoices not yet reconciled…');
+
+  let after;
+  const paid = [];
+  try {
+    do {
+      const searchRequest = {
+        filterGroups: [{
+          filters: [
+            { propertyName: 'hs_invoice_status', operator: 'EQ', value: 'paid' },
+            { propertyName: config.HUBSPOT_INVOICE_KIND_PROPERTY, operator: 'IN', values: RENEWING_INVOICE_KINDS },
+            { propertyName: config.HUBSPOT_INVOICE_RECONCILED_PROPERTY, operator: 'NOT_HAS_PROPERTY' },
+          ],
+        }],
+        properties,
+        sorts: [{ propertyName: config.HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY, direction: 'ASCENDING' }],
+        limit: 100,
+        after,
+      };
+
+      const rsp = await hubspotClient.crm.objects.searchApi.doSearch(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, searchRequest);
+      paid.push(...rsp.results);
+      after = rsp.paging?.next?.after;
+    } while (after);
+
+    logger.info(`Found ${paid.length} paid invoice(s) to reconcile.`);
+    return paid;
+  } catch (error) {
+    logger.error('Error searching for paid invoices:', error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (findPaidUnreconciledInvoices): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Marks a paid invoice as reconciled so later reconciliation runs skip it.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The paid invoice ID.
+ * @param {string} reconciledOn - The reconciliation date (YYYY-MM-DD).
+ */
+const recordReconciliation = async (hubspotClient, invoiceId, reconciledOn) => {
+  try {
+    await hubspotClient.crm.objects.basicApi.update(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, invoiceId, {
+      properties: { [config.HUBSPOT_INVOICE_RECONCILED_PROPERTY]: reconciledOn },
+    });
+    logger.info(`Invoice ${invoiceId} marked reconciled on ${reconciledOn}.`);
+  } catch (error) {
+    logger.error(`Error marking invoice ${invoiceId} reconciled:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (recordReconciliation): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetches an invoice with the properties needed to reconcile its payment or issue a receipt.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The invoice ID.
+ * @returns {Promise<object>} The invoice.
+ */
+const getPaymentInvoiceById = async (hubspotClient, invoiceId) => {
+  try {
+    return await hubspotClient.crm.objects.basicApi.getById(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, invoiceId, getPaymentPropertiesToFetch());
+  } catch (error) {
+    logger.error(`Error fetching invoice ${invoiceId}:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (getPaymentInvoiceById): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Sets an invoice's status, e.g. 'voided' to cancel it or 'open' to make a draft payable.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The invoice ID.
+ * @param {string} status - The new hs_invoice_status.
+ */
+const setInvoiceStatus = async (hubspotClient, invoiceId, status) => {
+  try {
+    await hubspotClient.crm.objects.basicApi.update(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, invoiceId, {
+      properties: { hs_invoice_status: status },
+    });
+    logger.info(`Invoice ${invoiceId} set to ${status}.`);
+  } catch (error) {
+    logger.error(`Error setting invoice ${invoiceId} to ${status}:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (setInvoiceStatus): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Saves the link to a paid invoice's receipt PDF on the invoice.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The paid invoice ID.
+ * @param {string} receiptLink - The S3 URL of the receipt PDF.
+ */
+const recordPaidReceipt = async (hubspotClient, invoiceId, receiptLink) => {
+  try {
+    await hubspotClient.crm.objects.basicApi.update(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, invoiceId, {
+      properties: { [config.HUBSPOT_INVOICE_RECEIPT_LINK_PROPERTY]: receiptLink },
+    });
+    logger.info(`Receipt link saved on invoice ${invoiceId}.`);
+  } catch (error) {
+    logger.error(`Error saving receipt link on invoice ${invoiceId}:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (recordPaidReceipt): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Looks up the contact and company associated with an invoice.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The invoice ID.
+ * @returns {Promise<{contactId: string|null, companyId: string|null}>} The first associated contact and company.
+ */
+const getInvoiceAssociations = async (hubspotClient, invoiceId) => {
+  const invoiceType = getObjectTypeName(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID);
+  const firstAssociated = async (toObjectType) => {
+    const rsp = await hubspotClient.crm.associations.v4.basicApi.getPage(invoiceType, invoiceId, toObjectType, undefined, 1);
+    return rsp.results?.length ? String(rsp.results[0].toObjectId) : null;
+  };
+
+  return {
+    contactId: await firstAssociated('contact'),
+    companyId: await firstAssociated('company'),
+  };
+};
+
+/**
+ * Fetches the line items associated with an invoice.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The invoice ID.
+ * @returns {Promise<Array<object>>} Line items as { name, quantity, price, description }.
+ */
+const getInvoiceLineItems = async (hubspotClient, invoiceId) => {
+  const lineItemIds = await getInvoiceLineItemIds(hubspotClient, invoiceId);
+
+  const lineItems = [];
+  for (const ids of chunk(lineItemIds)) {
+    const rsp = await hubspotClient.crm.lineItems.batchApi.read({
+      inputs: ids.map(id => ({ id })),
+      properties: ['name', 'quantity', 'price', 'description'],
+      propertiesWithHistory: [],
+    });
+    logBatchErrors(rsp, 'line item read');
+    for (const lineItem of rsp.results || []) {
+      lineItems.push({
+        name: lineItem.properties.name || '',
+        quantity: Number(lineItem.properties.quantity) || 1,
+        price: Number(lineItem.properties.price) || 0,
+        description: lineItem.properties.description || '',
+      });
+    }
+  }
+  return lineItems;
+};
+
+/**
+ * Records a late-fee assessment on an invoice so later runs respect the repeat interval and cap.
+ * Called as soon as the fee is billed, so a later failure cannot lead to the fee being billed twice.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} invoiceId - The overdue invoice ID.
+ * @param {object} assessment
+ * @param {number} assessment.lateFeeTotal - Total late fees assessed on the invoice, including this one.
+ * @param {string} assessment.assessedOn - The assessment date (YYYY-MM-DD).
+ * @param {number} assessment.assessmentCount - Number of assessments on the invoice, including this one.
+ */
+const recordLateFeeAssessment = async (hubspotClient, invoiceId, { lateFeeTotal, assessedOn, assessmentCount }) => {
+  const properties = {
+    [config.HUBSPOT_INVOICE_LATE_FEE_TOTAL_PROPERTY]: lateFeeTotal.toString(),
+    [config.HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY]: assessedOn,
+    [config.HUBSPOT_INVOICE_LATE_FEE_COUNT_PROPERTY]: assessmentCount.toString(),
+  };
+
+  try {
+    await hubspotClient.crm.objects.basicApi.update(config.HUBSPOT_INVOICE_OBJECT_TYPE_ID, invoiceId, { properties });
+    logger.info(`Recorded late fee assessment on invoice ${invoiceId}:`, properties);
+  } catch (error) {
+    logger.error(`Error recording late fee assessment on invoice ${invoiceId}:`, error.body || error.message);
+    if (error.body && error.body.message) {
+      throw new Error(`HubSpot API Error (recordLateFeeAssessment): ${error.body.message}`);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createInvoice,
+  updateInvoice,
+  addLineItemsToInvoice,
+  findExistingOpenInvoice,
+  findDuplicateInvoices,
+  findOverdueInvoices,
+  findOrphanDraftInvoices,
+  findInvoiceByIdempotencyKey,
+  buildIdempotencyKey,
+  findPaidUnreconciledInvoices,
+  recordReconciliation,
+  getPaymentInvoiceById,
+  recordPaidReceipt,
+  setInvoiceStatus,
+  RENEWING_INVOICE_KINDS,
+  getInvoiceAssociations,
+  getInvoiceLineItems,
+  recordLateFeeAssessment,
+  updateCompanyMembershipDues,
+  getInvoicePaymentLink,
+  calculateTargetDate,
+  calculateRenewalWindow,
+  calculateDueDate,
+  toDateKey,
+  daysBetween,
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+// HubSpot Rate Limiting and Retries
+// Tracks HubSpot's rate-limit headers and retries transient API failures with backoff.
+const config = require('../config');
+const logger = require('../utils/logger');
+const { createLimiter } = require('../utils/concurrency');
+
+// HTTP statuses worth retrying: rate limited, or a transient server-side failure
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// Network errors worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+// Methods that create records (basicApi.create, batchApi.create, association createDefault).
+// A 5xx or dropped connection may follow a create HubSpot completed, so only a 429 is retried.
+const CREATE_METHOD_PATTERN = /^create/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let stats;
+
+// Shared by every caller of the client, so parallel member workers never have more than
+// HUBSPOT_MAX_CONCURRENT_REQUESTS requests in flight between them
+const requestLimiter = createLimiter(config.HUBSPOT_MAX_CONCURRENT_REQUESTS);
+
+// The wait for the current rate-limit window to reset, shared by every request that hits it
+let windowReset = null;
+
+/**
+ * Resets the per-run API statistics. Called at the start of each Lambda invocation,
+ * since the client (and this module) outlive a single run in a warm container.
+ */
+const resetApiStats = () => {
+  stats = {
+    calls: 0,
+    retries: 0,
+    retriesByStatus: {},
+    failedAfterRetries: 0,
+    throttleWaitMs: 0,
+    retryWaitMs: 0,
+    rateLimit: { max: null, remaining: null, intervalMs: null, lowestRemaining: null, updatedAt: null },
+  };
+};
+resetApiStats();
+
+/**
+ * Returns a snapshot of the API statistics for the current run.
+ * @returns {{calls: number, retries: number, retriesByStatus: object, failedAfterRetries: number,
+ *           throttleWaitMs: number, retryWaitMs: number, rateLimit: object}}
+ */
+const getApiStats = () => JSON.parse(JSON.stringify(stats));
+
+/**
+ * Records the rate-limit headers HubSpot returns on every response.
+ * @param {object} headers - Response headers (lower-cased names).
+ */
+const recordRateLimitHeaders = (headers = {}) => {
+  const remaining = parseInt(headers['x-hubspot-ratelimit-remaining'], 10);
+  if (isNaN(remaining)) return;
+
+  const rateLimit = stats.rateLimit;
+  rateLimit.remaining = remaining;
+  rateLimit.max = parseInt(headers['x-hubspot-ratelimit-max'], 10) || rateLimit.max;
+  rateLimit.intervalMs = parseInt(headers['x-hubspot-ratelimit-interval-milliseconds'], 10) || rateLimit.intervalMs;
+  rateLimit.lowestRemaining = rateLimit.lowestRemaining === null ? remaining : Math.min(rateLimit.lowestRemaining, remaining);
+  rateLimit.updatedAt = Date.now();
+};
+
+/**
+ * Waits for the current rate-limit window to reset when fewer than HUBSPOT_RATE_LIMIT_BUFFER
+ * requests remain in it. Otherwise counts the request against the window straight away, so
+ * concurrent requests see each other before HubSpot's next response reports the new count.
+ * @async
+ */
+const waitForRateLimitWindow = async () => {
+  while (windowReset) {
+    await windowReset;
+  }
+
+  const { remaining, intervalMs, updatedAt } = stats.rateLimit;
+  if (remaining === null || !intervalMs) return;
+
+  if (remaining > config.HUBSPOT_RATE_LIMIT_BUFFER) {
+    stats.rateLimit.remaining = remaining - 1;
+    return;
+  }
+
+  const waitMs = updatedAt + intervalMs - Date.now();
+  if (waitMs > 0) {
+    logger.warn(`HubSpot rate limit nearly reached (${remaining} remaining); waiting ${waitMs}ms for the window to reset.`);
+    stats.throttleWaitMs += waitMs;
+    windowReset = sleep(waitMs).finally(() => {
+      windowReset = null;
+    });
+    await windowReset;
+  }
+  // The next response reports the new window
+  stats.rateLimit.remaining = null;
+};
+
+/**
+ * HubSpot client middleware that counts calls, waits out the current rate-limit window
+ * when fewer than HUBSPOT_RATE_LIMIT_BUFFER requests remain in it, and records the
+ * rate-limit headers of each response.
+ *
+ * @returns {{pre: Function, post: Function}} Middleware for the @hubspot/api-client `middleware` option.
+ */
+const createRateLimitMiddleware = () => ({
+  pre: async (requestContext) => {
+    stats.calls += 1;
+    await waitForRateLimitWindow();
+    return requestContext;
+  },
+  post: (responseContext) => {
+    recordRateLimitHeaders(responseContext.headers);
+    return responseContext;
+  },
+});
+
+/**
+ * Reads how long HubSpot asked us to wait from a Retry-After header (seconds or an HTTP date).
+ * @param {object} headers - Response headers.
+ * @returns {number|null} Milliseconds to wait, or null when the header is absent.
+ */
+const getRetryAfterMs = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Works out whether a failed call should be retried and after how long.
+ * Retry-After is honored when present; otherwise the delay is exponential
+ * (HUBSPOT_RETRY_BASE_DELAY_MS × 2^attempt) with full jitter, capped at HUBSPOT_RETRY_MAX_DELAY_MS.
+ *
+ * @param {Error} error - The error thrown by the client (ApiException has `code` and `headers`).
+ * @param {number} attempt - The retry about to be made (1 for the first retry).
+ * @param {boolean} [rateLimitedOnly=false] - Retry only a 429, for methods that are not safe to repeat.
+ * @returns {{retry: boolean, delayMs: number, reason: string}}
+ */
+const getRetryDecision = (error, attempt, rateLimitedOnly = false) => {
+  const status = typeof error.code === 'number' ? error.code : null;
+  const networkError = !rateLimitedOnly && typeof error.code === 'string' && RETRYABLE_ERROR_CODES.includes(error.code);
+  const retryable = rateLimitedOnly ? status === 429 : RETRYABLE_STATUSES.includes(status);
+
+  if (!networkError && !retryable) {
+    return { retry: false, delayMs: 0, reason: String(error.code || 'error') };
+  }
+
+  const reason = status ? String(status) : error.code;
+  const retryAfterMs = getRetryAfterMs(error.headers);
+  if (retryAfterMs !== null) {
+    return { retry: true, delayMs: Math.min(retryAfterMs, config.HUBSPOT_RETRY_MAX_DELAY_MS), reason };
+  }
+
+  const ceiling = Math.min(config.HUBSPOT_RETRY_MAX_DELAY_MS, config.HUBSPOT_RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return { retry: true, delayMs: Math.round(Math.random() * ceiling), reason };
+};
+
+/**
+ * Wraps an API method so transient failures are retried up to HUBSPOT_MAX_RETRIES times.
+ * Create methods are retried only when rate limited (see CREATE_METHOD_PATTERN).
+ * Each attempt waits for a slot in the shared request limiter; the backoff between attempts does not hold one.
+ * @param {Function} method - The API method.
+ * @param {object} owner - The object the method belongs to (its `this`).
+ * @param {string} path - The method's path on the client, for logging (e.g. "crm.objects.searchApi.doSearch").
+ * @returns {Function} The wrapped method.
+ */
+const withRetries = (method, owner, path) => async (...args) => {
+  const rateLimitedOnly = CREATE_METHOD_PATTERN.test(path.split('.').pop());
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestLimiter.run(() => method.apply(owner, args));
+    } catch (error) {
+      if (error.headers) recordRateLimitHeaders(error.headers);
+
+      const decision = getRetryDecision(error, attempt + 1, rateLimitedOnly);
+      if (!decision.retry) throw error;
+
+      if (attempt >= config.HUBSPOT_MAX_RETRIES) {
+        stats.failedAfterRetries += 1;
+        logger.error(`HubSpot ${path} still failing (${decision.reason}) after ${attempt} retries; giving up.`);
+        throw error;
+      }
+
+      stats.retries += 1;
+      stats.retriesByStatus[decision.reason] = (stats.retriesByStatus[decision.reason] || 0) + 1;
+      stats.retryWaitMs += decision.delayMs;
+      logger.warn(`HubSpot ${path} failed (${decision.reason}); retry ${attempt + 1}/${config.HUBSPOT_MAX_RETRIES} in ${decision.delayMs}ms.`);
+      await sleep(decision.delayMs);
+    }
+  }
+};
+
+/**
+ * Wraps a HubSpot client so every API method (e.g. client.crm.objects.searchApi.doSearch)
+ * retries transient failures, and create methods retry rate limiting. Nested API groups are wrapped lazily as they are accessed.
+ *
+ * @param {hubspot.Client} client - The HubSpot client.
+ * @returns {hubspot.Client} A proxy for the client with retrying methods.
+ */
+const wrapClientWithRetries = (client) => {
+  const proxies = new WeakMap();
+
+  const wrap = (target, path) => {
+    if (proxies.has(target)) return proxies.get(target);
+
+    const methods = new Map();
+    const proxy = new Proxy(target, {
+      get(obj, prop) {
+        // Getters run against the real client so its internals (config, middleware) stay unwrapped
+        const value = Reflect.get(obj, prop);
+        if (typeof prop === 'symbol' || prop === 'constructor' || value === null || Array.isArray(value)) return value;
+
+        const childPath = path ? `${path}.${prop}` : prop;
+        if (typeof value === 'function') {
+          if (!methods.has(prop)) methods.set(prop, withRetries(value, obj, childPath));
+          return methods.get(prop);
+        }
+        if (typeof value === 'object') {
+          return wrap(value, childPath);
+        }
+        return value;
+      },
+    });
+
+    proxies.set(target, proxy);
+    return proxy;
+  };
+
+  return wrap(client, '');
+};
+
+module.exports = {
+  createRateLimitMiddleware,
+  wrapClientWithRetries,
+  getApiStats,
+  resetApiStats,
+};
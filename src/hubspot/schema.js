@@ -0,0 +1,186 @@
+// HubSpot Property Schema Check
+// Verifies that every configured property exists on the right HubSpot object with the expected type.
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Property types (as the HubSpot properties API reports them)
+const DATE = ['date', 'datetime'];
+const TEXT = ['string'];
+const NUMBER = ['number'];
+const ENUMERATION = ['enumeration'];
+const TEXT_OR_ENUMERATION = ['string', 'enumeration'];
+
+/**
+ * The properties this integration reads or writes, by object.
+ * - types: accepted HubSpot property types
+ * - multiCheckbox: must be an enumeration with the 'checkbox' field type (multiple values, ';'-separated)
+ * - optional: only used by an optional feature; a problem is reported as a warning instead of failing the run
+ *
+ * @returns {Array<{object: string, objectLabel: string, properties: Array<object>}>}
+ */
+const getExpectedSchema = () => [
+  {
+    object     : config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID,
+    objectLabel: 'Company Membership',
+    properties : [
+      { key: 'HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY', types: DATE },
+      { key: 'HUBSPOT_MEMBERSHIP_STATUS_PROPERTY', types: TEXT_OR_ENUMERATION },
+      { key: 'HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY', types: ENUMERATION, multiCheckbox: true },
+      { key: 'HUBSPOT_DISTRIBUTOR_CAN_PROVINCES_CHECKBOX_PROPERTY', types: ENUMERATION, multiCheckbox: true },
+      { key: 'HUBSPOT_DISTRIBUTOR_NON_NA_TERRITORIES_CHECKBOX_PROPERTY', types: ENUMERATION, multiCheckbox: true },
+      { key: 'HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY', types: TEXT_OR_ENUMERATION },
+      { key: 'HUBSPOT_PAYMENT_PLAN_PROPERTY', types: [...TEXT_OR_ENUMERATION, ...NUMBER], optional: true },
+    ],
+  },
+  {
+    object     : 'companies',
+    objectLabel: 'Company',
+    properties : [
+      { key: 'HUBSPOT_MEMBERSHIP_TYPE_PROPERTY', types: TEXT_OR_ENUMERATION },
+      { key: 'HUBSPOT_COMPANY_MEMBERSHIP_DUES_PROPERTY', types: NUMBER },
+      { key: 'HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY', types: NUMBER, optional: true },
+      { key: 'HUBSPOT_DISCOUNT_CODES_PROPERTY', types: TEXT_OR_ENUMERATION, optional: true },
+      { key: 'HUBSPOT_PRICE_OVERRIDE_PROPERTY', types: NUMBER, optional: true },
+      { key: 'HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY', types: DATE, optional: true },
+      { key: 'HUBSPOT_TAX_EXEMPT_PROPERTY', types: [...TEXT_OR_ENUMERATION, 'bool'], optional: true },
+      { key: 'HUBSPOT_MEMBER_CURRENCY_PROPERTY', types: TEXT_OR_ENUMERATION, optional: true },
+      { key: 'HUBSPOT_COMPANY_BILLING_CONTACT_PROPERTY', types: TEXT, optional: true },
+    ],
+  },
+  {
+    object     : 'contacts',
+    objectLabel: 'Contact',
+    properties : [
+      { key: 'HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY', types: DATE },
+      { key: 'HUBSPOT_DISCOUNT_CODES_PROPERTY', types: TEXT_OR_ENUMERATION, optional: true },
+      { key: 'HUBSPOT_PRICE_OVERRIDE_PROPERTY', types: NUMBER, optional: true },
+      { key: 'HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY', types: DATE, optional: true },
+      { key: 'HUBSPOT_TAX_EXEMPT_PROPERTY', types: [...TEXT_OR_ENUMERATION, 'bool'], optional: true },
+      { key: 'HUBSPOT_MEMBER_CURRENCY_PROPERTY', types: TEXT_OR_ENUMERATION, optional: true },
+    ],
+  },
+  {
+    object     : config.HUBSPOT_INVOICE_OBJECT_TYPE_ID,
+    objectLabel: 'Invoice',
+    properties : [
+      { key: 'HUBSPOT_INVOICE_PDF_LINK_PROPERTY', types: TEXT },
+      { key: 'HUBSPOT_INVOICE_NUMBER_PROPERTY', types: TEXT },
+      { key: 'HUBSPOT_INVOICE_BILLING_PERIOD_PROPERTY', types: [...TEXT, ...DATE] },
+      { key: 'HUBSPOT_INVOICE_MEMBERSHIP_ID_PROPERTY', types: TEXT },
+      { key: 'HUBSPOT_INVOICE_PRICE_BOOK_VERSION_PROPERTY', types: TEXT },
+      { key: 'HUBSPOT_INVOICE_KIND_PROPERTY', types: TEXT_OR_ENUMERATION },
+      { key: 'HUBSPOT_INVOICE_IDEMPOTENCY_KEY_PROPERTY', types: TEXT },
+      // Written only by their own mode (reconcile, reissue, webhook receipts, overdue)
+      { key: 'HUBSPOT_INVOICE_RECONCILED_PROPERTY', types: [...TEXT, ...DATE], optional: true },
+      { key: 'HUBSPOT_INVOICE_REPLACES_PROPERTY', types: TEXT, optional: true },
+      { key: 'HUBSPOT_INVOICE_REPLACED_BY_PROPERTY', types: TEXT, optional: true },
+      { key: 'HUBSPOT_INVOICE_RECEIPT_LINK_PROPERTY', types: TEXT, optional: true },
+      { key: 'HUBSPOT_INVOICE_LATE_FEE_TOTAL_PROPERTY', types: [...TEXT, ...NUMBER], optional: true },
+      { key: 'HUBSPOT_INVOICE_LATE_FEE_DATE_PROPERTY', types: [...TEXT, ...DATE], optional: true },
+      { key: 'HUBSPOT_INVOICE_LATE_FEE_COUNT_PROPERTY', types: [...TEXT, ...NUMBER], optional: true },
+    ],
+  },
+];
+
+/**
+ * Reads every property defined on a HubSpot object.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @param {string} objectType - The object type ('companies', 'contacts', 'invoice' or a custom object type ID).
+ * @returns {Promise<Map<string, object>>} Property definitions by internal name.
+ */
+const getObjectProperties = async (hubspotClient, objectType) => {
+  const rsp = await hubspotClient.crm.properties.coreApi.getAll(objectType, false);
+  return new Map((rsp.results || []).map(property => [property.name, property]));
+};
+
+/**
+ * Describes what is wrong with a property definition, if anything.
+ * @param {object|undefined} definition - The property from the HubSpot properties API.
+ * @param {{types: Array<string>, multiCheckbox?: boolean}} expected - The expected schema.
+ * @returns {string|null} The problem, or null if the property is as expected.
+ */
+const describePropertyProblem = (definition, expected) => {
+  if (!definition) {
+    return 'does not exist';
+  }
+  if (!expected.types.includes(definition.type)) {
+    return `is ${definition.type}, expected ${expected.types.join(' or ')}`;
+  }
+  if (expected.multiCheckbox && definition.fieldType !== 'checkbox') {
+    return `is a ${definition.fieldType} field, expected a multiple checkbox`;
+  }
+  return null;
+};
+
+/**
+ * Checks every configured property against the HubSpot properties API.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @returns {Promise<{errors: Array<string>, warnings: Array<string>, checked: number}>}
+ *          Problems that stop a run, problems with optional properties, and how many properties were checked.
+ */
+const checkPropertySchema = async (hubspotClient) => {
+  const errors = [];
+  const warnings = [];
+  let checked = 0;
+
+  for (const { object, objectLabel, properties } of getExpectedSchema()) {
+    let definitions;
+    try {
+      definitions = await getObjectProperties(hubspotClient, object);
+    } catch (error) {
+      const reason = error.body?.message || error.message;
+      errors.push(`${objectLabel} object (${object}): properties could not be read: ${reason}${object === config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID ? '. Check HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID.' : ''}`);
+      continue;
+    }
+
+    for (const expected of properties) {
+      const name = config[expected.key];
+      if (!name) continue;
+      checked++;
+
+      const problem = describePropertyProblem(definitions.get(name), expected);
+      if (problem) {
+        (expected.optional ? warnings : errors).push(`${objectLabel} property "${name}" (${expected.key}) ${problem}`);
+      }
+    }
+  }
+
+  return { errors, warnings, checked };
+};
+
+// A passed check holds for the life of the Lambda container
+let schemaVerified = false;
+
+/**
+ * Runs checkPropertySchema() once per container and stops the run if any required
+ * property is missing or has the wrong type. Warnings are logged only.
+ *
+ * @async
+ * @param {hubspot.Client} hubspotClient - The initialized HubSpot client.
+ * @throws {Error} Listing every problem found, before anything is written to HubSpot.
+ */
+const assertPropertySchema = async (hubspotClient) => {
+  if (schemaVerified) return;
+
+  const { errors, warnings, checked } = await checkPropertySchema(hubspotClient);
+  warnings.forEach(warning => logger.warn(`Schema check: ${warning} (optional; the feature that uses it will not work)`));
+
+  if (errors.length > 0) {
+    throw new Error(
+      `HubSpot property schema check failed with ${errors.length} problem(s); no invoices were created.\n` +
+      errors.map(error => `- ${error}`).join('\n')
+    );
+  }
+
+  logger.info(`Schema check passed: ${checked} properties verified${warnings.length > 0 ? `, ${warnings.length} warning(s)` : ''}.`);
+  schemaVerified = true;
+};
+
+module.exports = {
+  checkPropertySchema,
+  assertPropertySchema,
+};
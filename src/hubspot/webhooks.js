@@ -0,0 +1,107 @@
+// HubSpot Webhook Requests
+// Validates HubSpot's v3 request signature and picks invoice status changes out of webhook payloads.
+const crypto = require('crypto');
+const config = require('../config');
+
+// HubSpot's object type ID for invoices, as sent in generic webhook events
+const INVOICE_OBJECT_TYPE_ID = '0-53';
+
+// URL-encoded characters HubSpot decodes in the request URI before signing it
+const SIGNED_URI_DECODINGS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';',
+};
+
+/**
+ * Reads the parts of a Lambda HTTP event (API Gateway REST or HTTP API, or a function URL)
+ * that HubSpot signs. The URI is HUBSPOT_WEBHOOK_URL when set, since a proxy or custom
+ * domain can change the host and path the Lambda sees.
+ *
+ * @param {object} event - The Lambda event.
+ * @returns {{method: string, uri: string, body: string, signature: string|undefined, timestamp: string|undefined}}
+ */
+const getWebhookRequest = (event) => {
+  const headers = Object.fromEntries(
+    Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const path = event.rawPath || event.path || '/';
+  const query = event.rawQueryString ? `?${event.rawQueryString}` : '';
+  const body = !event.body ? '' : event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+
+  return {
+    method   : event.requestContext?.http?.method || event.httpMethod || 'POST',
+    uri      : config.HUBSPOT_WEBHOOK_URL || `https://${headers.host}${path}${query}`,
+    body,
+    signature: headers['x-hubspot-signature-v3'],
+    timestamp: headers['x-hubspot-request-timestamp'],
+  };
+};
+
+/**
+ * Computes a HubSpot v3 signature: base64 HMAC-SHA256, keyed with the app's client secret,
+ * of method + URI + body + timestamp.
+ *
+ * @param {{method: string, uri: string, body: string, timestamp: string|number}} request - The signed request parts.
+ * @param {string} clientSecret - The HubSpot app's client secret.
+ * @returns {string} The signature.
+ */
+const signWebhookRequest = ({ method, uri, body, timestamp }, clientSecret) => {
+  const decodedUri = uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, match => SIGNED_URI_DECODINGS[match.toUpperCase()]);
+  return crypto
+    .createHmac('sha256', clientSecret)
+    .update(`${method.toUpperCase()}${decodedUri}${body}${timestamp}`)
+    .digest('base64');
+};
+
+/**
+ * Checks a webhook request's v3 signature and rejects requests older than HUBSPOT_WEBHOOK_MAX_AGE_MS.
+ *
+ * @param {object} request - The request parts from getWebhookRequest().
+ * @param {string} clientSecret - The HubSpot app's client secret.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {{valid: boolean, reason: string|null}} Whether the request is genuine, and why not.
+ */
+const verifyWebhookSignature = (request, clientSecret, now = Date.now()) => {
+  if (!request.signature || !request.timestamp) {
+    return { valid: false, reason: 'Missing X-HubSpot-Signature-v3 or X-HubSpot-Request-Timestamp header' };
+  }
+
+  const age = now - Number(request.timestamp);
+  if (isNaN(age) || Math.abs(age) > config.HUBSPOT_WEBHOOK_MAX_AGE_MS) {
+    return { valid: false, reason: `Request timestamp ${request.timestamp} is outside the allowed ${config.HUBSPOT_WEBHOOK_MAX_AGE_MS}ms` };
+  }
+
+  const expected = Buffer.from(signWebhookRequest(request, clientSecret));
+  const actual = Buffer.from(String(request.signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'Signature does not match' };
+  }
+  return { valid: true, reason: null };
+};
+
+/**
+ * Picks invoice status changes (hs_invoice_status property changes) out of a webhook payload.
+ * Other events are ignored.
+ *
+ * @param {Array<object>} events - The webhook payload: an array of HubSpot events.
+ * @returns {Array<{eventId: string, invoiceId: string, status: string, occurredAt: number}>} The status changes.
+ */
+const getInvoiceStatusChanges = (events) => events
+  .filter(event =>
+    event.propertyName === 'hs_invoice_status' &&
+    (event.subscriptionType === 'invoice.propertyChange' ||
+      (event.subscriptionType === 'object.propertyChange' && String(event.objectTypeId) === INVOICE_OBJECT_TYPE_ID))
+  )
+  .map(event => ({
+    eventId   : String(event.eventId),
+    invoiceId : String(event.objectId),
+    status    : event.propertyValue,
+    occurredAt: event.occurredAt,
+  }));
+
+module.exports = {
+  getWebhookRequest,
+  signWebhookRequest,
+  verifyWebhookSignature,
+  getInvoiceStatusChanges,
+};
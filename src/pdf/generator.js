@@ -4,6 +4,14 @@ const path = require('path');
 const puppeteer = require('puppeteer-core'); // We must use puppeteer-core
 const QRCode = require('qrcode');
 const logger = require('../utils/logger');
+const config = require('../config');
+const { createLimiter } = require('../utils/concurrency');
+
+// Browser pool: at most PDF_BROWSER_POOL_SIZE Chromium instances, each rendering one PDF at a time.
+// Browsers are launched on first use and reused until closeBrowserPool() is called.
+const renderLimiter = createLimiter(config.PDF_BROWSER_POOL_SIZE);
+const idleBrowsers = [];
+const openBrowsers = new Set();
 
 /**
  * Loads the HTML template and your logo, and prepares them for injection.
@@ -35,36 +43,68 @@ function populateTemplate(html, data) {
 }
 
 /**
- * Generates a PDF from an HTML string using the @sparticuz/chromium library.
+ * Launches a Chromium instance with the @sparticuz/chromium build.
+ * @returns {Promise<object>} The puppeteer browser.
+ */
+const launchBrowser = async () => {
+    // Dynamic import for chromium
+    const chromium = await import('@sparticuz/chromium');
+
+    const browser = await puppeteer.launch({
+        args: chromium.default.args,           // Note the .default
+        defaultViewport: chromium.default.defaultViewport,
+        executablePath: await chromium.default.executablePath(),
+        headless: chromium.default.headless,
+        ignoreHTTPSErrors: true,
+    });
+    openBrowsers.add(browser);
+    browser.on('disconnected', () => openBrowsers.delete(browser));
+    logger.info(`Launched PDF browser (${openBrowsers.size}/${config.PDF_BROWSER_POOL_SIZE} open).`);
+    return browser;
+};
+
+/**
+ * Generates a PDF from an HTML string using a browser from the pool.
+ * A browser that fails while rendering is closed rather than returned to the pool.
  * @param {string} htmlContent - The final, populated HTML.
  * @returns {Promise<Buffer>} A promise that resolves to the PDF buffer.
  */
-const generatePdf = async (htmlContent) => {
+const generatePdf = (htmlContent) => renderLimiter.run(async () => {
     let browser = null;
+    let page = null;
     try {
-        // Dynamic import for chromium
-        const chromium = await import('@sparticuz/chromium');
-        
-        browser = await puppeteer.launch({
-            args: chromium.default.args,           // Note the .default
-            defaultViewport: chromium.default.defaultViewport,
-            executablePath: await chromium.default.executablePath(),
-            headless: chromium.default.headless,
-            ignoreHTTPSErrors: true,
-        });
-
-        const page = await browser.newPage();
+        browser = idleBrowsers.pop() || await launchBrowser();
+        page = await browser.newPage();
         await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
         const pdfBuffer = await page.pdf({ format: 'A4', printBackground: true });
+        await page.close();
+        idleBrowsers.push(browser);
         return pdfBuffer;
 
     } catch (error) {
         logger.error('Error generating PDF with puppeteer:', error);
-        throw error;
-    } finally {
         if (browser !== null) {
-            await browser.close();
+            openBrowsers.delete(browser);
+            await browser.close().catch(() => {});
         }
+        throw error;
+    }
+});
+
+/**
+ * Closes every pooled browser. Called at the end of each Lambda invocation so no
+ * Chromium process is left running while the container is frozen.
+ * @returns {Promise<void>}
+ */
+const closeBrowserPool = async () => {
+    const browsers = [...openBrowsers];
+    idleBrowsers.length = 0;
+    openBrowsers.clear();
+    await Promise.all(browsers.map(browser => browser.close().catch(error => {
+        logger.warn('Error closing PDF browser:', error.message);
+    })));
+    if (browsers.length > 0) {
+        logger.info(`Closed ${browsers.length} PDF browser(s).`);
     }
 };
 
@@ -109,5 +149,6 @@ module.exports = {
     loadTemplate,
     populateTemplate,
     generatePdf,
+    closeBrowserPool,
     generateQRCode
 };
\ No newline at end of file
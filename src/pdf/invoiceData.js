@@ -0,0 +1,226 @@
+// PDF Invoice Data Preparation
+// Builds the template values for a member's PDF invoice from their pricing result.
+const logger = require('../utils/logger');
+const config = require('../config');
+const { calculateDueDate } = require('../hubspot/invoices');
+const { getCompanyById } = require('../hubspot/companies');
+const { getContactById } = require('../hubspot/contacts');
+
+/**
+ * Formats an address with proper line breaks and punctuation
+ * @param {string} address - Street address
+ * @param {string} city - City name
+ * @param {string} state - State abbreviation
+ * @param {string} zip - Postal code
+ * @returns {string} - Formatted address with HTML line breaks
+ */
+function formatAddress(address, city, state, zip) {
+  const parts = [address, city, state, zip].filter(Boolean);
+
+  if (parts.length === 0) return '';
+
+  if (parts.length === 1) return parts[0];
+
+  if (parts.length === 2) {
+    // If we only have 2 parts, assume it's city, state or address, city
+    return parts.join(', ');
+  }
+
+  if (parts.length === 3) {
+    // If we have 3 parts, assume it's address, city, state or city, state, zip
+    if (state && zip) {
+      // city, state zip format
+      return `${parts[0]}, ${parts[1]} ${parts[2]}`;
+    } else {
+      // address, city, state format
+      return `${parts[0]},<br>${parts[1]}, ${parts[2]}`;
+    }
+  }
+
+  // Full address: address, city, state zip
+  return `${parts[0]},<br>${parts[1]}, ${parts[2]} ${parts[3]}`;
+}
+
+/**
+ * Sanitizes a name for use in filenames by removing/replacing invalid characters
+ * @param {string} name - The name to sanitize
+ * @returns {string} - The sanitized name safe for filenames
+ */
+function sanitizeNameForFilename(name) {
+  if (!name) return 'Unknown';
+
+  return name
+    .trim()
+    // Replace invalid filename characters with underscores
+    .replace(/[<>:"/\\|?*]/g, '_')
+    // Replace multiple spaces/underscores with single underscore
+    .replace(/[\s_]+/g, '_')
+    // Remove leading/trailing underscores
+    .replace(/^_+|_+$/g, '')
+    // Limit length to prevent overly long filenames
+    .substring(0, 50);
+}
+
+/**
+ * Builds the S3 key for a member's PDF invoice.
+ * @param {object} memberInfo - The normalized member (type, name, id).
+ * @param {string} [suffix] - Optional suffix to distinguish additional invoices (e.g. "Proration").
+ * @returns {string} The S3 object key.
+ */
+function buildPdfS3Key(memberInfo, suffix) {
+  const now = new Date();
+  const label = suffix ? `${memberInfo.type}-${suffix}` : memberInfo.type;
+  return `invoices/${now.getFullYear()}/${now.getMonth()+1}/${label}-Invoice-${sanitizeNameForFilename(memberInfo.name)}-${memberInfo.id}.pdf`;
+}
+
+/**
+ * Builds the bill-to block for the PDF.
+ * @param {object} memberInfo - The normalized member (type, name, contactName, properties).
+ * @returns {string} HTML for the bill-to address.
+ */
+function buildBillToAddress(memberInfo) {
+  const address = memberInfo.properties.address || '';
+  const city = memberInfo.properties.city || '';
+  const state = memberInfo.properties.state || '';
+  const zip = memberInfo.properties.zip || '';
+  const formattedAddress = formatAddress(address, city, state, zip);
+
+  if (memberInfo.type === 'Company') {
+    const contactName = memberInfo.contactName || 'Primary Contact';
+    const companyName = memberInfo.properties.name || 'Company';
+    return `${contactName}<br>${companyName}${formattedAddress ? '<br>' + formattedAddress : ''}`;
+  }
+
+  const contactName = memberInfo.name || 'Contact';
+  return `${contactName}${formattedAddress ? '<br>' + formattedAddress : ''}`;
+}
+
+/**
+ * Builds the installment schedule table for a payment plan invoice.
+ * @param {Array<{number: number, amount: number, dueDate: string}>} installments - The plan's schedule.
+ * @param {string} currency - The invoice currency.
+ * @returns {string} HTML for the schedule table.
+ */
+function buildPaymentScheduleTable(installments, currency) {
+  const rows = installments.map(installment =>
+    `<tr><td>Installment ${installment.number} of ${installments.length}</td><td>${new Date(installment.dueDate).toLocaleDateString('en-US', { timeZone: 'UTC' })}</td><td class="amount">${logger.formatCurrency(installment.amount, currency)}</td></tr>`
+  ).join('');
+  return `<table class="schedule-table"><caption>Payment Schedule</caption><thead><tr><th>Installment</th><th>Due Date</th><th class="amount">Amount</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Builds the values used to populate the invoice HTML template.
+ *
+ * @param {object} params
+ * @param {object} params.memberInfo - The normalized member being invoiced.
+ * @param {object} params.priceResult - The pricing result (lineItems, subtotal, taxAmount, totalPrice, currency, details).
+ * @param {string|number} [params.paidThroughDate] - The paid-through date used as the due date.
+ * @param {string} [params.dueDate] - Explicit due date (YYYY-MM-DD); overrides paidThroughDate.
+ * @param {string} params.logoBase64 - The base64 logo.
+ * @param {string} [params.paymentLink] - The HubSpot payment link.
+ * @param {string} [params.qrCodeDataUrl] - The QR code image for the payment link.
+ * @param {string} [params.invoiceNumber] - The invoice number. Defaults to INV-<memberId>-<timestamp>.
+ * @param {number} [params.balanceDue] - Amount still owed, when it differs from the total (e.g. partly paid overdue invoices).
+ * @param {string} [params.banner] - Text for a banner above the line items (e.g. "OVERDUE"). No banner when omitted.
+ * @param {Array<object>} [params.paymentSchedule] - Installments to list in a payment schedule table (payment plans).
+ * @param {string} [params.replacesInvoiceNumber] - Number of the voided invoice this one replaces, shown under the invoice date.
+ * @returns {object} Template values keyed by placeholder name.
+ */
+function buildInvoicePdfData({ memberInfo, priceResult, paidThroughDate, dueDate, logoBase64, paymentLink, qrCodeDataUrl, invoiceNumber, balanceDue, banner, paymentSchedule, replacesInvoiceNumber }) {
+  const invoiceDate = new Date().toLocaleDateString('en-US');
+
+  // Calculate due date for PDF (same logic as HubSpot invoice)
+  const pdfDueDate = dueDate || calculateDueDate(paidThroughDate);
+  const formattedDueDate = new Date(pdfDueDate).toLocaleDateString('en-US');
+
+  // DEBUG: Log address data for company memberships
+  if (memberInfo.type === 'Company') {
+    logger.info(`Company address data for ${memberInfo.name}:`, {
+      companyName: memberInfo.properties.name,
+      address: memberInfo.properties.address,
+      city: memberInfo.properties.city,
+      state: memberInfo.properties.state,
+      zip: memberInfo.properties.zip,
+      contactName: memberInfo.contactName
+    });
+  }
+
+  const tax = priceResult.details.tax;
+  const currency = priceResult.currency || config.INVOICE_CURRENCY;
+
+  return {
+    logo_base64     : logoBase64,
+    invoice_number  : invoiceNumber || `INV-${memberInfo.id}-${Date.now()}`,
+    invoice_date    : invoiceDate,
+    replaces_invoice: replacesInvoiceNumber ? `<strong>Replaces:</strong> ${replacesInvoiceNumber}<br />` : '',
+    due_date        : formattedDueDate,
+    bill_to_address : buildBillToAddress(memberInfo),
+    // Tax is shown in the summary table rather than as a line item
+    line_items      : priceResult.lineItems.filter(li => !li.isTax).map((li, index, items) =>
+        // Consolidated invoices start a heading row for each membership's section
+        (li.section && (index === 0 || items[index - 1].section !== li.section)
+          ? `<tr class="section"><td colspan="4">${li.section}</td></tr>`
+          : '') +
+        `<tr${li.isDiscount ? ' class="discount"' : li.isLateFee ? ' class="late-fee"' : ''}><td><b>${li.name}</b><br><small>${li.description}</small></td><td style="text-align:center;">${li.quantity}</td><td class="price">${logger.formatCurrency(li.price, currency)}</td><td class="amount">${logger.formatCurrency(li.price*li.quantity, currency)}</td></tr>`
+    ).join(''),
+    subtotal        : logger.formatCurrency(priceResult.subtotal, currency),
+    // A null taxAmount means any tax is already listed among the line items (e.g. re-rendered HubSpot invoices)
+    tax_label       : priceResult.taxAmount === null
+        ? 'Sales Tax (included above)'
+        : tax && tax.exempt
+        ? 'Sales Tax (exempt)'
+        : priceResult.taxAmount > 0 ? `Sales Tax (${tax.jurisdiction})` : 'Sales Tax',
+    tax             : priceResult.taxAmount === null ? '—' : logger.formatCurrency(priceResult.taxAmount, currency),
+    total           : logger.formatCurrency(priceResult.totalPrice, currency),
+    balance_due     : logger.formatCurrency(balanceDue !== undefined ? balanceDue : priceResult.totalPrice, currency),
+    banner          : banner ? `<div class="banner">${banner}</div>` : '',
+    payment_schedule: paymentSchedule ? buildPaymentScheduleTable(paymentSchedule, currency) : '',
+    currency_code   : currency,
+    qr_code         : qrCodeDataUrl || '', // QR code for payment
+    payment_link    : paymentLink || ''    // Direct payment link
+  };
+}
+
+/**
+ * Builds the normalized member record used for the PDF from an invoice's associations.
+ * Invoices associated with a company are billed to the company; others to the contact.
+ *
+ * @async
+ * @param {object} hsClient - An initialized HubSpot client.
+ * @param {{contactId: string, companyId: string|null}} associations - The invoice's contact and company.
+ * @returns {Promise<object>} The normalized member (type, id, name, contactId, companyId, properties).
+ */
+const buildMemberInfo = async (hsClient, { contactId, companyId }) => {
+  const contact = await getContactById(hsClient, contactId);
+  const contactName = `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim();
+
+  if (companyId) {
+    const company = await getCompanyById(hsClient, companyId);
+    return {
+      type:        'Company',
+      id:          companyId,
+      name:        company.properties.name,
+      companyId,
+      contactId,
+      contactName,
+      properties:  company.properties,
+    };
+  }
+
+  return {
+    type:       'Individual',
+    id:         contactId,
+    name:       contactName,
+    contactId,
+    companyId:  null,
+    properties: contact.properties,
+  };
+};
+
+module.exports = {
+  formatAddress,
+  sanitizeNameForFilename,
+  buildPdfS3Key,
+  buildInvoicePdfData,
+  buildMemberInfo,
+};
@@ -0,0 +1,68 @@
+// Consolidated Invoice Pricing
+// Combines the pricing results of several memberships held by one company into a single invoice.
+const logger = require('../utils/logger');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Builds the section heading for a membership's line items on a consolidated invoice.
+ * @param {object} membership - The enriched membership record.
+ * @returns {string} The membership's name, or its record ID when unnamed.
+ */
+const getMembershipSectionLabel = (membership) =>
+  membership.properties.company_membership_name || `Membership ${membership.id}`;
+
+/**
+ * Combines per-membership pricing results into one invoice.
+ *
+ * Each line item is tagged with a `section` (the membership it belongs to) so the PDF
+ * and HubSpot line items can be grouped per membership. Totals are the sums of each
+ * membership's totals, so per-membership amounts in the report add up to the invoice.
+ *
+ * @param {Array<{membership: object, priceResult: object}>} membershipPrices - Each membership with its pricing result.
+ * @returns {{totalPrice: number, subtotal: number, taxAmount: number, currency: string, lineItems: Array<object>, details: object}}
+ *          The consolidated pricing result. `details` is the first membership's details with the
+ *          tax amount summed and a `consolidation` entry listing each membership's totals.
+ * @throws {Error} If the memberships are priced in different currencies.
+ */
+const consolidatePriceResults = (membershipPrices) => {
+  const currencies = [...new Set(membershipPrices.map(({ priceResult }) => priceResult.currency))];
+  if (currencies.length > 1) {
+    throw new Error(`Cannot consolidate memberships priced in different currencies (${currencies.join(', ')}).`);
+  }
+
+  const sum = (field) => roundCurrency(membershipPrices.reduce((total, { priceResult }) => total + (priceResult[field] || 0), 0));
+  const [first] = membershipPrices;
+  const taxAmount = sum('taxAmount');
+
+  const lineItems = membershipPrices.flatMap(({ membership, priceResult }) =>
+    priceResult.lineItems.map(li => ({ ...li, section: getMembershipSectionLabel(membership) }))
+  );
+
+  const consolidated = {
+    totalPrice: sum('totalPrice'),
+    subtotal: sum('subtotal'),
+    taxAmount,
+    currency: currencies[0],
+    lineItems,
+    details: {
+      ...first.priceResult.details,
+      tax: first.priceResult.details.tax ? { ...first.priceResult.details.tax, amount: taxAmount } : undefined,
+      consolidation: membershipPrices.map(({ membership, priceResult }) => ({
+        membershipId: membership.id,
+        label: getMembershipSectionLabel(membership),
+        subtotal: priceResult.subtotal,
+        totalPrice: priceResult.totalPrice,
+        priceBookVersion: priceResult.details.priceBookVersion,
+      })),
+    },
+  };
+
+  logger.info(`Consolidated ${membershipPrices.length} memberships into one invoice: ${logger.formatCurrency(consolidated.totalPrice, consolidated.currency)}`);
+  return consolidated;
+};
+
+module.exports = {
+  consolidatePriceResults,
+  getMembershipSectionLabel,
+};
@@ -0,0 +1,187 @@
+// Currency Selection and Conversion
+// Chooses each member's invoice currency and converts prices from a price book's currency
+// using a locally configured exchange-rate table with per-currency rounding rules.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const DEFAULT_EXCHANGE_RATES_PATH = path.join(__dirname, 'exchangeRates.json');
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+let exchangeRateTableInstance;
+
+/**
+ * Loads the exchange-rate table from config.EXCHANGE_RATES_PATH (or the bundled default).
+ * Each rate is the number of units of that currency per one unit of the table's base currency,
+ * with an optional rounding rule ({ increment, mode }) applied to converted prices.
+ * The table is cached for the lifetime of the Lambda container.
+ *
+ * @returns {{version: string, baseCurrency: string, rates: object, countryCurrencies: object}} The parsed table.
+ * @throws {Error} If the file cannot be read or contains an invalid rate or rounding rule.
+ */
+const loadExchangeRateTable = () => {
+  if (exchangeRateTableInstance) {
+    return exchangeRateTableInstance;
+  }
+
+  const tablePath = config.EXCHANGE_RATES_PATH ? path.resolve(config.EXCHANGE_RATES_PATH) : DEFAULT_EXCHANGE_RATES_PATH;
+
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to read exchange-rate table at ${tablePath}:`, error.message);
+    throw new Error(`Unable to load exchange-rate table from ${tablePath}: ${error.message}`);
+  }
+
+  const baseCurrency = String(table.baseCurrency || config.INVOICE_CURRENCY).toUpperCase();
+  const rates = {};
+  for (const [currency, entry] of Object.entries(table.rates || {})) {
+    const code = currency.toUpperCase();
+    if (!CURRENCY_CODE_PATTERN.test(code) || typeof entry.rate !== 'number' || entry.rate <= 0) {
+      throw new Error(`Exchange-rate table ${tablePath}: ${currency} needs a 3-letter code and a positive numeric "rate".`);
+    }
+    const rounding = entry.rounding || {};
+    if ((rounding.increment !== undefined && (typeof rounding.increment !== 'number' || rounding.increment <= 0))
+        || (rounding.mode !== undefined && !ROUNDING_MODES.includes(rounding.mode))) {
+      throw new Error(`Exchange-rate table ${tablePath}: ${currency} has an invalid rounding rule; use { "increment": > 0, "mode": "${ROUNDING_MODES.join('" | "')}" }.`);
+    }
+    rates[code] = entry;
+  }
+
+  const countryCurrencies = {};
+  for (const [country, currency] of Object.entries(table.countryCurrencies || {})) {
+    countryCurrencies[country.trim().toUpperCase()] = String(currency).toUpperCase();
+  }
+
+  logger.info(`Loaded exchange-rate table ${table.version || '(unversioned)'} (base ${baseCurrency}) with ${Object.keys(rates).length} rate(s) from ${tablePath}`);
+  exchangeRateTableInstance = { version: table.version || null, baseCurrency, rates, countryCurrencies };
+  return exchangeRateTableInstance;
+};
+
+/**
+ * Chooses the currency a member is invoiced in. In order of precedence:
+ * the member's currency property (config.HUBSPOT_MEMBER_CURRENCY_PROPERTY), the currency
+ * mapped to their billing country in the exchange-rate table, then config.INVOICE_CURRENCY.
+ *
+ * @param {object} properties - The member's HubSpot properties.
+ * @returns {string} A 3-letter currency code.
+ */
+const resolveMemberCurrency = (properties) => {
+  const explicit = properties[config.HUBSPOT_MEMBER_CURRENCY_PROPERTY];
+  if (explicit && String(explicit).trim() !== '') {
+    const code = String(explicit).trim().toUpperCase();
+    if (CURRENCY_CODE_PATTERN.test(code)) {
+      return code;
+    }
+    logger.warn(`Ignoring invalid currency "${explicit}" in ${config.HUBSPOT_MEMBER_CURRENCY_PROPERTY}; falling back to billing country.`);
+  }
+
+  const country = properties.country;
+  if (country) {
+    const mapped = loadExchangeRateTable().countryCurrencies[String(country).trim().toUpperCase()];
+    if (mapped) {
+      return mapped;
+    }
+  }
+
+  return config.INVOICE_CURRENCY;
+};
+
+/**
+ * Returns the rate from one currency to another through the table's base currency.
+ * @param {string} fromCurrency - The source currency code.
+ * @param {string} toCurrency - The target currency code.
+ * @returns {number} Units of toCurrency per unit of fromCurrency.
+ * @throws {Error} If either currency has no rate in the table.
+ */
+const getExchangeRate = (fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency) return 1;
+
+  const table = loadExchangeRateTable();
+  const unitsPerBase = (currency) => {
+    if (currency === table.baseCurrency) return 1;
+    const entry = table.rates[currency];
+    if (!entry) {
+      throw new Error(`No exchange rate from ${table.baseCurrency} to ${currency} is configured, and no ${currency} price book is in effect.`);
+    }
+    return entry.rate;
+  };
+
+  return unitsPerBase(toCurrency) / unitsPerBase(fromCurrency);
+};
+
+/**
+ * Rounds a converted amount using the target currency's rounding rule
+ * (default: nearest 0.01).
+ * @param {number} amount - The converted amount.
+ * @param {string} currency - The target currency code.
+ * @returns {number} The rounded amount.
+ */
+const roundForCurrency = (amount, currency) => {
+  const entry = loadExchangeRateTable().rates[currency] || {};
+  const { increment = 0.01, mode = 'nearest' } = entry.rounding || {};
+  const rounders = { nearest: Math.round, up: Math.ceil, down: Math.floor };
+  // Rounding the magnitude keeps negative (discount) amounts symmetric with charges
+  const rounded = rounders[mode](Math.abs(amount) / increment) * increment;
+  return Math.sign(amount) * Math.round(rounded * 100) / 100;
+};
+
+/**
+ * Converts an amount between currencies and applies the target currency's rounding rule.
+ * @param {number} amount - The amount in fromCurrency.
+ * @param {string} fromCurrency - The source currency code.
+ * @param {string} toCurrency - The target currency code.
+ * @returns {number} The converted, rounded amount.
+ */
+const convertAmount = (amount, fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency) return amount;
+  return roundForCurrency(amount * getExchangeRate(fromCurrency, toCurrency), toCurrency);
+};
+
+/**
+ * Converts a rule-set price result into another currency. Each line item's unit price is
+ * converted and rounded, and the total is recalculated from the converted line items.
+ *
+ * @param {{totalPrice: number, lineItems: Array<object>, details: object}} priceResult - The price in fromCurrency.
+ * @param {string} fromCurrency - The price book currency.
+ * @param {string} toCurrency - The member's invoice currency.
+ * @returns {{totalPrice: number, lineItems: Array<object>, details: object}} The converted price result;
+ *          `details.exchangeRate` records the conversion.
+ */
+const convertPriceResult = (priceResult, fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency) return priceResult;
+
+  const rate = getExchangeRate(fromCurrency, toCurrency);
+  const lineItems = priceResult.lineItems.map(li => ({
+    ...li,
+    price: convertAmount(li.price, fromCurrency, toCurrency),
+  }));
+  const totalPrice = Math.round(lineItems.reduce((sum, li) => sum + li.price * li.quantity, 0) * 100) / 100;
+
+  logger.info(`Converted ${logger.formatCurrency(priceResult.totalPrice, fromCurrency)} to ${logger.formatCurrency(totalPrice, toCurrency)} at ${rate}`);
+
+  return {
+    totalPrice,
+    lineItems,
+    details: {
+      ...priceResult.details,
+      totalPrice,
+      exchangeRate: {
+        from: fromCurrency,
+        to: toCurrency,
+        rate,
+        tableVersion: loadExchangeRateTable().version,
+      },
+    },
+  };
+};
+
+module.exports = {
+  resolveMemberCurrency,
+  getExchangeRate,
+  convertAmount,
+  convertPriceResult,
+};
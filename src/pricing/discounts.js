@@ -0,0 +1,213 @@
+// Discount and Member Override Application
+// Applies price book discount rules, coupon codes and member-specific price overrides
+// to a calculated price, emitting each reduction as a negative line item.
+const config = require('../config');
+const logger = require('../utils/logger');
+const { formatRuleText } = require('./priceBook');
+
+/**
+ * Rounds an amount to whole cents.
+ * @param {number} amount - The amount to round.
+ * @returns {number} The rounded amount.
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Parses a semicolon- or comma-delimited list of coupon codes from a HubSpot property.
+ * @param {string} value - The raw property value (e.g. "MULTIYEAR;CHAPTER").
+ * @returns {Array<string>} Upper-cased, trimmed codes.
+ */
+const parseDiscountCodes = (value) => {
+  if (!value) return [];
+  return String(value)
+    .split(/[;,]/)
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+};
+
+/**
+ * Checks whether a date-limited rule or override has expired.
+ * @param {string} [expiresOn] - Expiry date (YYYY-MM-DD or epoch ms). The rule is valid through this date.
+ * @param {string} asOfDate - The date to check against (YYYY-MM-DD).
+ * @returns {boolean} True if the expiry date is before asOfDate.
+ */
+const isExpired = (expiresOn, asOfDate) => {
+  if (!expiresOn) return false;
+  const expiry = /^\d+$/.test(String(expiresOn)) ? new Date(Number(expiresOn)) : new Date(expiresOn);
+  if (isNaN(expiry.getTime())) return false;
+  return expiry.toISOString().slice(0, 10) < asOfDate;
+};
+
+/**
+ * Returns the discount rules from the price book that apply to a member.
+ * Rules with a `code` apply only when the member holds that coupon code;
+ * rules without a code apply to every member of the listed membership types.
+ *
+ * @param {Array<object>} discountRules - The price book `discounts` array.
+ * @param {string} membershipType - The member's membership type.
+ * @param {Array<string>} memberCodes - Coupon codes held by the member.
+ * @param {string} asOfDate - The date used to check expiry (YYYY-MM-DD).
+ * @returns {Array<object>} Applicable discount rules.
+ */
+const selectDiscountRules = (discountRules, membershipType, memberCodes, asOfDate) => {
+  return discountRules.filter(rule => {
+    if (rule.membershipTypes && !rule.membershipTypes.includes(membershipType)) {
+      return false;
+    }
+    if (rule.code && !memberCodes.includes(String(rule.code).toUpperCase())) {
+      return false;
+    }
+    if (isExpired(rule.expiresOn, asOfDate)) {
+      logger.info(`Discount ${rule.id} expired on ${rule.expiresOn}; not applied.`);
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Calculates the reduction a discount rule gives against the current line items.
+ * @param {object} rule - The discount rule.
+ * @param {Array<object>} lineItems - The line items being discounted.
+ * @returns {{reduction: number, appliedTo: string}|null} The reduction, or null if the target line item is absent.
+ */
+const calculateReduction = (rule, lineItems) => {
+  let baseAmount;
+  let appliedTo;
+
+  if (rule.lineItem) {
+    const target = lineItems.find(li => li.name === rule.lineItem);
+    if (!target) {
+      return null;
+    }
+    baseAmount = target.price * target.quantity;
+    appliedTo = target.name;
+  } else {
+    baseAmount = lineItems.reduce((sum, li) => sum + li.price * li.quantity, 0);
+    appliedTo = 'Invoice subtotal';
+  }
+
+  const rawReduction = rule.type === 'percentage'
+    ? baseAmount * (rule.amount / 100)
+    : rule.amount;
+
+  return {
+    reduction: roundCurrency(Math.min(Math.max(rawReduction, 0), baseAmount)),
+    appliedTo,
+  };
+};
+
+/**
+ * Applies discounts and member-specific overrides to a price result.
+ *
+ * A member price override (config.HUBSPOT_PRICE_OVERRIDE_PROPERTY) sets the member's
+ * negotiated dues and replaces any discount rules. Otherwise every applicable price book
+ * discount is applied in order. Each reduction becomes a negative line item, and
+ * `details.discounts` lists what was applied and why.
+ *
+ * @param {{totalPrice: number, lineItems: Array<object>, details: object}} priceResult - The undiscounted price.
+ * @param {object} properties - The member's HubSpot properties.
+ * @param {object} context
+ * @param {string} context.membershipType - The member's membership type.
+ * @param {object} context.priceBook - The price book the price was calculated from.
+ * @param {string} [context.asOfDate] - Date used for expiry checks (YYYY-MM-DD). Defaults to today.
+ * @param {string} [context.currency] - The invoice currency, used in line item wording. Defaults to config.INVOICE_CURRENCY.
+ * @returns {{totalPrice: number, lineItems: Array<object>, details: object}} The discounted price result.
+ */
+const applyDiscounts = (priceResult, properties, { membershipType, priceBook, asOfDate = new Date().toISOString().slice(0, 10), currency = config.INVOICE_CURRENCY }) => {
+  const lineItems = [...priceResult.lineItems];
+  const subtotal = roundCurrency(priceResult.totalPrice);
+  const appliedDiscounts = [];
+
+  const overrideValue = properties[config.HUBSPOT_PRICE_OVERRIDE_PROPERTY];
+  const overrideExpiry = properties[config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY];
+  const overridePrice = overrideValue !== undefined && overrideValue !== null && String(overrideValue).trim() !== ''
+    ? parseFloat(String(overrideValue).replace(/[$,]/g, ''))
+    : NaN;
+
+  if (!isNaN(overridePrice) && isExpired(overrideExpiry, asOfDate)) {
+    logger.info(`Member price override of ${overridePrice} expired on ${overrideExpiry}; not applied.`);
+  } else if (!isNaN(overridePrice) && overridePrice >= 0 && overridePrice < subtotal) {
+    const reduction = roundCurrency(subtotal - overridePrice);
+    lineItems.push({
+      name: 'Member Price Adjustment',
+      quantity: 1,
+      price: -reduction,
+      description: `Negotiated member dues of ${logger.formatCurrency(overridePrice, currency)}.`,
+      billing_frequency: 'One-Time',
+      isDiscount: true,
+    });
+    appliedDiscounts.push({
+      id: 'MEMBER_OVERRIDE',
+      name: 'Member Price Adjustment',
+      type: 'override',
+      amount: overridePrice,
+      appliedTo: 'Invoice subtotal',
+      reduction,
+      source: config.HUBSPOT_PRICE_OVERRIDE_PROPERTY,
+    });
+  } else {
+    if (!isNaN(overridePrice)) {
+      logger.warn(`Ignoring member price override ${overrideValue}: it must be at least 0 and below the calculated price of ${subtotal}.`);
+    }
+
+    const memberCodes = parseDiscountCodes(properties[config.HUBSPOT_DISCOUNT_CODES_PROPERTY]);
+    const rules = selectDiscountRules(priceBook.discounts || [], membershipType, memberCodes, asOfDate);
+
+    for (const rule of rules) {
+      // Each discount applies to the running total, so stacked discounts can never exceed the price
+      const result = calculateReduction(rule, lineItems);
+      if (!result) {
+        logger.info(`Discount ${rule.id} targets line item "${rule.lineItem}", which is not on this invoice; not applied.`);
+        continue;
+      }
+      if (result.reduction <= 0) {
+        continue;
+      }
+
+      lineItems.push({
+        name: rule.name,
+        quantity: 1,
+        price: -result.reduction,
+        description: formatRuleText(rule.description, { appliedTo: result.appliedTo, amount: rule.amount, code: rule.code || '' }),
+        billing_frequency: 'One-Time',
+        isDiscount: true,
+      });
+      appliedDiscounts.push({
+        id: rule.id,
+        name: rule.name,
+        type: rule.type,
+        amount: rule.amount,
+        appliedTo: result.appliedTo,
+        reduction: result.reduction,
+        source: rule.code ? `coupon ${String(rule.code).toUpperCase()}` : 'automatic',
+      });
+    }
+  }
+
+  if (appliedDiscounts.length === 0) {
+    return priceResult;
+  }
+
+  const totalReduction = roundCurrency(appliedDiscounts.reduce((sum, d) => sum + d.reduction, 0));
+  const totalPrice = roundCurrency(Math.max(subtotal - totalReduction, 0));
+
+  logger.info(`Applied ${appliedDiscounts.length} discount(s) totalling ${logger.formatCurrency(totalReduction, currency)}`, appliedDiscounts);
+
+  return {
+    totalPrice,
+    lineItems,
+    details: {
+      ...priceResult.details,
+      subtotalBeforeDiscounts: subtotal,
+      discounts: appliedDiscounts,
+      totalDiscount: totalReduction,
+      totalPrice,
+    },
+  };
+};
+
+module.exports = {
+  applyDiscounts,
+  parseDiscountCodes,
+};
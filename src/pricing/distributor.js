@@ -1,6 +1,7 @@
 // Distributor Membership Pricing Calculation
 const config = require('../config');
 const logger = require('../utils/logger');
+const { getMembershipRules, formatRuleText } = require('./priceBook');
 
 /**
  * Normalizes state names to handle variations in how states might be stored
@@ -72,17 +73,42 @@ const countTerritoriesExcludingHomeState = (territoryString, homeState) => {
   return filteredTerritories.length;
 };
 
+/**
+ * Returns the territory names from a semicolon-delimited string, excluding the home state.
+ * @param {string} territoryString - Semicolon-delimited territory string
+ * @param {string} homeState - The home state to exclude
+ * @returns {Array<string>} - Billable territory names
+ */
+const getBillableTerritoryNames = (territoryString, homeState) => {
+  if (!territoryString) return [];
+
+  const normalizedHomeState = normalizeStateName(homeState);
+  return territoryString
+    .split(';')
+    .filter(Boolean)
+    .filter(territory => !normalizedHomeState || normalizeStateName(territory) !== normalizedHomeState);
+};
+
 /**
  * Calculates the total invoice amount for a Distributor membership by counting
  * items from multi-checkbox properties on the Company Membership object.
  * Excludes the distributor's home state from billing calculations.
+ * Fees, product IDs and line-item wording come from the price book.
  *
  * @param {object} membershipProperties - The HubSpot company membership properties object.
+ * @param {object} [rules] - The Distributor price book rules. Defaults to the loaded price book.
  * @returns {{totalPrice: number, lineItems: Array<object>, details: object}}
  */
-const calculateDistributorPrice = (membershipProperties) => {
-  const baseFee = config.DISTRIBUTOR_BASE_FEE || 929;
-  const perTerritoryCharge = config.DISTRIBUTOR_PER_TERRITORY_FEE || 70;
+const calculateDistributorPrice = (membershipProperties, rules = getMembershipRules(config.MEMBERSHIP_TYPE_DISTRIBUTOR)) => {
+  if (!rules || !rules.lineItems || !rules.lineItems.base || !rules.lineItems.territory) {
+    const errorMsg = 'Distributor pricing rules (base and territory line items) are missing from the price book.';
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  const { base, homeState: homeStateRule, territory } = rules.lineItems;
+  const baseFee = base.price;
+  const perTerritoryCharge = territory.price;
 
   // Get the property names from config
   const usStatesProperty = config.HUBSPOT_DISTRIBUTOR_US_STATES_CHECKBOX_PROPERTY;
@@ -109,32 +135,46 @@ const calculateDistributorPrice = (membershipProperties) => {
   const territoriesCharge = totalBillableTerritories * perTerritoryCharge;
   const totalPrice = baseFee + territoriesCharge;
 
+  const wordingValues = {
+    homeState: homeState || 'Not specified',
+    territoryCount: totalBillableTerritories,
+    territories: [
+      ...getBillableTerritoryNames(usStatesString, homeState),
+      ...getBillableTerritoryNames(canadianProvincesString, homeState),
+      ...getBillableTerritoryNames(nonNATerritoriesString, homeState),
+    ].join(', '),
+  };
+
   const lineItems = [
     {
-      name: 'Distributor Membership Base Fee',
+      name: base.name,
       quantity: 1,
       price: baseFee,
-      description: 'Annual base fee for Distributor Membership.',
-      productId: '2463768667', // $929 membership product ID
-      billing_frequency: 'One-Time'
-    },
-    {
-      name: 'Home State Listing',
-      quantity: 1,
-      price: 0,
-      description: `FREE listing in home state of ${homeState || 'Not specified'}`,
-      productId: '25230586526', // HubSpot product ID for free home state listing
+      description: formatRuleText(base.description, wordingValues),
+      productId: base.productId,
       billing_frequency: 'One-Time'
     }
   ];
 
+  if (homeStateRule) {
+    lineItems.push({
+      name: homeStateRule.name,
+      quantity: 1,
+      price: homeStateRule.price || 0,
+      description: formatRuleText(homeStateRule.description, wordingValues),
+      productId: homeStateRule.productId,
+      billing_frequency: 'One-Time'
+    });
+  }
+
   if (totalBillableTerritories > 0) {
     lineItems.push({
-      name: `Additional Territory Listings`,
+      name: territory.name,
       quantity: totalBillableTerritories,
       price: perTerritoryCharge,
-      description: `Charge for ${totalBillableTerritories} territories (home state excluded).`, 
-      // No productId - this will be created as a custom line item
+      description: formatRuleText(territory.description, wordingValues),
+      // No productId unless the price book names one - this will be created as a custom line item
+      ...(territory.productId && { productId: territory.productId }),
     });
   }
   
@@ -154,4 +194,5 @@ const calculateDistributorPrice = (membershipProperties) => {
   };
 };
 
-module.exports = calculateDistributorPrice; 
\ No newline at end of file
+module.exports = calculateDistributorPrice;
+module.exports.normalizeStateName = normalizeStateName;
@@ -0,0 +1,142 @@
+// Pricing Rules Engine
+// Dispatches a membership to the rule set named for its type in the price book.
+const logger = require('../utils/logger');
+const { loadPriceBook, getMembershipRules, getPriceBookCurrency } = require('./priceBook');
+const { resolveMemberCurrency, convertAmount, convertPriceResult } = require('./currency');
+const { applyDiscounts } = require('./discounts');
+const { applyTax } = require('./tax');
+const calculateDistributorPrice = require('./distributor');
+const calculateManufacturerPrice = require('./manufacturer');
+const calculateServiceProviderPrice = require('./serviceProvider');
+const calculateIndividualPrice = require('./individual');
+const calculateFlatPrice = require('./flat');
+
+/**
+ * Registry of rule sets, keyed by the `ruleSet` name used in the price book.
+ * Each rule set is called as (properties, rules, membershipType).
+ */
+const ruleSets = {
+  distributor: calculateDistributorPrice,
+  manufacturer: calculateManufacturerPrice,
+  serviceProvider: calculateServiceProviderPrice,
+  individual: calculateIndividualPrice,
+  flat: calculateFlatPrice,
+};
+
+/**
+ * Registers an additional rule set that price book entries can reference by name.
+ * @param {string} name - The rule set name used in the price book's `ruleSet` field.
+ * @param {Function} ruleSet - The pricing function (properties, rules, membershipType) => priceResult.
+ */
+const registerRuleSet = (name, ruleSet) => {
+  if (typeof ruleSet !== 'function') {
+    throw new Error(`Rule set "${name}" must be a function.`);
+  }
+  ruleSets[name] = ruleSet;
+};
+
+/**
+ * Evaluates the rule set for a membership type against a specific price book,
+ * without discounts or tax.
+ *
+ * @param {string} membershipType - The membership type value (e.g. "Distributor").
+ * @param {object} properties - The HubSpot membership/company/contact properties object.
+ * @param {object} priceBook - The price book to price from.
+ * @returns {{totalPrice: number, lineItems: Array<object>, details: object}} The undiscounted price result.
+ * @throws {Error} If the membership type has no price book entry or names an unknown rule set.
+ */
+const evaluateRuleSet = (membershipType, properties, priceBook) => {
+  const rules = getMembershipRules(membershipType, priceBook);
+
+  if (!rules) {
+    throw new Error(`Unknown membership type: ${membershipType || 'Not specified'}`);
+  }
+
+  const ruleSet = ruleSets[rules.ruleSet];
+  if (!ruleSet) {
+    throw new Error(`Price book ${priceBook.version} references unknown rule set "${rules.ruleSet}" for membership type ${membershipType}.`);
+  }
+
+  logger.info(`Pricing ${membershipType} membership with rule set "${rules.ruleSet}" (price book ${priceBook.version}, effective ${priceBook.effectiveFrom || 'from start'})`);
+  return ruleSet(properties, rules, membershipType);
+};
+
+/**
+ * Determines the date whose dues apply to a renewal: the first day of the new term,
+ * i.e. the day after the member's paid-through date.
+ *
+ * @param {string|number} [paidThroughDate] - The paid-through date (ISO string, or epoch ms as number/string).
+ * @returns {string} The pricing date as YYYY-MM-DD. Falls back to today when no valid date is given.
+ */
+const resolvePricingDate = (paidThroughDate) => {
+  const date = paidThroughDate !== undefined && paidThroughDate !== null && /^\d+$/.test(String(paidThroughDate))
+    ? new Date(Number(paidThroughDate))
+    : new Date(paidThroughDate || NaN);
+
+  if (isNaN(date.getTime())) {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Calculates the price for a membership by evaluating the price book rules for its type,
+ * then applying any discounts or member price override, then sales tax.
+ * The price book is the one in force on the first day of the renewed term, in the member's
+ * currency when one exists; otherwise the default-currency book is used and its prices are
+ * converted with the exchange-rate table.
+ *
+ * @param {string} membershipType - The membership type value (e.g. "Distributor", "Individual").
+ * @param {object} properties - The HubSpot membership/company/contact properties object.
+ * @param {object} [options]
+ * @param {string|number} [options.paidThroughDate] - The member's current paid-through date.
+ * @param {string} [options.currency] - The invoice currency. Defaults to the member's currency (see currency.js).
+ * @returns {{totalPrice: number, subtotal: number, taxAmount: number, currency: string, lineItems: Array<object>, details: object}}
+ *          The price result (`totalPrice` includes tax, `subtotal` does not); `details` also records the
+ *          rule set, price book version, pricing date, currency, exchange rate, discounts and tax used.
+ * @throws {Error} If the membership type has no price book entry or names an unknown rule set,
+ *                 or the member's currency has neither a price book nor an exchange rate.
+ */
+const calculatePrice = (membershipType, properties, options = {}) => {
+  const pricingDate = resolvePricingDate(options.paidThroughDate);
+  const currency = options.currency || resolveMemberCurrency(properties);
+  let priceBook = loadPriceBook(pricingDate, currency);
+  const bookCurrency = getPriceBookCurrency(priceBook);
+  const rules = getMembershipRules(membershipType, priceBook);
+
+  const ruleSetResult = convertPriceResult(evaluateRuleSet(membershipType, properties, priceBook), bookCurrency, currency);
+
+  if (bookCurrency !== currency && priceBook.discounts) {
+    // Fixed discount amounts are in the price book's currency too
+    priceBook = {
+      ...priceBook,
+      discounts: priceBook.discounts.map(d => (d.type === 'fixed' ? { ...d, amount: convertAmount(d.amount, bookCurrency, currency) } : d)),
+    };
+  }
+
+  // Discounts and overrides expire against the same date the price book was chosen for
+  const discountedResult = applyDiscounts(ruleSetResult, properties, { membershipType, priceBook, currency, asOfDate: pricingDate });
+  const priceResult = applyTax(discountedResult, properties, { currency });
+
+  return {
+    ...priceResult,
+    currency,
+    details: {
+      ...priceResult.details,
+      ruleSet: rules.ruleSet,
+      priceBookVersion: priceBook.version,
+      priceBookEffectiveFrom: priceBook.effectiveFrom || null,
+      pricingDate,
+      currency,
+    },
+  };
+};
+
+module.exports = {
+  calculatePrice,
+  evaluateRuleSet,
+  resolvePricingDate,
+  registerRuleSet,
+};
@@ -0,0 +1,50 @@
+// Flat-Fee Membership Pricing Calculation
+const logger = require('../utils/logger');
+const { formatRuleText } = require('./priceBook');
+
+/**
+ * Calculates the invoice amount for any membership type billed as a single flat fee.
+ * The fee, product ID and line-item wording come from the price book entry's `lineItem`.
+ *
+ * @param {object} properties - The HubSpot membership, company or contact properties object.
+ * @param {object} rules - The price book rules for the membership type.
+ * @param {string} membershipType - The membership type being priced (used for details and logging).
+ * @returns {{totalPrice: number, lineItems: Array<object>, details: object}}
+ * @throws {Error} If the price book entry does not define a flat fee.
+ */
+const calculateFlatPrice = (properties, rules, membershipType) => {
+  const flatRate = rules && rules.lineItem ? rules.lineItem.price : undefined;
+
+  if (flatRate === undefined || flatRate === null) {
+    const errorMsg = `${membershipType} flat fee is not configured in the price book.`;
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  const lineItems = [
+    {
+      name: rules.lineItem.name || `${membershipType} Membership Fee`,
+      quantity: 1,
+      price: flatRate,
+      description: formatRuleText(rules.lineItem.description, { membershipType, price: flatRate }),
+      ...(rules.lineItem.productId && { productId: rules.lineItem.productId }),
+      billing_frequency: 'One-Time'
+    },
+  ];
+
+  const calculationDetails = {
+    membershipType,
+    flatRate,
+    totalPrice: flatRate,
+  };
+
+  logger.info(`${membershipType} price calculated for record ${properties.hs_object_id || 'N/A'}`, calculationDetails);
+
+  return {
+    totalPrice: flatRate,
+    lineItems,
+    details: calculationDetails,
+  };
+};
+
+module.exports = calculateFlatPrice;
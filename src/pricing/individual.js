@@ -1,39 +1,17 @@
 // Individual Membership Pricing Calculation
 const config = require('../config');
-const logger = require('../utils/logger');
+const { getMembershipRules } = require('./priceBook');
+const calculateFlatPrice = require('./flat');
 
 /**
  * Calculates the total invoice amount for an Individual membership.
+ * Flat rate and product ID are defined in the price book.
+ *
  * @param {object} contactProperties - The HubSpot contact properties object.
+ * @param {object} [rules] - The Individual price book rules. Defaults to the loaded price book.
  * @returns {{totalPrice: number, lineItems: Array<object>, details: object}}
  */
-const calculateIndividualPrice = (contactProperties) => {
-  const flatRate = config.INDIVIDUAL_MEMBERSHIP_FEE || 349;
+const calculateIndividualPrice = (contactProperties, rules = getMembershipRules(config.MEMBERSHIP_TYPE_INDIVIDUAL)) =>
+  calculateFlatPrice(contactProperties, rules, 'Individual');
 
-  const lineItems = [
-    {
-      name: 'Individual Membership Fee',
-      quantity: 1,
-      price: flatRate,
-      description: `Annual fee for Individual Membership.`,
-      productId: '2695542944', // $349 (Membership RENEWAL) product ID
-      billing_frequency: 'One-Time'
-    },
-  ];
-
-  const calculationDetails = {
-    membershipType: 'Individual',
-    flatRate,
-    totalPrice: flatRate,
-  };
-
-  logger.info(`Individual price calculated for contact ${contactProperties.hs_object_id || 'N/A'}`, calculationDetails);
-
-  return {
-    totalPrice: flatRate,
-    lineItems,
-    details: calculationDetails,
-  };
-};
-
-module.exports = calculateIndividualPrice;
\ No newline at end of file
+module.exports = calculateIndividualPrice;
@@ -0,0 +1,107 @@
+// Late Fee Calculation
+// Applies the configured late-fee policy (flat or percentage, grace days, caps) to an overdue invoice.
+const config = require('../config');
+const logger = require('../utils/logger');
+const { toDateKey, daysBetween } = require('../hubspot/invoices');
+const { convertAmount } = require('./currency');
+
+/**
+ * Returns the active late-fee policy from configuration.
+ * @returns {{type: string, amount: number, graceDays: number, minimum: number, maximum: number, repeatDays: number}}
+ */
+const getLateFeePolicy = () => ({
+  type: config.LATE_FEE_TYPE === 'flat' ? 'flat' : 'percentage',
+  amount: config.LATE_FEE_AMOUNT,
+  graceDays: config.LATE_FEE_GRACE_DAYS,
+  minimum: config.LATE_FEE_MINIMUM,
+  maximum: config.LATE_FEE_MAXIMUM,
+  repeatDays: config.LATE_FEE_REPEAT_DAYS,
+});
+
+/**
+ * Calculates the late fee to assess on an overdue invoice.
+ *
+ * A fee is due once the invoice is more than `graceDays` past its due date. With
+ * `repeatDays` set, another fee is due every `repeatDays` after the last assessment;
+ * otherwise an invoice is only ever assessed once. Each fee is a flat amount or a
+ * percentage of the balance due, raised to `minimum` and limited so the invoice's total
+ * late fees never exceed `maximum`. The flat amount, minimum and maximum are in
+ * config.INVOICE_CURRENCY and are converted to the invoice's currency.
+ *
+ * @param {object} invoice
+ * @param {number} invoice.balanceDue - The unpaid balance.
+ * @param {string|number} invoice.dueDate - The invoice due date.
+ * @param {number} [invoice.lateFeeTotal=0] - Late fees already assessed on the invoice.
+ * @param {string|number} [invoice.lastAssessed] - Date of the last late-fee assessment.
+ * @param {string} [invoice.currency] - The invoice currency. Defaults to config.INVOICE_CURRENCY.
+ * @param {string} [asOfDate] - The assessment date (YYYY-MM-DD). Defaults to today.
+ * @param {object} [policy] - The late-fee policy. Defaults to the configured policy.
+ * @returns {{fee: number, daysOverdue: number, reason: string, policy: object}}
+ *          The fee to assess (0 when none is due) and why.
+ */
+const calculateLateFee = (invoice, asOfDate = new Date().toISOString().slice(0, 10), policy = getLateFeePolicy()) => {
+  const dueDate = toDateKey(invoice.dueDate);
+  const lateFeeTotal = Number(invoice.lateFeeTotal) || 0;
+  const lastAssessed = toDateKey(invoice.lastAssessed);
+  const currency = invoice.currency || config.INVOICE_CURRENCY;
+  const inInvoiceCurrency = (amount) => convertAmount(amount, config.INVOICE_CURRENCY, currency);
+  const result = (fee, daysOverdue, reason) => ({ fee, daysOverdue, reason, policy });
+
+  if (!dueDate) {
+    return result(0, 0, 'no due date');
+  }
+
+  const daysOverdue = daysBetween(dueDate, asOfDate);
+  if (daysOverdue <= policy.graceDays) {
+    return result(0, daysOverdue, `within ${policy.graceDays}-day grace period`);
+  }
+
+  if (lastAssessed) {
+    if (!policy.repeatDays) {
+      return result(0, daysOverdue, `late fee already assessed on ${lastAssessed}`);
+    }
+    if (daysBetween(lastAssessed, asOfDate) < policy.repeatDays) {
+      return result(0, daysOverdue, `next late fee due ${policy.repeatDays} days after ${lastAssessed}`);
+    }
+  }
+
+  const balanceDue = Number(invoice.balanceDue) || 0;
+  if (balanceDue <= 0) {
+    return result(0, daysOverdue, 'no balance due');
+  }
+
+  let fee = policy.type === 'flat' ? inInvoiceCurrency(policy.amount) : balanceDue * (policy.amount / 100);
+  fee = Math.max(fee, inInvoiceCurrency(policy.minimum || 0));
+
+  if (policy.maximum > 0) {
+    const maximum = inInvoiceCurrency(policy.maximum);
+    const remaining = maximum - lateFeeTotal;
+    if (remaining <= 0) {
+      return result(0, daysOverdue, `late fee cap of ${logger.formatCurrency(maximum, currency)} reached`);
+    }
+    fee = Math.min(fee, remaining);
+  }
+
+  fee = Math.round(fee * 100) / 100;
+  logger.info(`Late fee for balance ${logger.formatCurrency(balanceDue, currency)} ${daysOverdue} days overdue: ${logger.formatCurrency(fee, currency)}`, policy);
+  return result(fee, daysOverdue, 'assessed');
+};
+
+/**
+ * Describes the late-fee policy applied to an invoice, for line item wording.
+ * @param {object} policy - The late-fee policy.
+ * @param {number} balanceDue - The unpaid balance.
+ * @param {string} [currency] - The invoice currency.
+ * @returns {string} e.g. "1.5% of $1,069.00" or "Flat late fee".
+ */
+const describeLateFeePolicy = (policy, balanceDue, currency = config.INVOICE_CURRENCY) => (
+  policy.type === 'flat'
+    ? 'Flat late fee'
+    : `${policy.amount}% of ${logger.formatCurrency(balanceDue, currency)}`
+);
+
+module.exports = {
+  calculateLateFee,
+  getLateFeePolicy,
+  describeLateFeePolicy,
+};
@@ -1,6 +1,7 @@
 // Manufacturer Membership Pricing Calculation
 const config = require('../config');
 const logger = require('../utils/logger');
+const { getMembershipRules, formatRuleText } = require('./priceBook');
 
 /**
  * Parses the dollar amount from a membership level string.
@@ -20,36 +21,65 @@ const parseMembershipLevelPrice = (membershipLevelString) => {
 };
 
 /**
- * Maps manufacturer membership level to the corresponding product ID
+ * Maps manufacturer membership level to the corresponding product ID using the price book tier table
  * @param {number} price - The membership fee amount
- * @returns {string} - The product ID for the membership level
+ * @param {Array<object>} [tiers=[]] - The price book tier table ({ price, productId })
+ * @returns {string|null} - The product ID for the membership level
  */
-const getManufacturerProductId = (price) => {
-  const productIdMap = {
-    1500: '2463329893', // $1,500
-    3500: '2463329894', // $3,500
-    5000: '2463329895', // $5,000
-    7500: '2463312808', // $7,500
-    10000: '2463329896', // $10,000
-  };
-  
-  return productIdMap[price] || null;
+const getManufacturerProductId = (price, tiers = []) => {
+  const tier = tiers.find(t => t.price === price);
+  return tier ? tier.productId : null;
+};
+
+/**
+ * Parses an annual sales volume value such as 12000000, "$12,000,000" or "12.5M".
+ * @param {string|number} value - The raw HubSpot property value.
+ * @returns {number|null} The sales volume in dollars, or null if missing or unparseable.
+ */
+const parseSalesVolume = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const match = String(value).replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)([KMB])?$/i);
+  if (!match) return null;
+
+  const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+  const suffix = match[2] ? match[2].toUpperCase() : null;
+  return parseFloat(match[1]) * (suffix ? multipliers[suffix] : 1);
+};
+
+/**
+ * Finds the tier whose sales volume bracket contains the given volume.
+ * Brackets are defined by each tier's `minSalesVolume` (inclusive); a tier runs up to the next bracket.
+ * @param {number} salesVolume - Annual sales volume in dollars.
+ * @param {Array<object>} [tiers=[]] - The price book tier table.
+ * @returns {object|null} The matching tier, or null if the price book defines no brackets.
+ */
+const findTierForSalesVolume = (salesVolume, tiers = []) => {
+  const bracketed = tiers
+    .filter(t => typeof t.minSalesVolume === 'number')
+    .sort((a, b) => b.minSalesVolume - a.minSalesVolume);
+  return bracketed.find(t => salesVolume >= t.minSalesVolume) || null;
 };
 
 /**
  * Calculates the total invoice amount for a Manufacturer membership.
- * The fee is directly read from a HubSpot company property specified in
- * config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY.
- * This property is expected to store the dues amount as a string (e.g., "$1,500", "3500").
+ *
+ * When the company's annual sales volume (config.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY) is set
+ * and the price book defines sales volume brackets, the tier is derived from the volume.
+ * Otherwise the fee is read from the stored level label (config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY,
+ * e.g. "$1,500" or "3500"), falling back to the price book default fee when the label is missing.
+ * `details.tierAssignment` records how the tier was chosen and whether it disagrees with the stored label.
  *
  * @param {object} companyProperties - The HubSpot company properties object.
+ * @param {object} [rules] - The Manufacturer price book rules. Defaults to the loaded price book.
  * @returns {{totalPrice: number, lineItems: Array<object>, details: object}}
  *           An object containing the total price, line item, and the determined dues.
- * @throws {Error} If the membership level property configuration is missing,
- *                 or if the property value is invalid, not found, or cannot be parsed to a number.
+ * @throws {Error} If the membership level property configuration is missing, or if the tier
+ *                 must come from the label and the label cannot be parsed to a positive number.
  */
-const calculateManufacturerPrice = (companyProperties) => {
+const calculateManufacturerPrice = (companyProperties, rules = getMembershipRules(config.MEMBERSHIP_TYPE_MANUFACTURER)) => {
   const membershipLevelProperty = config.HUBSPOT_MANUFACTURER_MEMBERSHIP_LEVEL_PROPERTY;
+  const companyRef = companyProperties.hs_object_id || companyProperties.name || 'N/A';
 
   if (!membershipLevelProperty) {
     const errorMsg = 'Configuration for manufacturer membership level property is missing.';
@@ -57,74 +87,92 @@ const calculateManufacturerPrice = (companyProperties) => {
     throw new Error(errorMsg);
   }
 
+  if (!rules || !rules.lineItem) {
+    const errorMsg = 'Manufacturer pricing rules are missing from the price book.';
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+
+  const tiers = rules.tiers || [];
   const membershipLevelString = companyProperties[membershipLevelProperty];
+  const hasStoredLevel = !(membershipLevelString === undefined || membershipLevelString === null || String(membershipLevelString).trim() === '');
+  const storedPrice = hasStoredLevel ? parseMembershipLevelPrice(String(membershipLevelString)) : NaN;
+
+  const salesVolume = parseSalesVolume(companyProperties[config.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY]);
+  const derivedTier = salesVolume !== null ? findTierForSalesVolume(salesVolume, tiers) : null;
+
+  let determinedPrice;
+  let membershipLevel;
+  let description;
+  let tierAssignment;
+
+  if (derivedTier) {
+    // Sales volume is authoritative; the stored label is only compared against it
+    determinedPrice = derivedTier.price;
+    membershipLevel = derivedTier.label;
+    description = formatRuleText(rules.lineItem.description, { membershipLevel, price: determinedPrice });
+
+    const mismatch = storedPrice !== derivedTier.price;
+    tierAssignment = {
+      source: 'salesVolume',
+      salesVolume,
+      derivedLevel: derivedTier.label,
+      storedLevel: hasStoredLevel ? String(membershipLevelString) : null,
+      mismatch,
+    };
 
-  if (membershipLevelString === undefined || membershipLevelString === null || String(membershipLevelString).trim() === '') {
+    if (mismatch) {
+      logger.warn(`Manufacturer tier mismatch for company ${companyRef}: stored level "${membershipLevelString || 'MISSING'}", sales volume ${logger.formatCurrency(salesVolume)} maps to "${derivedTier.label}".`);
+    }
+  } else if (!hasStoredLevel) {
     // Log the issue but use a default price instead of throwing an error
-    const warningMsg = `Manufacturer membership level property '${membershipLevelProperty}' is missing or empty for company: ${companyProperties.hs_object_id || 'N/A'}. Using default price.`;
+    const warningMsg = `Manufacturer membership level property '${membershipLevelProperty}' is missing or empty for company: ${companyRef}. Using default price.`;
     logger.warn(warningMsg);
     
-    // Use a default price when the property is missing
-    const defaultPrice = config.MANUFACTURER_DEFAULT_FEE || 1500; // Default manufacturer membership fee
-    const determinedPrice = defaultPrice;
-    const determinedTierDescription = `Default price (membership level property missing)`;
-
-    const lineItems = [
-      {
-        name: `Manufacturer Membership Fee`,
-        quantity: 1,
-        price: determinedPrice,
-        description: `Default membership fee (membership level property missing).`,
-        productId: getManufacturerProductId(determinedPrice), // Will be null for default
-        billing_frequency: 'One-Time'
-      },
-    ];
-    
-    const calculationDetails = {
-      membershipType: 'Manufacturer',
-      membershipLevel: 'DEFAULT (missing property)',
-      totalPrice: determinedPrice,
-    };
-
-    logger.info(`Manufacturer price calculated for company ${companyProperties.hs_object_id || 'N/A'} (using default)`, calculationDetails);
-
-    return {
-      totalPrice: determinedPrice,
-      lineItems,
-      details: calculationDetails,
-    };
+    // Use the price book default when the property is missing
+    determinedPrice = rules.defaultFee;
+
+    if (typeof determinedPrice !== 'number') {
+      const errorMsg = 'Manufacturer default fee is not configured in the price book.';
+      logger.error(errorMsg);
+      throw new Error(errorMsg);
+    }
+
+    membershipLevel = 'DEFAULT (missing property)';
+    description = formatRuleText(rules.lineItem.defaultDescription, { price: determinedPrice });
+    tierAssignment = { source: 'default', salesVolume, derivedLevel: null, storedLevel: null, mismatch: false };
+  } else {
+    if (isNaN(storedPrice) || storedPrice <= 0) {
+      const errorMsg = `Manufacturer membership level property '${membershipLevelProperty}' ('${membershipLevelString}') does not contain a valid positive price for company: ${companyRef}`;
+      logger.error(errorMsg);
+      throw new Error(`Invalid membership level price: '${membershipLevelString}'.`);
+    }
+
+    determinedPrice = storedPrice;
+    membershipLevel = membershipLevelString;
+    description = formatRuleText(rules.lineItem.description, { membershipLevel, price: determinedPrice });
+    tierAssignment = { source: 'label', salesVolume, derivedLevel: null, storedLevel: String(membershipLevelString), mismatch: false };
   }
 
-  // Parse the string value (e.g., "$1,500" or "1500") into a number
-  const parsedPrice = parseMembershipLevelPrice(membershipLevelString);
-
-  if (isNaN(parsedPrice) || parsedPrice <= 0) {
-    const errorMsg = `Manufacturer membership level property '${membershipLevelProperty}' ('${membershipLevelString}') does not contain a valid positive price for company: ${companyProperties.hs_object_id || 'N/A'}`;
-    logger.error(errorMsg);
-    throw new Error(`Invalid membership level price: '${membershipLevelString}'.`);
-  }
-
-  const determinedPrice = parsedPrice;
-  const determinedTierDescription = `Based on membership level: ${membershipLevelString}`;
-
   const lineItems = [
     {
-      name: `Manufacturer Membership Fee`,
+      name: rules.lineItem.name,
       quantity: 1,
       price: determinedPrice,
-      description: membershipLevelString,
-      productId: getManufacturerProductId(determinedPrice),
+      description,
+      productId: getManufacturerProductId(determinedPrice, tiers),
       billing_frequency: 'One-Time'
     },
   ];
   
   const calculationDetails = {
     membershipType: 'Manufacturer',
-    membershipLevel: membershipLevelString,
+    membershipLevel,
+    tierAssignment,
     totalPrice: determinedPrice,
   };
 
-  logger.info(`Manufacturer price calculated for company ${companyProperties.hs_object_id || 'N/A'}`, calculationDetails);
+  logger.info(`Manufacturer price calculated for company ${companyRef}`, calculationDetails);
 
   return {
     totalPrice: determinedPrice,
@@ -133,4 +181,6 @@ const calculateManufacturerPrice = (companyProperties) => {
   };
 };
 
-module.exports = calculateManufacturerPrice;
\ No newline at end of file
+module.exports = calculateManufacturerPrice;
+module.exports.parseSalesVolume = parseSalesVolume;
+module.exports.findTierForSalesVolume = findTierForSalesVolume;
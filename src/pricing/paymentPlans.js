@@ -0,0 +1,112 @@
+// Installment Payment Plans
+// Splits a membership's dues into a schedule of installments with staggered due dates.
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plan property values and the number of installments they mean
+const PLAN_INSTALLMENTS = {
+  'annual': 1,
+  'semi-annual': 2,
+  'semiannual': 2,
+  'quarterly': 4,
+  'monthly': 12,
+};
+
+/**
+ * Reads the number of installments from the membership's payment plan property.
+ * Accepts a plan name ("Quarterly", "Semi-Annual", "Monthly") or an installment count.
+ *
+ * @param {string} value - The payment plan property value.
+ * @returns {number} The number of installments, or 0 when the membership is not on a plan.
+ */
+const parseInstallmentCount = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return 0;
+
+  const normalized = String(value).trim().toLowerCase();
+  const count = PLAN_INSTALLMENTS[normalized] !== undefined ? PLAN_INSTALLMENTS[normalized] : parseInt(normalized, 10);
+
+  if (!Number.isInteger(count) || count < 2 || 12 % count !== 0) {
+    if (count !== 1) {
+      logger.warn(`Unrecognized payment plan "${value}"; invoicing in full. Use Quarterly, Semi-Annual, Monthly or 2, 3, 4, 6 or 12.`);
+    }
+    return 0;
+  }
+  return count;
+};
+
+/**
+ * Adds whole months to a YYYY-MM-DD date, clamping to the end of shorter months.
+ * @param {string} dateKey - The start date.
+ * @param {number} months - Months to add.
+ * @returns {string} The resulting YYYY-MM-DD date.
+ */
+const addMonths = (dateKey, months) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+/**
+ * Builds the installment schedule for a plan.
+ *
+ * The total is split into equal installments; any leftover cents are added to the first
+ * installment so the schedule always sums to the total. Installments are spaced evenly
+ * over the year, starting on the first due date.
+ *
+ * @param {number} totalPrice - The full dues amount.
+ * @param {string} firstDueDate - Due date of the first installment (YYYY-MM-DD), from calculateDueDate.
+ * @param {number} installmentCount - Number of installments.
+ * @returns {Array<{number: number, amount: number, dueDate: string}>} The schedule.
+ */
+const buildInstallmentSchedule = (totalPrice, firstDueDate, installmentCount) => {
+  const totalCents = Math.round(totalPrice * 100);
+  const baseCents = Math.floor(totalCents / installmentCount);
+  const remainderCents = totalCents - baseCents * installmentCount;
+  const monthsApart = 12 / installmentCount;
+
+  return Array.from({ length: installmentCount }, (_, index) => ({
+    number: index + 1,
+    amount: (baseCents + (index === 0 ? remainderCents : 0)) / 100,
+    dueDate: addMonths(firstDueDate, index * monthsApart),
+  }));
+};
+
+/**
+ * Builds the HubSpot line item for one installment.
+ * @param {object} installment - The installment from the schedule.
+ * @param {number} installmentCount - Number of installments in the plan.
+ * @param {number} totalPrice - The full dues amount.
+ * @param {string} currency - The invoice currency.
+ * @returns {object} The line item.
+ */
+const buildInstallmentLineItem = (installment, installmentCount, totalPrice, currency) => ({
+  name: `Membership Dues – Installment ${installment.number} of ${installmentCount}`,
+  quantity: 1,
+  price: installment.amount,
+  description: `Installment ${installment.number} of ${installmentCount} of annual membership dues totaling ${logger.formatCurrency(totalPrice, currency)}, due ${installment.dueDate}.`,
+  billing_frequency: 'One-Time',
+  isInstallment: true,
+});
+
+/**
+ * Returns a plan's installments that are ready to invoice: not yet issued and due within
+ * PAYMENT_PLAN_ISSUE_DAYS_BEFORE_DUE days of the as-of date.
+ *
+ * @param {object} plan - The persisted plan state.
+ * @param {string} [asOfDate] - The run date (YYYY-MM-DD). Defaults to today.
+ * @returns {Array<object>} The installments to issue, earliest first.
+ */
+const getDueInstallments = (plan, asOfDate = new Date().toISOString().slice(0, 10)) => {
+  const issueThrough = new Date(Date.parse(asOfDate) + config.PAYMENT_PLAN_ISSUE_DAYS_BEFORE_DUE * DAY_MS).toISOString().slice(0, 10);
+  return plan.installments.filter(installment => !installment.invoiceId && installment.dueDate <= issueThrough);
+};
+
+module.exports = {
+  parseInstallmentCount,
+  buildInstallmentSchedule,
+  buildInstallmentLineItem,
+  getDueInstallments,
+  addMonths,
+};
@@ -0,0 +1,227 @@
+// Price Book Loading
+// Reads the versioned, effective-dated JSON price books that drive the pricing rule sets.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const DEFAULT_PRICE_BOOK_PATH = path.join(__dirname, 'priceBooks');
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let priceBookSchedule;
+
+/**
+ * Validates the structure of a parsed price book.
+ * @param {object} priceBook - The parsed price book.
+ * @param {string} source - Where the price book was loaded from (used in error messages).
+ * @throws {Error} If required fields are missing.
+ */
+function validatePriceBook(priceBook, source) {
+  if (!priceBook || typeof priceBook !== 'object') {
+    throw new Error(`Price book at ${source} is not a JSON object.`);
+  }
+  if (!priceBook.version) {
+    throw new Error(`Price book at ${source} is missing a "version".`);
+  }
+  if (priceBook.effectiveFrom !== undefined && !DATE_KEY_PATTERN.test(priceBook.effectiveFrom)) {
+    throw new Error(`Price book ${priceBook.version} (${source}) has an invalid "effectiveFrom" date: ${priceBook.effectiveFrom}. Use YYYY-MM-DD.`);
+  }
+  if (priceBook.currency !== undefined && !/^[A-Z]{3}$/.test(priceBook.currency)) {
+    throw new Error(`Price book ${priceBook.version} (${source}) has an invalid "currency": ${priceBook.currency}. Use a 3-letter code such as USD.`);
+  }
+  if (!priceBook.membershipTypes || Object.keys(priceBook.membershipTypes).length === 0) {
+    throw new Error(`Price book ${priceBook.version} (${source}) does not define any membershipTypes.`);
+  }
+
+  for (const [membershipType, rules] of Object.entries(priceBook.membershipTypes)) {
+    if (!rules.ruleSet) {
+      throw new Error(`Price book ${priceBook.version}: membership type "${membershipType}" is missing a "ruleSet".`);
+    }
+    for (const tier of rules.tiers || []) {
+      if (tier.minSalesVolume !== undefined && (typeof tier.minSalesVolume !== 'number' || tier.minSalesVolume < 0 || !tier.label)) {
+        throw new Error(`Price book ${priceBook.version}: ${membershipType} tier ${tier.price} needs a "label" and a non-negative numeric "minSalesVolume".`);
+      }
+    }
+  }
+
+  for (const discount of priceBook.discounts || []) {
+    if (!discount.id || !discount.name) {
+      throw new Error(`Price book ${priceBook.version}: every discount needs an "id" and a "name".`);
+    }
+    if (!['percentage', 'fixed'].includes(discount.type)) {
+      throw new Error(`Price book ${priceBook.version}: discount ${discount.id} has type "${discount.type}"; expected "percentage" or "fixed".`);
+    }
+    if (typeof discount.amount !== 'number' || discount.amount <= 0 || (discount.type === 'percentage' && discount.amount > 100)) {
+      throw new Error(`Price book ${priceBook.version}: discount ${discount.id} has an invalid amount: ${discount.amount}.`);
+    }
+  }
+}
+
+/**
+ * Reads and validates a single price book file.
+ * @param {string} filePath - Absolute path to the JSON file.
+ * @returns {object} The parsed price book.
+ * @throws {Error} If the file cannot be read, parsed or validated.
+ */
+function readPriceBookFile(filePath) {
+  let priceBook;
+  try {
+    priceBook = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to read price book at ${filePath}:`, error.message);
+    throw new Error(`Unable to load price book from ${filePath}: ${error.message}`);
+  }
+
+  validatePriceBook(priceBook, filePath);
+  return priceBook;
+}
+
+/**
+ * Loads every price book from config.PRICE_BOOK_PATH (a JSON file or a directory of
+ * JSON files), or the bundled priceBooks directory, ordered by `effectiveFrom`.
+ * A price book without `effectiveFrom` applies to all dates before the next one.
+ * The schedule is cached for the lifetime of the Lambda container.
+ *
+ * @returns {Array<object>} The validated price books, oldest first.
+ * @throws {Error} If no price book can be loaded or two books share a version or effective date.
+ */
+const loadPriceBookSchedule = () => {
+  if (priceBookSchedule) {
+    return priceBookSchedule;
+  }
+
+  const sourcePath = config.PRICE_BOOK_PATH
+    ? path.resolve(config.PRICE_BOOK_PATH)
+    : DEFAULT_PRICE_BOOK_PATH;
+
+  let files;
+  try {
+    files = fs.statSync(sourcePath).isDirectory()
+      ? fs.readdirSync(sourcePath).filter(f => f.endsWith('.json')).sort().map(f => path.join(sourcePath, f))
+      : [sourcePath];
+  } catch (error) {
+    logger.error(`Failed to read price book location ${sourcePath}:`, error.message);
+    throw new Error(`Unable to load price books from ${sourcePath}: ${error.message}`);
+  }
+
+  if (files.length === 0) {
+    throw new Error(`No price books found in ${sourcePath}.`);
+  }
+
+  const priceBooks = files.map(readPriceBookFile);
+
+  const seenVersions = new Set();
+  const seenDates = new Set();
+  for (const priceBook of priceBooks) {
+    // Each currency has its own effective-dated schedule
+    const dateKey = `${getPriceBookCurrency(priceBook)} ${priceBook.effectiveFrom || '(undated)'}`;
+    if (seenVersions.has(priceBook.version)) {
+      throw new Error(`Price book version ${priceBook.version} is defined more than once in ${sourcePath}.`);
+    }
+    if (seenDates.has(dateKey)) {
+      throw new Error(`More than one ${getPriceBookCurrency(priceBook)} price book in ${sourcePath} is effective from ${priceBook.effectiveFrom || '(undated)'}.`);
+    }
+    seenVersions.add(priceBook.version);
+    seenDates.add(dateKey);
+  }
+
+  // Undated books sort first; ISO date strings sort chronologically
+  priceBooks.sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+
+  logger.info(`Loaded ${priceBooks.length} price book(s) from ${sourcePath}:`,
+    priceBooks.map(pb => `${pb.version} ${getPriceBookCurrency(pb)} (from ${pb.effectiveFrom || 'start'})`));
+  priceBookSchedule = priceBooks;
+  return priceBookSchedule;
+};
+
+/**
+ * Returns the currency a price book's amounts are in.
+ * @param {object} priceBook - The price book.
+ * @returns {string} The price book's currency, or config.INVOICE_CURRENCY when it does not declare one.
+ */
+const getPriceBookCurrency = (priceBook) => priceBook.currency || config.INVOICE_CURRENCY;
+
+/**
+ * Returns the price book in force on a given date for a currency.
+ * When no price book in that currency is in force, the config.INVOICE_CURRENCY book is returned
+ * and the caller converts its prices (see currency.js).
+ *
+ * @param {string} [effectiveDate] - The pricing date (YYYY-MM-DD). Defaults to today (UTC).
+ * @param {string} [currency] - The invoice currency. Defaults to config.INVOICE_CURRENCY.
+ * @returns {object} The price book whose effectiveFrom is the latest on or before the date.
+ * @throws {Error} If no price book is in force on the date.
+ */
+const loadPriceBook = (effectiveDate = new Date().toISOString().slice(0, 10), currency = config.INVOICE_CURRENCY) => {
+  const schedule = loadPriceBookSchedule();
+
+  const findInForce = (bookCurrency) => {
+    let selected = null;
+    for (const priceBook of schedule) {
+      if (getPriceBookCurrency(priceBook) === bookCurrency && (!priceBook.effectiveFrom || priceBook.effectiveFrom <= effectiveDate)) {
+        selected = priceBook;
+      }
+    }
+    return selected;
+  };
+
+  const selected = findInForce(currency) || (currency !== config.INVOICE_CURRENCY ? findInForce(config.INVOICE_CURRENCY) : null);
+
+  if (!selected) {
+    const earliest = schedule.find(pb => getPriceBookCurrency(pb) === config.INVOICE_CURRENCY);
+    throw new Error(`No price book is in effect on ${effectiveDate}.${earliest ? ` The earliest ${config.INVOICE_CURRENCY} price book starts ${earliest.effectiveFrom}.` : ` There is no ${config.INVOICE_CURRENCY} price book.`}`);
+  }
+
+  return selected;
+};
+
+/**
+ * Resolves the HubSpot membership type value a price book entry applies to.
+ * Entries may name a config key (e.g. MEMBERSHIP_TYPE_DISTRIBUTOR) so that the
+ * environment-configured membership type labels keep working.
+ *
+ * @param {string} entryKey - The key of the entry in priceBook.membershipTypes.
+ * @param {object} rules - The price book entry.
+ * @returns {string} The membership type value as stored in HubSpot.
+ */
+const resolveMembershipTypeValue = (entryKey, rules) => {
+  if (rules.typeConfigKey && config[rules.typeConfigKey]) {
+    return config[rules.typeConfigKey];
+  }
+  return entryKey;
+};
+
+/**
+ * Finds the price book rules for a membership type.
+ * @param {string} membershipType - The membership type value (e.g. "Distributor").
+ * @param {object} [priceBook] - The price book to search. Defaults to the loaded price book.
+ * @returns {object|null} The rules for the membership type, or null if none match.
+ */
+const getMembershipRules = (membershipType, priceBook = loadPriceBook()) => {
+  for (const [entryKey, rules] of Object.entries(priceBook.membershipTypes)) {
+    if (resolveMembershipTypeValue(entryKey, rules) === membershipType) {
+      return rules;
+    }
+  }
+  return null;
+};
+
+/**
+ * Fills {{placeholder}} tokens in price book line-item wording.
+ * @param {string} text - The text containing placeholders.
+ * @param {object} values - Values keyed by placeholder name.
+ * @returns {string} The formatted text.
+ */
+const formatRuleText = (text, values = {}) => {
+  if (!text) return '';
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : ''
+  );
+};
+
+module.exports = {
+  loadPriceBook,
+  loadPriceBookSchedule,
+  getPriceBookCurrency,
+  getMembershipRules,
+  formatRuleText,
+};
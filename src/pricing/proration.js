@@ -0,0 +1,157 @@
+// Mid-Cycle Proration
+// Prices the difference between a membership's previous and current configuration
+// for the remainder of the current term.
+const config = require('../config');
+const logger = require('../utils/logger');
+const { loadPriceBook, getPriceBookCurrency } = require('./priceBook');
+const { resolveMemberCurrency, convertPriceResult } = require('./currency');
+const { evaluateRuleSet } = require('./engine');
+const { applyTax } = require('./tax');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a HubSpot date value to a UTC midnight Date.
+ * @param {string|number} value - ISO date string or epoch ms (number or numeric string).
+ * @returns {Date|null} The date, or null if it cannot be parsed.
+ */
+const toUtcDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Calculates the fraction of a year remaining in the current term.
+ * With config.PRORATION_METHOD 'monthly' (default) partial months are rounded up
+ * to whole twelfths; with 'daily' the exact number of days over 365 is used.
+ *
+ * @param {string} asOfDate - The date the change takes effect (YYYY-MM-DD).
+ * @param {string|number} paidThroughDate - The end of the current term.
+ * @returns {{fraction: number, label: string, remainingDays: number}}
+ * @throws {Error} If the paid-through date is missing or not after asOfDate.
+ */
+const calculateProrationFactor = (asOfDate, paidThroughDate) => {
+  const start = toUtcDate(asOfDate);
+  const end = toUtcDate(paidThroughDate);
+
+  if (!end) {
+    throw new Error('Cannot prorate: the membership has no paid-through date.');
+  }
+
+  // The paid-through date is the last covered day, so it counts as remaining
+  const remainingDays = Math.round((end.getTime() - start.getTime()) / DAY_MS) + 1;
+  if (remainingDays <= 0) {
+    throw new Error(`Cannot prorate: the membership was paid through ${end.toISOString().slice(0, 10)}, before ${asOfDate}. Invoice a renewal instead.`);
+  }
+
+  if (config.PRORATION_METHOD === 'daily') {
+    const days = Math.min(remainingDays, 365);
+    return { fraction: days / 365, label: `${days}/365 year`, remainingDays };
+  }
+
+  const months = Math.min(Math.ceil(remainingDays / (365 / 12)), 12);
+  return { fraction: months / 12, label: `${months}/12 year`, remainingDays };
+};
+
+/**
+ * Calculates prorated charges for a mid-cycle membership change, such as a distributor
+ * adding territories or a manufacturer moving up a tier.
+ *
+ * Both configurations are priced with the price book in force on asOfDate, in the member's
+ * currency. For each current line item the added quantity or price increase over the previous
+ * configuration is charged for the remaining fraction of the term. Decreases are not credited.
+ * Sales tax is applied to the prorated subtotal; discounts are not.
+ *
+ * @param {string} membershipType - The membership type (must be the same before and after).
+ * @param {object} previousProperties - The membership properties before the change.
+ * @param {object} currentProperties - The membership properties after the change.
+ * @param {object} options
+ * @param {string|number} options.paidThroughDate - The end of the current term.
+ * @param {string} [options.asOfDate] - The date the change takes effect (YYYY-MM-DD). Defaults to today.
+ * @returns {{totalPrice: number, subtotal: number, taxAmount: number, currency: string, lineItems: Array<object>, details: object}}
+ *          The prorated price result; `details.proration` explains the calculation.
+ */
+const calculateProratedPrice = (membershipType, previousProperties, currentProperties, { paidThroughDate, asOfDate = new Date().toISOString().slice(0, 10) }) => {
+  const currency = resolveMemberCurrency(currentProperties);
+  const priceBook = loadPriceBook(asOfDate, currency);
+  const bookCurrency = getPriceBookCurrency(priceBook);
+  const previous = convertPriceResult(evaluateRuleSet(membershipType, previousProperties, priceBook), bookCurrency, currency);
+  const current = convertPriceResult(evaluateRuleSet(membershipType, currentProperties, priceBook), bookCurrency, currency);
+  const { fraction, label, remainingDays } = calculateProrationFactor(asOfDate, paidThroughDate);
+
+  const lineItems = [];
+  for (const item of current.lineItems) {
+    const before = previous.lineItems.find(li => li.name === item.name);
+    const previousQuantity = before ? before.quantity : 0;
+
+    if (!before || (item.price === before.price && item.quantity > before.quantity)) {
+      const addedQuantity = item.quantity - previousQuantity;
+      const unitPrice = Math.round(item.price * fraction * 100) / 100;
+      if (addedQuantity > 0 && unitPrice > 0) {
+        lineItems.push({
+          name: `${item.name} (Prorated)`,
+          quantity: addedQuantity,
+          price: unitPrice,
+          description: `${addedQuantity} added (${previousQuantity} → ${item.quantity}) × ${label} at ${logger.formatCurrency(item.price, currency)} per year.`,
+          billing_frequency: 'One-Time',
+        });
+      }
+      continue;
+    }
+
+    const increase = item.price * item.quantity - before.price * before.quantity;
+    if (increase > 0) {
+      lineItems.push({
+        name: `${item.name} (Prorated Upgrade)`,
+        quantity: 1,
+        price: Math.round(increase * fraction * 100) / 100,
+        description: `Upgrade from ${logger.formatCurrency(before.price * before.quantity, currency)} to ${logger.formatCurrency(item.price * item.quantity, currency)} × ${label}.`,
+        billing_frequency: 'One-Time',
+      });
+    }
+  }
+
+  const subtotal = Math.round(lineItems.reduce((sum, li) => sum + li.price * li.quantity, 0) * 100) / 100;
+
+  const prorationDetails = {
+    asOfDate,
+    paidThroughDate: toUtcDate(paidThroughDate).toISOString().slice(0, 10),
+    remainingDays,
+    fraction,
+    label,
+    method: config.PRORATION_METHOD === 'daily' ? 'daily' : 'monthly',
+    previousAnnualPrice: previous.totalPrice,
+    currentAnnualPrice: current.totalPrice,
+  };
+
+  logger.info(`Prorated ${membershipType} change: ${logger.formatCurrency(subtotal, currency)} for ${label}`, prorationDetails);
+
+  const priceResult = applyTax({
+    totalPrice: subtotal,
+    lineItems,
+    details: {
+      membershipType,
+      proration: prorationDetails,
+      totalPrice: subtotal,
+    },
+  }, currentProperties, { currency });
+
+  return {
+    ...priceResult,
+    currency,
+    details: {
+      ...priceResult.details,
+      currency,
+      priceBookVersion: priceBook.version,
+      priceBookEffectiveFrom: priceBook.effectiveFrom || null,
+      pricingDate: asOfDate,
+    },
+  };
+};
+
+module.exports = {
+  calculateProratedPrice,
+  calculateProrationFactor,
+};
@@ -0,0 +1,140 @@
+// Sales Tax Calculation
+// Computes sales tax by bill-to jurisdiction from a locally configured rate table.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { normalizeStateName } = require('./distributor');
+
+const DEFAULT_TAX_RATES_PATH = path.join(__dirname, 'taxRates.json');
+const TAX_EXEMPT_VALUES = ['true', 'yes', '1', 'exempt'];
+
+let taxTableInstance;
+
+/**
+ * Loads the tax rate table from config.TAX_RATES_PATH (or the bundled default).
+ * The table maps normalized state/province codes to { rate, name }, where rate is a
+ * decimal fraction (0.0625 = 6.25%). The table is cached for the lifetime of the Lambda container.
+ *
+ * @returns {{version: string, rates: object}} The parsed tax table.
+ * @throws {Error} If the file cannot be read or contains an invalid rate.
+ */
+const loadTaxTable = () => {
+  if (taxTableInstance) {
+    return taxTableInstance;
+  }
+
+  const tablePath = config.TAX_RATES_PATH ? path.resolve(config.TAX_RATES_PATH) : DEFAULT_TAX_RATES_PATH;
+
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to read tax rate table at ${tablePath}:`, error.message);
+    throw new Error(`Unable to load tax rate table from ${tablePath}: ${error.message}`);
+  }
+
+  const rates = {};
+  for (const [jurisdiction, entry] of Object.entries(table.rates || {})) {
+    if (typeof entry.rate !== 'number' || entry.rate < 0 || entry.rate >= 1) {
+      throw new Error(`Tax rate table ${tablePath}: rate for ${jurisdiction} must be a decimal between 0 and 1 (got ${entry.rate}).`);
+    }
+    rates[normalizeStateName(jurisdiction)] = entry;
+  }
+
+  logger.info(`Loaded tax rate table ${table.version || '(unversioned)'} with ${Object.keys(rates).length} jurisdiction(s) from ${tablePath}`);
+  taxTableInstance = { version: table.version || null, rates };
+  return taxTableInstance;
+};
+
+/**
+ * Checks whether a member is flagged as tax-exempt in HubSpot.
+ * @param {object} properties - The member's HubSpot properties.
+ * @returns {boolean} True if the tax-exempt property holds a truthy value.
+ */
+const isTaxExempt = (properties) => {
+  const value = properties[config.HUBSPOT_TAX_EXEMPT_PROPERTY];
+  return value !== undefined && value !== null && TAX_EXEMPT_VALUES.includes(String(value).trim().toLowerCase());
+};
+
+/**
+ * Adds sales tax to a price result based on the bill-to state/province.
+ *
+ * The taxable amount is the price after discounts. When tax applies, a tax line item
+ * (flagged `isTax`) is appended and `totalPrice` includes the tax. `subtotal` and
+ * `taxAmount` are always set, and `details.tax` explains the decision.
+ *
+ * @param {{totalPrice: number, lineItems: Array<object>, details: object}} priceResult - The pre-tax price result.
+ * @param {object} properties - The member's HubSpot properties (uses `state` and the tax-exempt property).
+ * @param {object} [options]
+ * @param {string} [options.currency] - The invoice currency, used for logging. Defaults to config.INVOICE_CURRENCY.
+ * @returns {{totalPrice: number, subtotal: number, taxAmount: number, lineItems: Array<object>, details: object}}
+ */
+const applyTax = (priceResult, properties, { currency = config.INVOICE_CURRENCY } = {}) => {
+  const subtotal = priceResult.totalPrice;
+  const jurisdiction = normalizeStateName(properties.state || '');
+  const taxTable = loadTaxTable();
+
+  const untaxed = (reason) => ({
+    ...priceResult,
+    subtotal,
+    taxAmount: 0,
+    details: {
+      ...priceResult.details,
+      tax: { jurisdiction: jurisdiction || null, rate: 0, amount: 0, exempt: reason === 'exempt', reason, taxTableVersion: taxTable.version },
+    },
+  });
+
+  if (isTaxExempt(properties)) {
+    logger.info(`Member is tax-exempt (${config.HUBSPOT_TAX_EXEMPT_PROPERTY}); no sales tax applied.`);
+    return untaxed('exempt');
+  }
+
+  if (!jurisdiction) {
+    return untaxed('no bill-to state');
+  }
+
+  const entry = taxTable.rates[jurisdiction];
+  if (!entry || entry.rate === 0) {
+    return untaxed(`no rate for ${jurisdiction}`);
+  }
+
+  const taxAmount = Math.round(subtotal * entry.rate * 100) / 100;
+  if (taxAmount <= 0) {
+    return untaxed('nothing taxable');
+  }
+
+  const ratePercent = `${Math.round(entry.rate * 100000) / 1000}%`;
+  const taxName = entry.name || `${jurisdiction} Sales Tax`;
+  const totalPrice = Math.round((subtotal + taxAmount) * 100) / 100;
+
+  logger.info(`Sales tax for ${jurisdiction}: ${ratePercent} of ${logger.formatCurrency(subtotal, currency)} = ${logger.formatCurrency(taxAmount, currency)}`);
+
+  return {
+    ...priceResult,
+    totalPrice,
+    subtotal,
+    taxAmount,
+    lineItems: [
+      ...priceResult.lineItems,
+      {
+        name: taxName,
+        quantity: 1,
+        price: taxAmount,
+        description: `${ratePercent} sales tax for ${jurisdiction}.`,
+        billing_frequency: 'One-Time',
+        isTax: true,
+      },
+    ],
+    details: {
+      ...priceResult.details,
+      tax: { jurisdiction, name: taxName, rate: entry.rate, amount: taxAmount, exempt: false, reason: 'taxable', taxTableVersion: taxTable.version },
+      totalPrice,
+    },
+  };
+};
+
+module.exports = {
+  applyTax,
+  isTaxExempt,
+};
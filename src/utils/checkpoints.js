@@ -0,0 +1,60 @@
+// Member Checkpoints
+// Per-member renewal state machine, persisted after every step so a resumed run
+// picks up each member where it stopped instead of repeating HubSpot and S3 writes.
+const { storeMemberCheckpoint, getMemberCheckpoint } = require('./storage');
+
+// The steps of a member's renewal, in order. Each is recorded once it is finished.
+const MEMBER_STEPS = ['discovered', 'priced', 'invoice_created', 'pdf_stored', 'dues_updated', 'done'];
+
+// Members without a paid-through date are invoiced with no billing period
+const NO_BILLING_PERIOD = 'no-billing-period';
+
+/**
+ * Opens a member's checkpoint for a billing period.
+ *
+ * @async
+ * @param {object} options
+ * @param {string} [options.billingPeriod] - The billing period (YYYY-MM-DD) being invoiced.
+ * @param {string} options.memberKey - The member's key (see memberKey() in handlers/renewal.js).
+ * @param {Array<string>} options.membershipIds - The memberships the invoice covers.
+ * @param {boolean} [options.persist] - Read and write the checkpoint in S3. Off for dry and PDF-test runs.
+ * @param {boolean} [options.restart] - Ignore a stored checkpoint and start the member from the beginning.
+ * @returns {Promise<{state: object|null, reached: Function, advance: Function}>}
+ *          `state` is the checkpoint so far (null for a new member), `reached(step)` whether a step is
+ *          finished, and `advance(step, data)` records a finished step with what it produced.
+ */
+const openMemberCheckpoint = async ({ billingPeriod, memberKey, membershipIds, persist = true, restart = false }) => {
+  const period = billingPeriod || NO_BILLING_PERIOD;
+  let checkpoint = persist && !restart ? await getMemberCheckpoint(period, memberKey) : null;
+
+  return {
+    get state() {
+      return checkpoint;
+    },
+    reached: (step) => Boolean(checkpoint) && MEMBER_STEPS.indexOf(checkpoint.step) >= MEMBER_STEPS.indexOf(step),
+    advance: async (step, data = {}) => {
+      if (!MEMBER_STEPS.includes(step)) {
+        throw new Error(`Unknown member checkpoint step "${step}".`);
+      }
+      const at = new Date().toISOString();
+      checkpoint = {
+        billingPeriod: period,
+        memberKey,
+        membershipIds,
+        ...checkpoint,
+        ...data,
+        step,
+        history  : [...((checkpoint && checkpoint.history) || []), { step, at }],
+        updatedAt: at,
+      };
+      if (persist) {
+        await storeMemberCheckpoint(checkpoint);
+      }
+    },
+  };
+};
+
+module.exports = {
+  MEMBER_STEPS,
+  openMemberCheckpoint,
+};
@@ -0,0 +1,78 @@
+// Concurrency Utilities
+// Bounded concurrency for API calls, PDF rendering and member processing.
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at a time. Tasks beyond the limit
+ * wait in first-come, first-served order.
+ *
+ * @param {number} limit - The maximum number of tasks running at once (at least 1).
+ * @returns {{run: Function, active: Function, pending: Function}} `run(task)` resolves or rejects with the task's result;
+ *          `active()` and `pending()` report how many tasks are running and waiting.
+ */
+const createLimiter = (limit) => {
+  const maxActive = Math.max(1, parseInt(limit, 10) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= maxActive || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    run: (task) => new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    }),
+    active : () => active,
+    pending: () => queue.length,
+  };
+};
+
+/**
+ * Calls `worker` for each item with at most `concurrency` calls in flight, starting items
+ * in order. Results are returned in the order of `items`, whatever order the calls finish in.
+ *
+ * The worker should handle its own errors: the first one it throws rejects the whole call
+ * (items already started still run to completion, but no new ones start).
+ *
+ * @async
+ * @param {Array<*>} items - The items to process.
+ * @param {number} concurrency - The number of workers.
+ * @param {Function} worker - `async (item, index) => result`.
+ * @returns {Promise<Array<*>>} The worker's results, in item order.
+ */
+const mapWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const runWorker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.min(items.length, Math.max(1, parseInt(concurrency, 10) || 1));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+};
+
+module.exports = {
+  createLimiter,
+  mapWithConcurrency,
+};
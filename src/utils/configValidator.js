@@ -6,6 +6,37 @@
 const config = require('../config');
 const logger = require('./logger');
 
+// Fee settings replaced by the price book (docs/PRICING_RULES_ENGINE.md); no longer read
+const REMOVED_FEE_SETTINGS = [
+  'DISTRIBUTOR_BASE_FEE',
+  'DISTRIBUTOR_TERRITORY_FEE',
+  'MANUFACTURER_DEFAULT_FEE',
+  'SERVICE_PROVIDER_FLAT_FEE',
+  'INDIVIDUAL_MEMBERSHIP_FEE'
+];
+
+/**
+ * Lists the removed fee settings that are still set in the environment.
+ * @param {object} [env=process.env] - The environment to check.
+ * @returns {Array<string>} The names of the removed settings that are set.
+ */
+function findRemovedFeeSettings(env = process.env) {
+  return REMOVED_FEE_SETTINGS.filter(key => env[key] !== undefined && env[key] !== '');
+}
+
+/**
+ * Logs a warning when a removed fee setting is still set, since its value no longer changes any price.
+ * @param {object} [env=process.env] - The environment to check.
+ * @returns {Array<string>} The names of the removed settings that are set.
+ */
+function warnRemovedFeeSettings(env = process.env) {
+  const removed = findRemovedFeeSettings(env);
+  if (removed.length > 0) {
+    logger.warn(`Warning: ${removed.join(', ')} ${removed.length === 1 ? 'is' : 'are'} set but no longer read. Fees come from the price book; move the value(s) there and unset ${removed.length === 1 ? 'it' : 'them'}.`);
+  }
+  return removed;
+}
+
 /**
  * Validates all HubSpot configuration values and provides detailed feedback.
  * @returns {object} Validation results with missing and valid configurations.
@@ -108,6 +139,12 @@ function validateHubSpotConfig() {
     results.valid.push(`S3_REPORTS_BUCKET_NAME: ${config.S3_REPORTS_BUCKET_NAME}`);
   }
 
+  // Fee settings replaced by the price book
+  findRemovedFeeSettings().forEach(key => {
+    results.warnings.push(`${key} is no longer read - fees come from the price book`);
+    results.suggestions.push(`Move ${key} into the price book and unset it`);
+  });
+
   return results;
 }
 
@@ -163,6 +200,9 @@ HUBSPOT_API_KEY_SECRET_ID=HubSpotApiKey
 HUBSPOT_INVOICE_OBJECT_TYPE_ID=invoice
 HUBSPOT_LINE_ITEMS_OBJECT_TYPE_ID=line_items
 
+# Company Membership custom object (Settings > Objects > Custom Objects)
+HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID=2-45511388
+
 # HubSpot Association Type IDs (REQUIRED - get these from your HubSpot portal)
 HUBSPOT_ASSOCIATION_TYPE_ID_INVOICE_TO_CONTACT=177
 HUBSPOT_ASSOCIATION_TYPE_ID_INVOICE_TO_COMPANY=179
@@ -187,12 +227,17 @@ MAILGUN_REPORT_RECIPIENT_EMAIL=your-report-email@domain.com
 # S3 Configuration
 S3_REPORTS_BUCKET_NAME=your-s3-bucket-name
 
+# Queue fan-out (mode: "fanout"); RENEWAL_QUEUE_ADAPTER=memory runs it locally without AWS
+RENEWAL_QUEUE_URL=https://sqs.us-east-1.amazonaws.com/123456789012/renewal-members
+
 # Other configurations...
 `;
 }
 
 module.exports = {
   validateHubSpotConfig,
+  findRemovedFeeSettings,
+  warnRemovedFeeSettings,
   printConfigReport,
   getEnvTemplate
 }; 
\ No newline at end of file
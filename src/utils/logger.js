@@ -27,24 +27,33 @@ const error = (message, errorDetails) => {
   console.error(`ERROR: ${message}`, errorDetails || '');
 };
 
+// Display locale per currency; anything not listed is formatted with en-US conventions
+const CURRENCY_LOCALES = {
+  USD: 'en-US',
+  CAD: 'en-CA',
+  GBP: 'en-GB',
+  EUR: 'de-DE',
+  AUD: 'en-AU',
+  MXN: 'es-MX',
+};
+
 /**
- * Formats a number as currency with thousands separators and dollar sign.
+ * Formats a number as currency with thousands separators and the currency's symbol,
+ * using the display conventions of the currency's home locale.
  * @param {number} amount - The amount to format.
  * @param {string} [currency='USD'] - The currency code.
- * @returns {string} The formatted currency string (e.g., "$1,500.00").
+ * @returns {string} The formatted currency string (e.g., "$1,500.00", "1.500,00 €").
  */
 const formatCurrency = (amount, currency = 'USD') => {
-  if (typeof amount !== 'number' || isNaN(amount)) {
-    return '$0.00';
-  }
+  const value = typeof amount !== 'number' || isNaN(amount) ? 0 : amount;
   
   // Format with thousands separators and 2 decimal places
-  const formatted = new Intl.NumberFormat('en-US', {
+  const formatted = new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'en-US', {
     style: 'currency',
     currency: currency,
     minimumFractionDigits: 2,
     maximumFractionDigits: 2
-  }).format(amount);
+  }).format(value);
   
   return formatted;
 };
@@ -0,0 +1,159 @@
+// Renewal Queue Adapters
+// Carries fan-out messages from the orchestrator to the per-member worker, keeps each run's
+// manifest and member results where the finalizer can read them, and stores the run report.
+const AWS = require('aws-sdk');
+const config = require('../config');
+const logger = require('./logger');
+const { storeFanoutManifest, getFanoutManifest, claimFanoutFinalization, storeFanoutResult, getFanoutResults } = require('./storage');
+const { generateAndStoreReport, generateReportContent } = require('./reporting');
+
+// SQS accepts at most 10 messages per SendMessageBatch call
+const SQS_BATCH_SIZE = 10;
+
+/**
+ * Creates the production adapter: messages go to the SQS queue at RENEWAL_QUEUE_URL,
+ * manifests and results to S3 under fanout-runs/<runId>/, and reports to the reports bucket.
+ *
+ * @returns {object} The queue adapter (send, saveManifest, getManifest, claimFinalization, saveResult,
+ *          getResults, storeReport).
+ */
+const createSqsQueue = () => {
+  const sqs = new AWS.SQS({ region: config.AWS_REGION || 'us-east-1' });
+
+  return {
+    /**
+     * Enqueues messages in batches of 10.
+     * @param {Array<object>} messages - Message bodies; each is sent as JSON.
+     * @returns {Promise<number>} The number of messages enqueued.
+     * @throws {Error} If RENEWAL_QUEUE_URL is not set or SQS rejects any message.
+     */
+    send: async (messages) => {
+      if (!config.RENEWAL_QUEUE_URL) {
+        logger.error('RENEWAL_QUEUE_URL is not configured. Cannot enqueue members.');
+        throw new Error('Renewal queue URL is not configured.');
+      }
+
+      for (let start = 0; start < messages.length; start += SQS_BATCH_SIZE) {
+        const batch = messages.slice(start, start + SQS_BATCH_SIZE);
+        const rsp = await sqs.sendMessageBatch({
+          QueueUrl: config.RENEWAL_QUEUE_URL,
+          Entries : batch.map((message, index) => ({ Id: String(start + index), MessageBody: JSON.stringify(message) })),
+        }).promise();
+
+        if (rsp.Failed && rsp.Failed.length > 0) {
+          throw new Error(`SQS rejected ${rsp.Failed.length} message(s) after ${start + rsp.Successful.length} were enqueued: ${rsp.Failed.map(failure => failure.Message || failure.Code).join('; ')}`);
+        }
+      }
+      logger.info(`Enqueued ${messages.length} message(s) on ${config.RENEWAL_QUEUE_URL}`);
+      return messages.length;
+    },
+    saveManifest: storeFanoutManifest,
+    getManifest : getFanoutManifest,
+    claimFinalization: claimFanoutFinalization,
+    saveResult  : storeFanoutResult,
+    getResults  : getFanoutResults,
+    storeReport : generateAndStoreReport,
+  };
+};
+
+/**
+ * Creates an in-memory adapter that runs the whole fan-out in one process, without AWS.
+ * drain() delivers the queued messages to a worker handler as SQS events, the way the
+ * SQS event source mapping would, and redelivers the ones the handler reports as failed.
+ * Reports are kept in `reports` instead of S3.
+ *
+ * @returns {object} The queue adapter, plus drain() and the raw messages/deadLetters/reports.
+ */
+const createMemoryQueue = () => {
+  const messages = [];
+  const deadLetters = [];
+  const reports = [];
+  const manifests = new Map();
+  const results = new Map();
+  const finalizationClaims = new Set();
+  let nextMessageId = 1;
+
+  return {
+    messages,
+    deadLetters,
+    reports,
+    send: async (bodies) => {
+      bodies.forEach(body => messages.push({ messageId: `local-${nextMessageId++}`, body: JSON.stringify(body), receiveCount: 0 }));
+      logger.info(`Enqueued ${bodies.length} message(s) on the in-memory queue`);
+      return bodies.length;
+    },
+    saveManifest: async (manifest) => {
+      manifests.set(manifest.runId, JSON.parse(JSON.stringify(manifest)));
+    },
+    getManifest: async (runId) => manifests.get(runId) || null,
+    claimFinalization: async (runId) => {
+      if (finalizationClaims.has(runId)) return false;
+      finalizationClaims.add(runId);
+      return true;
+    },
+    saveResult: async (runId, memberKey, result) => {
+      if (!results.has(runId)) results.set(runId, {});
+      results.get(runId)[memberKey] = JSON.parse(JSON.stringify(result));
+    },
+    getResults: async (runId) => ({ ...(results.get(runId) || {}) }),
+    storeReport: async (reportData) => {
+      const reportUrl = `memory://reports/${reports.length + 1}.csv`;
+      reports.push({ reportUrl, reportData, content: generateReportContent(reportData) });
+      return reportUrl;
+    },
+
+    /**
+     * Delivers queued messages to `handler` until the queue is empty.
+     *
+     * @async
+     * @param {Function} handler - `async (sqsEvent) => ({ batchItemFailures })`, e.g. exports.queueWorkerHandler.
+     * @param {object} [options]
+     * @param {number} [options.batchSize] - Records per invocation (the event source mapping's batch size).
+     * @param {number} [options.maxReceiveCount] - Deliveries before a message moves to deadLetters.
+     * @returns {Promise<number>} The number of handler invocations.
+     */
+    drain: async (handler, { batchSize = SQS_BATCH_SIZE, maxReceiveCount = 3 } = {}) => {
+      let invocations = 0;
+      while (messages.length > 0) {
+        const batch = messages.splice(0, batchSize);
+        batch.forEach(message => { message.receiveCount++; });
+
+        const rsp = await handler({
+          Records: batch.map(({ messageId, body, receiveCount }) => ({
+            messageId,
+            body,
+            eventSource: 'aws:sqs',
+            attributes : { ApproximateReceiveCount: String(receiveCount) },
+          })),
+        }, { functionName: 'local-queue-worker', memoryLimitInMB: 0, getRemainingTimeInMillis: () => 900000 });
+        invocations++;
+
+        const failedIds = new Set(((rsp && rsp.batchItemFailures) || []).map(failure => failure.itemIdentifier));
+        batch.filter(message => failedIds.has(message.messageId)).forEach(message => {
+          (message.receiveCount >= maxReceiveCount ? deadLetters : messages).push(message);
+        });
+      }
+      return invocations;
+    },
+  };
+};
+
+// One adapter per container, so an in-memory queue is shared by the orchestrator and the worker
+let queueInstance;
+
+/**
+ * Returns the queue adapter selected by RENEWAL_QUEUE_ADAPTER ('sqs' or 'memory').
+ * @returns {object} The queue adapter.
+ */
+const getQueue = () => {
+  if (!queueInstance) {
+    queueInstance = config.RENEWAL_QUEUE_ADAPTER === 'memory' ? createMemoryQueue() : createSqsQueue();
+  }
+  return queueInstance;
+};
+
+module.exports = {
+  createSqsQueue,
+  createMemoryQueue,
+  getQueue,
+};
@@ -41,6 +41,150 @@ function arrayToCsv(dataArray) {
   return csvRows.join('\n');
 }
 
+/**
+ * Describes the renewal dates a run searched.
+ * @param {{start: number, end: number, scheduledStart: number, catchUpFrom: string|null}} renewalWindow - The run's renewal window.
+ * @returns {string} E.g. "2025-02-27 to 2025-03-31 (catch-up; scheduled window starts 2025-03-01)".
+ */
+const describeRenewalWindow = ({ start, end, scheduledStart, catchUpFrom }) => {
+  const toDate = (ts) => new Date(ts).toISOString().slice(0, 10);
+  const range = `${toDate(start)} to ${toDate(end)}`;
+  return catchUpFrom ? `${range} (catch-up; scheduled window starts ${toDate(scheduledStart)})` : range;
+};
+
+/**
+ * Column headers for the CSV report. Summary, section and detail rows all share
+ * these columns so the CSV stays rectangular.
+ */
+const REPORT_COLUMNS = [
+  'Report Date',
+  'Total Memberships Processed',
+  'Successful Invoices',
+  'Failed Invoices',
+  'Success Rate',
+  'Details',
+];
+
+/**
+ * Builds a report row from positional values, padding missing columns with empty strings.
+ * @param {...*} values - Values in REPORT_COLUMNS order.
+ * @returns {object} A row keyed by REPORT_COLUMNS.
+ */
+function reportRow(...values) {
+  return REPORT_COLUMNS.reduce((row, column, index) => {
+    row[column] = values[index] !== undefined ? values[index] : '';
+    return row;
+  }, {});
+}
+
+// How the billing contact was chosen (see resolveBillingContact); individuals are billed directly
+const BILLING_CONTACT_RULE_LABELS = {
+  association_label: 'billing contact label',
+  company_property : 'company billing contact property',
+  primary          : 'primary contact',
+};
+
+/**
+ * Describes how an invoice was priced for the report's Details column.
+ * @param {object} invoice - A processed invoice entry.
+ * @returns {string} A short, human-readable explanation.
+ */
+function describeInvoicePricing(invoice) {
+  const parts = [];
+  if (invoice.priceBookVersion) {
+    parts.push(`Price book ${invoice.priceBookVersion}${invoice.pricingDate ? ` (dues in force ${invoice.pricingDate})` : ''}`);
+  }
+  if (invoice.consolidatedMemberships) {
+    parts.push(`Consolidated invoice ${invoice.invoiceId} (${invoice.consolidatedMemberships} memberships)`);
+  }
+  const exchangeRate = invoice.pricingDetails && invoice.pricingDetails.exchangeRate;
+  if (exchangeRate) {
+    parts.push(`Converted ${exchangeRate.from} → ${exchangeRate.to} at ${exchangeRate.rate} (rates ${exchangeRate.tableVersion || 'unversioned'})`);
+  } else if (invoice.currency && invoice.currency !== config.INVOICE_CURRENCY) {
+    parts.push(`Priced in ${invoice.currency}`);
+  }
+  const proration = invoice.pricingDetails && invoice.pricingDetails.proration;
+  if (proration) {
+    parts.push(`Prorated ${proration.label} (${proration.remainingDays} days to ${proration.paidThroughDate}); annual ${logger.formatCurrency(proration.previousAnnualPrice, invoice.currency)} → ${logger.formatCurrency(proration.currentAnnualPrice, invoice.currency)}`);
+  }
+  const paymentPlan = invoice.pricingDetails && invoice.pricingDetails.paymentPlan;
+  if (paymentPlan) {
+    parts.push(`Installment ${paymentPlan.installment} of ${paymentPlan.installmentCount} (due ${paymentPlan.dueDate}) of ${logger.formatCurrency(paymentPlan.totalPrice, invoice.currency)}`);
+  }
+  const lateFee = invoice.pricingDetails && invoice.pricingDetails.lateFee;
+  if (lateFee) {
+    parts.push(`Late fee on invoice ${lateFee.invoiceNumber}: ${lateFee.daysOverdue} days past due ${lateFee.dueDate}, balance ${logger.formatCurrency(lateFee.balanceDue, invoice.currency)}, fees to date ${logger.formatCurrency(lateFee.lateFeeTotal, invoice.currency)}`);
+  }
+  const reconciliation = invoice.pricingDetails && invoice.pricingDetails.reconciliation;
+  if (reconciliation) {
+    reconciliation.records.forEach(record => {
+      parts.push(`Paid invoice ${reconciliation.invoiceNumber} (billing period ${reconciliation.billingPeriod}): ${record.name} renewed ${record.previousDate || 'none'} → ${record.newDate}${record.newStatus ? `, status ${record.previousStatus || 'none'} → ${record.newStatus}` : ''}`);
+    });
+  }
+  const reissue = invoice.pricingDetails && invoice.pricingDetails.reissue;
+  if (reissue) {
+    parts.push(`Replaces invoice ${reissue.replacesInvoiceNumber} (voided, was ${logger.formatCurrency(reissue.previousAmount, invoice.currency)})${reissue.reason ? `: ${reissue.reason}` : ''}`);
+  }
+  const orphanDraft = invoice.pricingDetails && invoice.pricingDetails.orphanDraft;
+  if (orphanDraft) {
+    parts.push(`Orphan draft for ${orphanDraft.idempotencyKey}, missing ${orphanDraft.missing.join(', ')}`);
+  }
+  const discounts = (invoice.pricingDetails && invoice.pricingDetails.discounts) || [];
+  discounts.forEach(discount => {
+    parts.push(`${discount.name} [${discount.source}] -${logger.formatCurrency(discount.reduction, invoice.currency)} on ${discount.appliedTo}`);
+  });
+  const tierAssignment = invoice.pricingDetails && invoice.pricingDetails.tierAssignment;
+  if (tierAssignment && tierAssignment.mismatch) {
+    parts.push(`TIER MISMATCH: stored "${tierAssignment.storedLevel || 'MISSING'}", sales volume maps to "${tierAssignment.derivedLevel}"${invoice.tierWrittenBack ? ' (corrected in HubSpot)' : ''}`);
+  } else if (tierAssignment && tierAssignment.source === 'salesVolume') {
+    parts.push(`Tier from sales volume: ${tierAssignment.derivedLevel}`);
+  }
+  const tax = invoice.pricingDetails && invoice.pricingDetails.tax;
+  if (tax && tax.amount > 0) {
+    parts.push(`${tax.name} ${(tax.rate * 100).toFixed(3).replace(/\.?0+$/, '')}%: ${logger.formatCurrency(tax.amount, invoice.currency)}`);
+  } else if (tax && tax.exempt) {
+    parts.push('Tax exempt');
+  }
+  const billingContact = invoice.billingContact;
+  if (billingContact && BILLING_CONTACT_RULE_LABELS[billingContact.rule]) {
+    parts.push(`Billed to contact ${billingContact.id} (${BILLING_CONTACT_RULE_LABELS[billingContact.rule]})`);
+  }
+  if (invoice.invoiceMetadataError) {
+    parts.push(`PDF link not saved to HubSpot: ${invoice.invoiceMetadataError}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Counts processed invoices by the price book version they were priced with.
+ * @param {Array<object>} invoices - Processed invoice entries.
+ * @returns {object} Map of price book version to invoice count.
+ */
+function countPriceBookVersions(invoices = []) {
+  return invoices.reduce((counts, invoice) => {
+    if (invoice.priceBookVersion) {
+      counts[invoice.priceBookVersion] = (counts[invoice.priceBookVersion] || 0) + 1;
+    }
+    return counts;
+  }, {});
+}
+
+/**
+ * Totals processed invoice amounts per currency.
+ * @param {Array<object>} invoices - Processed invoice entries.
+ * @returns {object} Map of currency code to { count, total }.
+ */
+function totalInvoicesByCurrency(invoices = []) {
+  return invoices.reduce((totals, invoice) => {
+    const currency = invoice.currency || config.INVOICE_CURRENCY;
+    const entry = totals[currency] || { count: 0, total: 0 };
+    entry.count += 1;
+    entry.total = Math.round((entry.total + (Number(invoice.invoiceAmount) || 0)) * 100) / 100;
+    totals[currency] = entry;
+    return totals;
+  }, {});
+}
+
 /**
  * Generates the content for a report based on the provided data.
  * @param {object} reportData - The data to include in the report.
@@ -50,73 +194,154 @@ const generateReportContent = (reportData) => {
   const reportRows = [];
 
   // Add summary row
-  reportRows.push({
-    'Report Date': new Date(reportData.date).toLocaleDateString(),
-    'Total Memberships Processed': reportData.totalMembershipsProcessed,
-    'Successful Invoices': reportData.successfulInvoices,
-    'Failed Invoices': reportData.failedInvoices,
-    'Success Rate': reportData.totalMembershipsProcessed > 0 
+  reportRows.push(reportRow(
+    new Date(reportData.date).toLocaleDateString(),
+    reportData.totalMembershipsProcessed,
+    reportData.successfulInvoices,
+    reportData.failedInvoices,
+    reportData.totalMembershipsProcessed > 0 
       ? `${((reportData.successfulInvoices / reportData.totalMembershipsProcessed) * 100).toFixed(1)}%`
       : '0%'
-  });
+  ));
+
+  // Renewal dates searched, including any catch-up on dates missed by earlier runs
+  if (reportData.renewalWindow) {
+    reportRows.push(reportRow('Renewal Window', '', '', '', '', describeRenewalWindow(reportData.renewalWindow)));
+  }
 
   // Add individual invoice details
   if (reportData.invoices && reportData.invoices.length > 0) {
     // Add spacing row with consistent structure
-    reportRows.push({
-      'Report Date': '',
-      'Total Memberships Processed': '',
-      'Successful Invoices': '',
-      'Failed Invoices': '',
-      'Success Rate': ''
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== SUCCESSFUL INVOICES ==='));
+
+    reportData.invoices.forEach(invoice => {
+      reportRows.push(reportRow(
+        invoice.name || 'Unknown',
+        invoice.id || 'N/A',
+        invoice.type || 'N/A',
+        invoice.invoiceId || 'N/A',
+        invoice.invoiceAmount || 'N/A',
+        describeInvoicePricing(invoice)
+      ));
     });
-    
-    reportRows.push({
-      'Report Date': '=== SUCCESSFUL INVOICES ===',
-      'Total Memberships Processed': '',
-      'Successful Invoices': '',
-      'Failed Invoices': '',
-      'Success Rate': ''
+
+    // Amounts in different currencies cannot be summed together
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== TOTALS BY CURRENCY ==='));
+    Object.entries(totalInvoicesByCurrency(reportData.invoices)).forEach(([currency, { count, total }]) => {
+      reportRows.push(reportRow(currency, count, logger.formatCurrency(total, currency)));
     });
 
-    reportData.invoices.forEach(invoice => {
-      reportRows.push({
-        'Report Date': invoice.name || 'Unknown',
-        'Total Memberships Processed': invoice.id || 'N/A',
-        'Successful Invoices': invoice.type || 'N/A',
-        'Failed Invoices': invoice.invoiceId || 'N/A',
-        'Success Rate': invoice.invoiceAmount || 'N/A'
+    // Summarize which price book versions were applied
+    const versionCounts = countPriceBookVersions(reportData.invoices);
+    if (Object.keys(versionCounts).length > 0) {
+      reportRows.push(reportRow());
+      reportRows.push(reportRow('=== PRICE BOOK VERSIONS ==='));
+      Object.entries(versionCounts).forEach(([version, count]) => {
+        reportRows.push(reportRow(version, count));
+      });
+    }
+  }
+
+  // List manufacturer tiers that disagree with the stored membership level
+  const tierMismatches = (reportData.invoices || []).filter(invoice =>
+    invoice.pricingDetails && invoice.pricingDetails.tierAssignment && invoice.pricingDetails.tierAssignment.mismatch
+  );
+  if (tierMismatches.length > 0) {
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== MANUFACTURER TIER MISMATCHES ==='));
+    tierMismatches.forEach(invoice => {
+      const { storedLevel, derivedLevel, salesVolume } = invoice.pricingDetails.tierAssignment;
+      reportRows.push(reportRow(
+        invoice.name || 'Unknown',
+        invoice.id || 'N/A',
+        storedLevel || 'MISSING',
+        derivedLevel,
+        salesVolume,
+        invoice.tierWrittenBack ? 'Corrected in HubSpot' : 'Not corrected'
+      ));
+    });
+  }
+
+  // List invoices that were found but left unchanged (overdue invoices not charged a late fee,
+  // paid invoices whose members were already renewed)
+  if (reportData.skipped && reportData.skipped.length > 0) {
+    reportRows.push(reportRow());
+    reportRows.push(reportRow(`=== ${reportData.skippedHeading || 'NOT ASSESSED'} ===`));
+    reportData.skipped.forEach(entry => {
+      reportRows.push(reportRow(
+        entry.name || 'Unknown',
+        entry.id || 'N/A',
+        '',
+        '',
+        entry.reason || ''
+      ));
+    });
+  }
+
+  // Members not invoiced until someone confirms who should receive the invoice
+  if (reportData.needsReview && reportData.needsReview.length > 0) {
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== NEEDS REVIEW: BILLING CONTACT ==='));
+    reportData.needsReview.forEach(entry => {
+      reportRows.push(reportRow(
+        entry.name || 'Unknown',
+        entry.id || 'N/A',
+        entry.companyId || '',
+        '',
+        '',
+        entry.reason || ''
+      ));
+    });
+  }
+
+  // Explain members skipped because they already have an invoice for the billing period
+  if (reportData.duplicates && reportData.duplicates.length > 0) {
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== SKIPPED: ALREADY INVOICED ==='));
+    reportData.duplicates.forEach(duplicate => {
+      duplicate.existingInvoices.forEach(existing => {
+        reportRows.push(reportRow(
+          duplicate.name || 'Unknown',
+          duplicate.id || 'N/A',
+          existing.id,
+          existing.status,
+          existing.amount,
+          `Invoice ${existing.number} due ${existing.dueDate || 'unknown'} (billing period ${duplicate.billingPeriod || 'any'}); matched on ${existing.matchedOn.join(', ')}`
+        ));
       });
     });
   }
 
+  // HubSpot API usage, so rate limiting and retries are visible run over run
+  if (reportData.apiStats) {
+    const { calls, retries, retriesByStatus, failedAfterRetries, throttleWaitMs, retryWaitMs, rateLimit } = reportData.apiStats;
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== HUBSPOT API USAGE ==='));
+    reportRows.push(reportRow('API Calls', calls));
+    reportRows.push(reportRow('Retries', retries, '', '', '', Object.entries(retriesByStatus).map(([status, count]) => `${status}: ${count}`).join('; ')));
+    reportRows.push(reportRow('Failed After Retries', failedAfterRetries));
+    reportRows.push(reportRow('Wait Time (s)', Math.round((throttleWaitMs + retryWaitMs) / 1000), '', '', '', `Rate-limit pauses ${Math.round(throttleWaitMs / 1000)}s; retry backoff ${Math.round(retryWaitMs / 1000)}s`));
+    if (rateLimit.lowestRemaining !== null) {
+      reportRows.push(reportRow('Lowest Rate Limit Remaining', rateLimit.lowestRemaining, '', '', '', `of ${rateLimit.max} per ${rateLimit.intervalMs}ms`));
+    }
+  }
+
   // Add failure details
   if (reportData.failures && reportData.failures.length > 0) {
     // Add spacing row with consistent structure
-    reportRows.push({
-      'Report Date': '',
-      'Total Memberships Processed': '',
-      'Successful Invoices': '',
-      'Failed Invoices': '',
-      'Success Rate': ''
-    });
-    
-    reportRows.push({
-      'Report Date': '=== FAILED INVOICES ===',
-      'Total Memberships Processed': '',
-      'Successful Invoices': '',
-      'Failed Invoices': '',
-      'Success Rate': ''
-    });
+    reportRows.push(reportRow());
+    reportRows.push(reportRow('=== FAILED INVOICES ==='));
 
     reportData.failures.forEach(failure => {
-      reportRows.push({
-        'Report Date': failure.name || 'Unknown',
-        'Total Memberships Processed': failure.id || 'N/A',
-        'Successful Invoices': '',
-        'Failed Invoices': '',
-        'Success Rate': failure.reason || 'Unknown error'
-      });
+      reportRows.push(reportRow(
+        failure.name || 'Unknown',
+        failure.id || 'N/A',
+        '',
+        '',
+        failure.reason || 'Unknown error'
+      ));
     });
   }
 
@@ -191,12 +416,29 @@ const sendReportEmail = async (reportS3Url, reportData) => {
   bodyText += `Date: ${new Date(reportData.date).toLocaleString()}\n`;
   bodyText += `Total Memberships Processed: ${reportData.totalMembershipsProcessed || 0}\n`;
   bodyText += `Successful Invoices: ${reportData.successfulInvoices || 0}\n`;
-  bodyText += `Failed Invoices: ${reportData.failedInvoices || 0}\n\n`;
+  bodyText += `Failed Invoices: ${reportData.failedInvoices || 0}\n`;
+  if (reportData.renewalWindow) {
+    bodyText += `Renewal Window: ${describeRenewalWindow(reportData.renewalWindow)}\n`;
+  }
+  if (reportData.apiStats) {
+    bodyText += `HubSpot API Calls: ${reportData.apiStats.calls} (${reportData.apiStats.retries} retries, ${reportData.apiStats.failedAfterRetries} failed after retries)\n`;
+  }
+  if (reportData.needsReview && reportData.needsReview.length > 0) {
+    bodyText += `Needs Review (Billing Contact): ${reportData.needsReview.length} (see report)\n`;
+  }
+  if (reportData.duplicates && reportData.duplicates.length > 0) {
+    bodyText += `Skipped (Already Invoiced): ${reportData.duplicates.length} (see report)\n`;
+  }
+  const tierMismatchCount = (reportData.invoices || []).filter(inv => inv.pricingDetails && inv.pricingDetails.tierAssignment && inv.pricingDetails.tierAssignment.mismatch).length;
+  if (tierMismatchCount > 0) {
+    bodyText += `Manufacturer Tier Mismatches: ${tierMismatchCount} (see report)\n`;
+  }
+  bodyText += `\n`;
   bodyText += `The full report is available at: ${reportS3Url}\n\n`;
   bodyText += `Summary of Successful Invoices:\n`;
   if (reportData.invoices && reportData.invoices.length > 0) {
     reportData.invoices.slice(0, 10).forEach(inv => { // Show first 10 as example
-        bodyText += `- ${inv.name || 'Unknown'}: Invoice ID: ${inv.invoiceId || 'N/A'}, Amount: ${inv.invoiceAmount || 'N/A'}\n`;
+        bodyText += `- ${inv.name || 'Unknown'}: Invoice ID: ${inv.invoiceId || 'N/A'}, Amount: ${inv.invoiceAmount !== undefined ? `${logger.formatCurrency(inv.invoiceAmount, inv.currency)} ${inv.currency || config.INVOICE_CURRENCY}` : 'N/A'}${inv.priceBookVersion ? `, Price Book: ${inv.priceBookVersion}` : ''}\n`;
     });
     if (reportData.invoices.length > 10) bodyText += `...and ${reportData.invoices.length - 10} more.\n`;
   } else {
@@ -41,135 +41,458 @@ const storePdfInvoice = async (pdfBuffer, key) => {
   }
 };
 
+const MEMBER_CHECKPOINT_PREFIX = 'processing-state/members/';
+
 /**
- * Stores the processing state (list of processed member IDs) in S3.
- * @param {Array<string>} processedMemberIds - Array of member IDs that have been processed
- * @param {string} runDate - Date string for the current run (YYYY-MM-DD format)
- * @param {object} options - Additional options for state tracking
- * @param {number} options.totalMembers - Total number of members to process
- * @param {boolean} options.isComplete - Whether all members have been processed
+ * Builds the S3 key for a member's checkpoint.
+ * @param {string} billingPeriod - The billing period (YYYY-MM-DD) being invoiced.
+ * @param {string} memberKey - The member's key (e.g. 'company-123').
+ * @returns {string} The S3 object key.
+ */
+const memberCheckpointKey = (billingPeriod, memberKey) => `${MEMBER_CHECKPOINT_PREFIX}${billingPeriod}/${memberKey}.json`;
+
+/**
+ * Stores a member's renewal checkpoint at processing-state/members/<billingPeriod>/<memberKey>.json.
+ *
+ * @param {object} checkpoint - The checkpoint (billingPeriod, memberKey, step, and what each step produced).
  * @returns {Promise<void>}
  */
-const storeProcessingState = async (processedMemberIds, runDate, options = {}) => {
+const storeMemberCheckpoint = async (checkpoint) => {
   const bucketName = config.S3_REPORTS_BUCKET_NAME;
 
   if (!bucketName) {
-    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store processing state.');
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store member checkpoint.');
     throw new Error('S3 bucket name for reports is not configured.');
   }
 
-  const stateData = {
-    processedMemberIds,
-    runDate,
-    lastUpdated: new Date().toISOString(),
-    totalProcessed: processedMemberIds.length,
-    totalMembers: options.totalMembers || 0,
-    isComplete: options.isComplete || false,
-    completionPercentage: options.totalMembers > 0 ? Math.round((processedMemberIds.length / options.totalMembers) * 100) : 0,
-    status: options.isComplete ? 'COMPLETED' : 'IN_PROGRESS'
-  };
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: memberCheckpointKey(checkpoint.billingPeriod, checkpoint.memberKey),
+      Body: JSON.stringify(checkpoint, null, 2),
+      ContentType: 'application/json',
+    }).promise();
+  } catch (error) {
+    logger.error('Failed to store member checkpoint in S3:', error);
+    throw error;
+  }
+};
 
-  const stateKey = `processing-state/${runDate}/invoice-processing-state.json`;
-  
-  logger.info(`Storing processing state in S3: s3://${bucketName}/${stateKey}`);
-  logger.info(`Status: ${stateData.status}, Progress: ${stateData.totalProcessed}/${stateData.totalMembers} (${stateData.completionPercentage}%)`);
-  
-  const params = {
-    Bucket: bucketName,
-    Key: stateKey,
-    Body: JSON.stringify(stateData, null, 2),
-    ContentType: 'application/json',
-  };
+/**
+ * Retrieves a member's renewal checkpoint for a billing period.
+ * @param {string} billingPeriod - The billing period (YYYY-MM-DD).
+ * @param {string} memberKey - The member's key.
+ * @returns {Promise<object|null>} The checkpoint, or null if the member has not been started for the period.
+ */
+const getMemberCheckpoint = async (billingPeriod, memberKey) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve member checkpoint.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
 
   try {
-    await s3.putObject(params).promise();
-    logger.info(`Processing state stored successfully at s3://${bucketName}/${stateKey}`);
-    
-    if (options.isComplete) {
-      logger.info('🎉 PROCESSING COMPLETE! All members have been processed.');
-    }
+    const result = await s3.getObject({ Bucket: bucketName, Key: memberCheckpointKey(billingPeriod, memberKey) }).promise();
+    return JSON.parse(result.Body.toString());
   } catch (error) {
-    logger.error('Failed to store processing state in S3:', error);
+    if (error.code === 'NoSuchKey') {
+      return null;
+    }
+    logger.error('Failed to retrieve member checkpoint from S3:', error);
     throw error;
   }
 };
 
+const RENEWAL_COVERAGE_KEY = 'processing-state/renewal-coverage.json';
+
 /**
- * Retrieves the processing state (list of processed member IDs) from S3.
+ * Stores the last renewal date covered by a completed run, so the next run can catch up
+ * on any renewal dates between it and the next window.
+ * @param {string} coveredThrough - The last renewal date (YYYY-MM-DD) of the completed run's window.
  * @param {string} runDate - Date string for the current run (YYYY-MM-DD format)
- * @returns {Promise<Array<string>>} Array of member IDs that have already been processed
+ * @returns {Promise<void>}
  */
-const getProcessingState = async (runDate) => {
+const storeRenewalCoverage = async (coveredThrough, runDate) => {
   const bucketName = config.S3_REPORTS_BUCKET_NAME;
 
   if (!bucketName) {
-    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve processing state.');
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store renewal coverage.');
     throw new Error('S3 bucket name for reports is not configured.');
   }
 
-  const stateKey = `processing-state/${runDate}/invoice-processing-state.json`;
-  
-  logger.info(`Retrieving processing state from S3: s3://${bucketName}/${stateKey}`);
-  
+  logger.info(`Storing renewal coverage through ${coveredThrough} in S3: s3://${bucketName}/${RENEWAL_COVERAGE_KEY}`);
+
   try {
-    const params = {
+    await s3.putObject({
       Bucket: bucketName,
-      Key: stateKey,
-    };
-    
-    const result = await s3.getObject(params).promise();
-    const stateData = JSON.parse(result.Body.toString());
-    
-    logger.info(`Retrieved processing state: ${stateData.processedMemberIds.length} members already processed`);
-    return stateData.processedMemberIds || [];
+      Key: RENEWAL_COVERAGE_KEY,
+      Body: JSON.stringify({ coveredThrough, runDate, lastUpdated: new Date().toISOString() }, null, 2),
+      ContentType: 'application/json',
+    }).promise();
+  } catch (error) {
+    logger.error('Failed to store renewal coverage in S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Retrieves the last renewal date covered by a completed run.
+ * @returns {Promise<string|null>} The date (YYYY-MM-DD), or null if no run has completed yet.
+ */
+const getRenewalCoverage = async () => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve renewal coverage.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  try {
+    const result = await s3.getObject({ Bucket: bucketName, Key: RENEWAL_COVERAGE_KEY }).promise();
+    const coverage = JSON.parse(result.Body.toString());
+    logger.info(`Renewal dates covered through ${coverage.coveredThrough} (run ${coverage.runDate})`);
+    return coverage.coveredThrough || null;
   } catch (error) {
     if (error.code === 'NoSuchKey') {
-      logger.info('No existing processing state found. Starting fresh.');
-      return [];
+      logger.info('No renewal coverage found. Catch-up starts after the first completed run.');
+      return null;
     }
-    logger.error('Failed to retrieve processing state from S3:', error);
+    logger.error('Failed to retrieve renewal coverage from S3:', error);
     throw error;
   }
 };
 
+const ACTIVE_PLAN_PREFIX = 'payment-plans/active/';
+const COMPLETED_PLAN_PREFIX = 'payment-plans/completed/';
+
 /**
- * Clears the processing state for a given run date.
- * @param {string} runDate - Date string for the current run (YYYY-MM-DD format)
+ * Builds the S3 key for a payment plan.
+ * @param {object} plan - The plan state (membershipId, firstDueDate).
+ * @param {string} prefix - The active or completed prefix.
+ * @returns {string} The S3 object key.
+ */
+const paymentPlanKey = (plan, prefix) => `${prefix}${plan.membershipId}-${plan.firstDueDate}.json`;
+
+/**
+ * Stores a payment plan's state in S3. Plans with every installment issued are moved
+ * from payment-plans/active/ to payment-plans/completed/ so later runs no longer read them.
+ *
+ * @param {object} plan - The plan state (membershipId, firstDueDate, installments, ...).
+ * @returns {Promise<void>}
+ */
+const storePaymentPlan = async (plan) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store payment plan.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  const isComplete = plan.installments.every(installment => installment.invoiceId);
+  const planData = { ...plan, status: isComplete ? 'COMPLETED' : 'ACTIVE', lastUpdated: new Date().toISOString() };
+  const planKey = paymentPlanKey(plan, isComplete ? COMPLETED_PLAN_PREFIX : ACTIVE_PLAN_PREFIX);
+
+  logger.info(`Storing payment plan in S3: s3://${bucketName}/${planKey}`);
+
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: planKey,
+      Body: JSON.stringify(planData, null, 2),
+      ContentType: 'application/json',
+    }).promise();
+
+    if (isComplete) {
+      await s3.deleteObject({ Bucket: bucketName, Key: paymentPlanKey(plan, ACTIVE_PLAN_PREFIX) }).promise();
+      logger.info(`Payment plan for membership ${plan.membershipId} is complete.`);
+    }
+  } catch (error) {
+    logger.error('Failed to store payment plan in S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Retrieves every active payment plan from S3.
+ * @returns {Promise<Array<object>>} The active plans.
+ */
+const getActivePaymentPlans = async () => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve payment plans.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  logger.info(`Retrieving active payment plans from s3://${bucketName}/${ACTIVE_PLAN_PREFIX}`);
+
+  try {
+    const plans = [];
+    let continuationToken;
+    do {
+      const listing = await s3.listObjectsV2({
+        Bucket: bucketName,
+        Prefix: ACTIVE_PLAN_PREFIX,
+        ContinuationToken: continuationToken,
+      }).promise();
+
+      for (const object of listing.Contents || []) {
+        const result = await s3.getObject({ Bucket: bucketName, Key: object.Key }).promise();
+        plans.push(JSON.parse(result.Body.toString()));
+      }
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    logger.info(`Retrieved ${plans.length} active payment plan(s)`);
+    return plans;
+  } catch (error) {
+    logger.error('Failed to retrieve payment plans from S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Retrieves a payment plan, whether it is still active or has every installment issued.
+ * @param {string} membershipId - The membership record ID.
+ * @param {string} firstDueDate - Due date of the plan's first installment (YYYY-MM-DD), which is also its invoices' billing period.
+ * @returns {Promise<object|null>} The plan, or null if there is none.
+ */
+const getPaymentPlan = async (membershipId, firstDueDate) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve payment plan.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  for (const prefix of [ACTIVE_PLAN_PREFIX, COMPLETED_PLAN_PREFIX]) {
+    try {
+      const result = await s3.getObject({ Bucket: bucketName, Key: paymentPlanKey({ membershipId, firstDueDate }, prefix) }).promise();
+      return JSON.parse(result.Body.toString());
+    } catch (error) {
+      if (error.code !== 'NoSuchKey') {
+        logger.error('Failed to retrieve payment plan from S3:', error);
+        throw error;
+      }
+    }
+  }
+  return null;
+};
+
+const WEBHOOK_EVENT_PREFIX = 'webhook-events/';
+
+/**
+ * Stores a processed HubSpot webhook event, with what was done for it, under
+ * webhook-events/YYYY/MM/DD/<eventId>.json. HubSpot retries deliver the same event ID,
+ * so a retry overwrites the earlier record.
+ *
+ * @param {object} record - The webhook event and its outcome.
+ * @param {string|number} record.eventId - HubSpot's event ID.
  * @returns {Promise<void>}
  */
-const clearProcessingState = async (runDate) => {
+const storeWebhookEvent = async (record) => {
   const bucketName = config.S3_REPORTS_BUCKET_NAME;
 
   if (!bucketName) {
-    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot clear processing state.');
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store webhook event.');
     throw new Error('S3 bucket name for reports is not configured.');
   }
 
-  const stateKey = `processing-state/${runDate}/invoice-processing-state.json`;
-  
-  logger.info(`Clearing processing state in S3: s3://${bucketName}/${stateKey}`);
-  
+  const eventKey = `${WEBHOOK_EVENT_PREFIX}${new Date().toISOString().slice(0, 10).replace(/-/g, '/')}/${record.eventId}.json`;
+
   try {
-    const params = {
+    await s3.putObject({
       Bucket: bucketName,
-      Key: stateKey,
-    };
-    
-    await s3.deleteObject(params).promise();
-    logger.info(`Processing state cleared successfully`);
+      Key: eventKey,
+      Body: JSON.stringify({ ...record, storedAt: new Date().toISOString() }, null, 2),
+      ContentType: 'application/json',
+    }).promise();
+    logger.info(`Webhook event ${record.eventId} stored at s3://${bucketName}/${eventKey}`);
+  } catch (error) {
+    logger.error('Failed to store webhook event in S3:', error);
+    throw error;
+  }
+};
+
+const FANOUT_RUN_PREFIX = 'fanout-runs/';
+
+/**
+ * Stores a fan-out run's manifest (flags, renewal window and the enqueued members)
+ * at fanout-runs/<runId>/manifest.json.
+ *
+ * @param {object} manifest - The run manifest.
+ * @param {string} manifest.runId - The run ID.
+ * @returns {Promise<void>}
+ */
+const storeFanoutManifest = async (manifest) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store fan-out manifest.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  const manifestKey = `${FANOUT_RUN_PREFIX}${manifest.runId}/manifest.json`;
+  logger.info(`Storing fan-out manifest in S3: s3://${bucketName}/${manifestKey}`);
+
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: manifestKey,
+      Body: JSON.stringify({ ...manifest, lastUpdated: new Date().toISOString() }, null, 2),
+      ContentType: 'application/json',
+    }).promise();
+  } catch (error) {
+    logger.error('Failed to store fan-out manifest in S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Retrieves a fan-out run's manifest.
+ * @param {string} runId - The run ID.
+ * @returns {Promise<object|null>} The manifest, or null if there is no such run.
+ */
+const getFanoutManifest = async (runId) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve fan-out manifest.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  try {
+    const result = await s3.getObject({ Bucket: bucketName, Key: `${FANOUT_RUN_PREFIX}${runId}/manifest.json` }).promise();
+    return JSON.parse(result.Body.toString());
   } catch (error) {
     if (error.code === 'NoSuchKey') {
-      logger.info('No processing state to clear.');
-      return;
+      logger.warn(`No fan-out manifest found for run ${runId}`);
+      return null;
     }
-    logger.error('Failed to clear processing state from S3:', error);
+    logger.error('Failed to retrieve fan-out manifest from S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Claims a fan-out run's finalization by creating fanout-runs/<runId>/finalization.json, on
+ * condition that it does not exist yet (If-None-Match: *). When two workers complete a run at
+ * the same moment, only the first to claim it writes the report.
+ *
+ * @param {string} runId - The run ID.
+ * @returns {Promise<boolean>} True if this caller claimed the run, false if it was already claimed.
+ */
+const claimFanoutFinalization = async (runId) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot claim fan-out finalization.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: `${FANOUT_RUN_PREFIX}${runId}/finalization.json`,
+      Body: JSON.stringify({ claimedAt: new Date().toISOString() }, null, 2),
+      ContentType: 'application/json',
+      IfNoneMatch: '*',
+    }).promise();
+    return true;
+  } catch (error) {
+    // 412 when the claim exists; 409 when a concurrent claim is still being written
+    if (error.code === 'PreconditionFailed' || error.code === 'ConditionalRequestConflict') {
+      logger.info(`Fan-out run ${runId} was already claimed for finalization.`);
+      return false;
+    }
+    logger.error('Failed to claim fan-out finalization in S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stores one member's outcome from a fan-out worker at fanout-runs/<runId>/results/<memberKey>.json.
+ * A redelivered message overwrites the earlier result.
+ *
+ * @param {string} runId - The run ID.
+ * @param {string} memberKey - The member's key in the manifest.
+ * @param {object} result - The member's report entries (processed, failed, duplicates, needsReview).
+ * @returns {Promise<void>}
+ */
+const storeFanoutResult = async (runId, memberKey, result) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot store fan-out result.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  try {
+    await s3.putObject({
+      Bucket: bucketName,
+      Key: `${FANOUT_RUN_PREFIX}${runId}/results/${memberKey}.json`,
+      Body: JSON.stringify({ ...result, storedAt: new Date().toISOString() }, null, 2),
+      ContentType: 'application/json',
+    }).promise();
+  } catch (error) {
+    logger.error('Failed to store fan-out result in S3:', error);
+    throw error;
+  }
+};
+
+/**
+ * Retrieves every member outcome stored so far for a fan-out run.
+ * @param {string} runId - The run ID.
+ * @returns {Promise<object>} Outcomes by member key.
+ */
+const getFanoutResults = async (runId) => {
+  const bucketName = config.S3_REPORTS_BUCKET_NAME;
+
+  if (!bucketName) {
+    logger.error('S3_REPORTS_BUCKET_NAME is not configured. Cannot retrieve fan-out results.');
+    throw new Error('S3 bucket name for reports is not configured.');
+  }
+
+  const resultPrefix = `${FANOUT_RUN_PREFIX}${runId}/results/`;
+
+  try {
+    const results = {};
+    let continuationToken;
+    do {
+      const listing = await s3.listObjectsV2({
+        Bucket: bucketName,
+        Prefix: resultPrefix,
+        ContinuationToken: continuationToken,
+      }).promise();
+
+      for (const object of listing.Contents || []) {
+        const result = await s3.getObject({ Bucket: bucketName, Key: object.Key }).promise();
+        results[object.Key.slice(resultPrefix.length, -'.json'.length)] = JSON.parse(result.Body.toString());
+      }
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return results;
+  } catch (error) {
+    logger.error('Failed to retrieve fan-out results from S3:', error);
     throw error;
   }
 };
 
 module.exports = {
   storePdfInvoice,
-  storeProcessingState,
-  getProcessingState,
-  clearProcessingState,
+  storePaymentPlan,
+  getActivePaymentPlans,
+  getPaymentPlan,
+  storeMemberCheckpoint,
+  getMemberCheckpoint,
+  storeRenewalCoverage,
+  getRenewalCoverage,
+  storeWebhookEvent,
+  storeFanoutManifest,
+  getFanoutManifest,
+  claimFanoutFinalization,
+  storeFanoutResult,
+  getFanoutResults,
 };
\ No newline at end of file
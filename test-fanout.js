@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Runs a fan-out renewal end to end in one process, with the in-memory queue in place of SQS:
+ * the orchestrator enqueues the members, the queue worker invoices them, and the last worker
+ * batch finalizes the run. Runs as a dry run unless --live is given.
+ *
+ * Run with: node test-fanout.js [payload.json] [--live] [--batch-size=N]
+ *   payload.json    Orchestrator event (default: test-fanout.json)
+ *   --live          Write to HubSpot and S3 (drops dry_run from the payload)
+ *   --batch-size=N  Records per worker invocation (default 10, as SQS)
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const payloadFile = args.find(arg => !arg.startsWith('--')) || 'test-fanout.json';
+const live = args.includes('--live');
+const batchSize = parseInt((args.find(arg => arg.startsWith('--batch-size=')) || '').split('=')[1], 10) || 10;
+
+process.env.RENEWAL_QUEUE_ADAPTER = 'memory';
+
+const { handler, queueWorkerHandler } = require('./src');
+const { getQueue } = require('./src/utils/queue');
+
+const event = { ...JSON.parse(fs.readFileSync(payloadFile, 'utf8')), mode: 'fanout' };
+if (live) delete event.dry_run;
+const context = { functionName: 'local-fanout', memoryLimitInMB: 0, awsRequestId: `local-${Date.now()}`, getRemainingTimeInMillis: () => 900000 };
+
+(async () => {
+  console.log(`=== Fan-out Test: ${payloadFile}${live ? ' (LIVE)' : ' (dry run)'} ===\n`);
+
+  const response = await handler(event, context);
+  const body = JSON.parse(response.body);
+  console.log(`\nOrchestrator: ${response.statusCode}`, JSON.stringify(body, null, 2));
+  if (response.statusCode !== 200) process.exit(1);
+
+  const queue = getQueue();
+  const invocations = await queue.drain(queueWorkerHandler, { batchSize });
+  const manifest = await queue.getManifest(body.runId);
+
+  console.log(`\nWorker invocations: ${invocations}, dead letters: ${queue.deadLetters.length}`);
+  console.log(`Finalized: ${manifest.finalizedAt || 'no'}${manifest.reportUrl ? `, report ${manifest.reportUrl}` : ''}`);
+  // The in-memory queue keeps the report instead of storing it in S3
+  queue.reports.forEach(({ reportUrl, content }) => console.log(`\n=== ${reportUrl} ===\n${content}`));
+})().catch(error => {
+  console.error('Fan-out test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Sends a signed HubSpot webhook fixture to the webhook entry point, as HubSpot would.
+ * Runs with WEBHOOK_DRY_RUN=true unless --live is given.
+ *
+ * Run with: node test-webhook.js [fixture.json] [--live] [--tamper]
+ *   fixture.json  HubSpot event payload (default: test-webhook-paid.json)
+ *   --live        Write to HubSpot and S3 (needs HUBSPOT_API_KEY and AWS credentials)
+ *   --tamper      Change the body after signing; the request should be rejected with 401
+ */
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const fixture = args.find(arg => !arg.startsWith('--')) || 'test-webhook-paid.json';
+const live = args.includes('--live');
+const tamper = args.includes('--tamper');
+
+process.env.HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET || 'local-test-secret';
+if (!live) process.env.WEBHOOK_DRY_RUN = 'true';
+
+const { signWebhookRequest } = require('./src/hubspot/webhooks');
+const { webhookHandler } = require('./src');
+
+const body = fs.readFileSync(fixture, 'utf8');
+const timestamp = String(Date.now());
+const host = 'abc123.lambda-url.us-east-1.on.aws';
+const path = '/';
+const signature = signWebhookRequest(
+  { method: 'POST', uri: `https://${host}${path}`, body, timestamp },
+  process.env.HUBSPOT_CLIENT_SECRET
+);
+
+// A Lambda function URL event
+const event = {
+  rawPath: path,
+  rawQueryString: '',
+  headers: {
+    host,
+    'content-type': 'application/json',
+    'x-hubspot-signature-v3': signature,
+    'x-hubspot-request-timestamp': timestamp,
+  },
+  requestContext: { http: { method: 'POST' } },
+  body: tamper ? `${body} ` : body,
+  isBase64Encoded: false,
+};
+
+console.log(`=== HubSpot Webhook Test: ${fixture}${live ? ' (LIVE)' : ' (dry run)'}${tamper ? ' (tampered)' : ''} ===\n`);
+
+webhookHandler(event, { getRemainingTimeInMillis: () => 30000 })
+  .then(response => {
+    console.log(`\nStatus: ${response.statusCode}`);
+    console.log(JSON.stringify(JSON.parse(response.body), null, 2));
+  })
+  .catch(error => {
+    console.error('Webhook test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,177 @@
+// Queue Fan-out Integration Test
+// Drives a fan-out dry run end to end (orchestrator → in-memory queue → workers → finalizer)
+// against a stubbed HubSpot client, with PDF rendering stubbed out (no Chromium in tests).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ENABLE_REPORT_EMAIL = 'false';
+
+// Replaced before the handlers are loaded, since they keep their own reference to it
+const generator = require('../../src/pdf/generator');
+generator.generatePdf = async () => Buffer.from('%PDF-1.4 test');
+
+const config = require('../../src/config');
+const { calculateDueDate } = require('../../src/hubspot/invoices');
+const { createMemoryQueue } = require('../../src/utils/queue');
+const { handleFanout, handleQueueWorker, finalizeRun } = require('../../src/handlers/fanout');
+
+const PAID_THROUGH = '2026-01-31';
+
+/**
+ * Builds an in-memory HubSpot client covering the calls a fan-out dry run makes: the renewal
+ * searches, membership → company enrichment, billing contacts and the duplicate check.
+ * Any other call (in particular any write) fails the test.
+ *
+ * @param {object} [options]
+ * @param {Array<object>} [options.invoices] - Existing invoices, each with the record it is associated with.
+ * @returns {{client: object, calls: Array<string>}} The client and the API paths it was called with.
+ */
+const createStubHubSpotClient = ({ invoices = [] } = {}) => {
+  const calls = [];
+  const memberships = [
+    { id: 'm1', companyId: 'co1', properties: { [config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY]: PAID_THROUGH } },
+    { id: 'm2', companyId: 'co2', properties: { [config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY]: PAID_THROUGH } },
+  ];
+  const companies = {
+    co1: { id: 'co1', properties: { name: 'Acme Fabrication', [config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]: 'Service Provider' } },
+    co2: { id: 'co2', properties: { name: 'Birch Tooling', [config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]: 'Service Provider' } },
+  };
+  const contacts = {
+    c1: { id: 'c1', properties: { firstname: 'Ada', lastname: 'Acme', email: 'ada@acme.test' } },
+    c2: { id: 'c2', properties: { firstname: 'Ben', lastname: 'Birch', email: 'ben@birch.test' } },
+    c3: { id: 'c3', properties: { firstname: 'Cy', lastname: 'Solo', email: 'cy@solo.test', [config.HUBSPOT_INDIVIDUAL_PAID_THROUGH_DATE_PROPERTY]: PAID_THROUGH } },
+  };
+  const primaryContacts = { co1: 'c1', co2: 'c2' };
+
+  const record = (path, fn) => async (...args) => {
+    calls.push(path);
+    return fn(...args);
+  };
+  const unexpected = (path) => async () => {
+    throw new Error(`Unexpected HubSpot call in a dry run: ${path}`);
+  };
+
+  const client = {
+    crm: {
+      objects: {
+        searchApi: {
+          doSearch: record('objects.searchApi.doSearch', async (objectType) => {
+            assert.equal(objectType, config.HUBSPOT_MEMBERSHIP_OBJECT_TYPE_ID);
+            return { results: memberships.map(({ id, properties }) => ({ id, properties })) };
+          }),
+        },
+        batchApi: {
+          read: record('objects.batchApi.read', async (objectType, { inputs }) => ({
+            results: invoices.filter(invoice => inputs.some(input => input.id === invoice.id)),
+          })),
+        },
+        basicApi: { create: unexpected('objects.basicApi.create'), update: unexpected('objects.basicApi.update') },
+      },
+      companies: {
+        batchApi: {
+          read: record('companies.batchApi.read', async ({ inputs }) => ({
+            results: inputs.map(input => companies[input.id]).filter(Boolean),
+          })),
+        },
+        basicApi: { update: unexpected('companies.basicApi.update') },
+      },
+      contacts: {
+        searchApi: {
+          doSearch: record('contacts.searchApi.doSearch', async () => ({ results: [contacts.c3] })),
+        },
+        basicApi: {
+          getById: record('contacts.basicApi.getById', async (contactId) => contacts[contactId]),
+          update: unexpected('contacts.basicApi.update'),
+        },
+      },
+      associations: {
+        v4: {
+          batchApi: {
+            getPage: record('associations.v4.batchApi.getPage', async (fromType, toType, { inputs }) => ({
+              results: inputs
+                .map(input => memberships.find(membership => membership.id === input.id))
+                .filter(Boolean)
+                .map(membership => ({ _from: { id: membership.id }, to: [{ toObjectId: membership.companyId }] })),
+            })),
+          },
+          basicApi: {
+            getPage: record('associations.v4.basicApi.getPage', async (fromType, objectId, toType) => {
+              if (toType === 'contacts') {
+                return { results: [{ toObjectId: primaryContacts[objectId], associationTypes: [{ label: 'Primary' }] }] };
+              }
+              return { results: invoices.filter(invoice => invoice.associatedWith === objectId).map(invoice => ({ toObjectId: invoice.id })) };
+            }),
+            create: unexpected('associations.v4.basicApi.create'),
+          },
+        },
+      },
+      lineItems: {
+        basicApi: { create: unexpected('lineItems.basicApi.create') },
+        batchApi: { create: unexpected('lineItems.batchApi.create') },
+      },
+    },
+  };
+  return { client, calls };
+};
+
+const context = { functionName: 'fanout-test', awsRequestId: 'test-run', getRemainingTimeInMillis: () => 900000 };
+
+test('a fan-out dry run invoices every member and finalizes one report', async () => {
+  const billingPeriod = calculateDueDate(PAID_THROUGH);
+  const { client, calls } = createStubHubSpotClient({
+    invoices: [{ id: 'inv-1', associatedWith: 'co2', properties: { hs_number: 'INV-1', hs_invoice_status: 'open', hs_due_date: billingPeriod, hs_amount_billed: '1250' } }],
+  });
+  const queue = createMemoryQueue();
+
+  const response = await handleFanout({ dry_run: true, full_test_limit: 10 }, context, client, queue);
+  const { runId, enqueued } = JSON.parse(response.body);
+  assert.equal(response.statusCode, 200);
+  assert.equal(enqueued, 3);
+
+  const invocations = await queue.drain((event, workerContext) => handleQueueWorker(event, workerContext, client, queue), { batchSize: 1 });
+  assert.equal(invocations, 3);
+  assert.equal(queue.deadLetters.length, 0);
+
+  const manifest = await queue.getManifest(runId);
+  assert.ok(manifest.finalizedAt, 'the last worker finalizes the run');
+  assert.equal(queue.reports.length, 1);
+  assert.equal(manifest.reportUrl, queue.reports[0].reportUrl);
+
+  const { reportData } = queue.reports[0];
+  assert.deepEqual(reportData.invoices.map(invoice => invoice.name).sort(), ['Acme Fabrication', 'Cy Solo']);
+  assert.deepEqual(reportData.duplicates.map(duplicate => duplicate.id), ['m2']);
+  assert.equal(reportData.failures.length, 0);
+  assert.ok(calls.includes('objects.searchApi.doSearch'), 'members are found through the stubbed client');
+});
+
+test('workers completing a run together finalize it once', async () => {
+  const { client } = createStubHubSpotClient();
+  const queue = createMemoryQueue();
+
+  const { runId } = JSON.parse((await handleFanout({ dry_run: true, full_test_limit: 10 }, context, client, queue)).body);
+
+  // Every message delivered at once, each to its own worker invocation
+  const records = queue.messages.splice(0).map(({ messageId, body }) => ({ messageId, body }));
+
+  // Hold each worker at its completion check until all have stored their result, so every one finds the run complete
+  const getManifest = queue.getManifest;
+  let arrived = 0;
+  let release;
+  const allArrived = new Promise(resolve => { release = resolve; });
+  queue.getManifest = async (id) => {
+    if (++arrived === records.length) release();
+    await allArrived;
+    return getManifest(id);
+  };
+
+  await Promise.all(records.map(record => handleQueueWorker({ Records: [record] }, context, client, queue)));
+
+  const manifest = await queue.getManifest(runId);
+  assert.ok(manifest.finalizedAt);
+  assert.equal(queue.reports.length, 1);
+
+  // A finalize by hand reports again only when forced
+  assert.equal((await finalizeRun(runId, { queue })).alreadyFinalized, true);
+  await finalizeRun(runId, { queue, force: true });
+  assert.equal(queue.reports.length, 2);
+});
@@ -0,0 +1,44 @@
+// Membership Enrichment Unit Tests
+// The enriched membership is what renewal pricing and payment plans read, so every membership
+// property they depend on has to survive the merge with the company record.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../../../src/config');
+const { buildEnrichedMembership } = require('../../../src/hubspot/companies');
+const { parseInstallmentCount, buildInstallmentSchedule } = require('../../../src/pricing/paymentPlans');
+
+const membership = {
+  id: 'm1',
+  properties: {
+    company_membership_name: 'Acme Fabrication – Distributor',
+    [config.HUBSPOT_NEXT_RENEWAL_DATE_PROPERTY]: '2026-01-31',
+    [config.HUBSPOT_PAYMENT_PLAN_PROPERTY]: 'Quarterly',
+  },
+};
+const company = {
+  id: 'co1',
+  properties: { name: 'Acme Fabrication', state: 'OH', [config.HUBSPOT_MEMBERSHIP_TYPE_PROPERTY]: 'Distributor' },
+};
+
+test('the payment plan is carried onto the enriched membership', () => {
+  const enriched = buildEnrichedMembership(membership, 'co1', company);
+  assert.equal(enriched.properties[config.HUBSPOT_PAYMENT_PLAN_PROPERTY], 'Quarterly');
+  assert.equal(enriched.properties.name, 'Acme Fabrication');
+});
+
+test('a quarterly member is scheduled four installments from the enriched membership', () => {
+  const enriched = buildEnrichedMembership(membership, 'co1', company);
+  const installmentCount = parseInstallmentCount(enriched.properties[config.HUBSPOT_PAYMENT_PLAN_PROPERTY]);
+  assert.equal(installmentCount, 4);
+
+  const schedule = buildInstallmentSchedule(1000.01, '2026-03-02', installmentCount);
+  assert.deepEqual(schedule.map(installment => installment.dueDate), ['2026-03-02', '2026-06-02', '2026-09-02', '2026-12-02']);
+  assert.deepEqual(schedule.map(installment => installment.amount), [250.01, 250, 250, 250]);
+});
+
+test('a membership without a plan is invoiced in full', () => {
+  const { [config.HUBSPOT_PAYMENT_PLAN_PROPERTY]: _plan, ...properties } = membership.properties;
+  const enriched = buildEnrichedMembership({ ...membership, properties }, 'co1', company);
+  assert.equal(parseInstallmentCount(enriched.properties[config.HUBSPOT_PAYMENT_PLAN_PROPERTY]), 0);
+});
@@ -0,0 +1,115 @@
+// HubSpot Retry Wrapper Unit Tests
+// Retrying a create HubSpot already completed issues a second invoice, and not retrying a
+// rate-limited call fails the member, so the retry predicate is covered method by method.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read by config when it loads: fast backoff, a short cap and a small shared request limit
+process.env.HUBSPOT_MAX_RETRIES = '3';
+process.env.HUBSPOT_RETRY_BASE_DELAY_MS = '1';
+process.env.HUBSPOT_RETRY_MAX_DELAY_MS = '150';
+process.env.HUBSPOT_MAX_CONCURRENT_REQUESTS = '2';
+
+const { wrapClientWithRetries, getApiStats, resetApiStats } = require('../../../src/hubspot/rateLimiter');
+
+// Shaped like the client's ApiException: an HTTP status in `code`, and the response headers
+const apiException = (code, headers = {}) => Object.assign(new Error(`HTTP-Code: ${code}`), { code, headers, body: { message: `status ${code}` } });
+
+/**
+ * Builds a client whose method fails with each of `failures` in turn, then succeeds.
+ * @param {string} group - The API group, e.g. 'basicApi'.
+ * @param {string} name - The method name, e.g. 'create'.
+ * @param {Array<Error>} failures - The errors thrown by the first calls.
+ * @returns {{client: object, attempts: Function}} The wrapped client and a count of calls made.
+ */
+const clientFailingWith = (group, name, failures) => {
+  let calls = 0;
+  const api = {
+    result: { id: 'inv-1' },
+    [name]: async function () {
+      calls++;
+      if (calls <= failures.length) throw failures[calls - 1];
+      return this.result;
+    },
+  };
+  return { client: wrapClientWithRetries({ crm: { objects: { [group]: api } } }), attempts: () => calls };
+};
+
+test.beforeEach(() => resetApiStats());
+
+test('a create is retried when rate limited', async () => {
+  const { client, attempts } = clientFailingWith('basicApi', 'create', [apiException(429), apiException(429)]);
+  assert.deepEqual(await client.crm.objects.basicApi.create('invoices', {}), { id: 'inv-1' });
+  assert.equal(attempts(), 3);
+  assert.deepEqual(getApiStats().retriesByStatus, { 429: 2 });
+});
+
+test('a create is not retried after a server error or a dropped connection', async () => {
+  const dropped = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  for (const error of [apiException(500), apiException(503), dropped]) {
+    const { client, attempts } = clientFailingWith('batchApi', 'create', [error]);
+    await assert.rejects(client.crm.objects.batchApi.create({ inputs: [] }), error);
+    assert.equal(attempts(), 1, `create retried after ${error.code}`);
+  }
+  assert.equal(getApiStats().retries, 0);
+});
+
+test('other methods are retried after server errors and dropped connections', async () => {
+  const dropped = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const { client, attempts } = clientFailingWith('basicApi', 'update', [apiException(500), dropped, apiException(429)]);
+  assert.deepEqual(await client.crm.objects.basicApi.update('invoices', '1', {}), { id: 'inv-1' });
+  assert.equal(attempts(), 4);
+  assert.deepEqual(getApiStats().retriesByStatus, { 500: 1, ECONNRESET: 1, 429: 1 });
+});
+
+test('a client error is never retried', async () => {
+  for (const name of ['create', 'update']) {
+    const error = apiException(400);
+    const { client, attempts } = clientFailingWith('basicApi', name, [error]);
+    await assert.rejects(client.crm.objects.basicApi[name]('invoices', {}), error);
+    assert.equal(attempts(), 1);
+  }
+});
+
+test('retries stop after HUBSPOT_MAX_RETRIES', async () => {
+  const failures = Array.from({ length: 10 }, () => apiException(502));
+  const { client, attempts } = clientFailingWith('searchApi', 'doSearch', failures);
+  await assert.rejects(client.crm.objects.searchApi.doSearch('invoices', {}), failures[3]);
+  assert.equal(attempts(), 4);
+  assert.equal(getApiStats().failedAfterRetries, 1);
+});
+
+test('a Retry-After header sets the wait before the retry', async () => {
+  const { client } = clientFailingWith('basicApi', 'create', [apiException(429, { 'retry-after': '0.1' })]);
+  const started = Date.now();
+  await client.crm.objects.basicApi.create('invoices', {});
+  assert.ok(Date.now() - started >= 90, 'waited for Retry-After rather than the 1ms backoff');
+  assert.equal(getApiStats().retryWaitMs, 100);
+});
+
+test('a Retry-After header is capped at HUBSPOT_RETRY_MAX_DELAY_MS', async () => {
+  const { client } = clientFailingWith('basicApi', 'create', [apiException(429, { 'retry-after': '60' })]);
+  const started = Date.now();
+  await client.crm.objects.basicApi.create('invoices', {});
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(getApiStats().retryWaitMs, 150);
+});
+
+test('requests from every method share HUBSPOT_MAX_CONCURRENT_REQUESTS', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const call = async () => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+    return 'ok';
+  };
+  const client = wrapClientWithRetries({ crm: { objects: { basicApi: { getById: call }, searchApi: { doSearch: call } } } });
+
+  const results = await Promise.all(Array.from({ length: 6 }, (_, index) => (
+    index % 2 ? client.crm.objects.basicApi.getById('1') : client.crm.objects.searchApi.doSearch({})
+  )));
+  assert.equal(results.length, 6);
+  assert.equal(maxInFlight, 2);
+});
@@ -0,0 +1,110 @@
+// Webhook Signature Unit Tests
+// Every webhook write depends on verifyWebhookSignature rejecting anything HubSpot did not sign,
+// so each rejection path is covered alongside the genuine request.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const config = require('../../../src/config');
+const { getWebhookRequest, signWebhookRequest, verifyWebhookSignature } = require('../../../src/hubspot/webhooks');
+
+const CLIENT_SECRET = 'test-client-secret';
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const URI = 'https://hooks.example.com/hubspot/invoices';
+const BODY = JSON.stringify([{ eventId: 1, subscriptionType: 'invoice.propertyChange', objectId: 42, propertyName: 'hs_invoice_status', propertyValue: 'paid' }]);
+
+// The v3 signature as HubSpot documents it, computed here rather than with signWebhookRequest
+const hubspotSignature = (method, uri, body, timestamp) => crypto
+  .createHmac('sha256', CLIENT_SECRET)
+  .update(`${method}${uri}${body}${timestamp}`)
+  .digest('base64');
+
+const signedRequest = (overrides = {}) => ({
+  method   : 'POST',
+  uri      : URI,
+  body     : BODY,
+  timestamp: String(NOW),
+  signature: hubspotSignature('POST', URI, BODY, NOW),
+  ...overrides,
+});
+
+test('a request signed with the client secret is accepted', () => {
+  assert.deepEqual(verifyWebhookSignature(signedRequest(), CLIENT_SECRET, NOW), { valid: true, reason: null });
+});
+
+test('a request signed with another secret is rejected', () => {
+  const result = verifyWebhookSignature(signedRequest(), 'another-secret', NOW);
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /does not match/);
+});
+
+test('a tampered body is rejected', () => {
+  const result = verifyWebhookSignature(signedRequest({ body: BODY.replace('paid', 'voided') }), CLIENT_SECRET, NOW);
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /does not match/);
+});
+
+test('a stale timestamp is rejected even with a valid signature', () => {
+  const timestamp = NOW - config.HUBSPOT_WEBHOOK_MAX_AGE_MS - 1;
+  const request = signedRequest({ timestamp: String(timestamp), signature: hubspotSignature('POST', URI, BODY, timestamp) });
+  const result = verifyWebhookSignature(request, CLIENT_SECRET, NOW);
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /outside the allowed/);
+});
+
+test('a timestamp in the future is rejected even with a valid signature', () => {
+  const timestamp = NOW + config.HUBSPOT_WEBHOOK_MAX_AGE_MS + 1;
+  const request = signedRequest({ timestamp: String(timestamp), signature: hubspotSignature('POST', URI, BODY, timestamp) });
+  assert.equal(verifyWebhookSignature(request, CLIENT_SECRET, NOW).valid, false);
+});
+
+test('a timestamp within the allowed age is accepted', () => {
+  const timestamp = NOW - config.HUBSPOT_WEBHOOK_MAX_AGE_MS + 1000;
+  const request = signedRequest({ timestamp: String(timestamp), signature: hubspotSignature('POST', URI, BODY, timestamp) });
+  assert.equal(verifyWebhookSignature(request, CLIENT_SECRET, NOW).valid, true);
+});
+
+test('a non-numeric timestamp is rejected', () => {
+  assert.equal(verifyWebhookSignature(signedRequest({ timestamp: 'yesterday' }), CLIENT_SECRET, NOW).valid, false);
+});
+
+test('a missing signature or timestamp header is rejected', () => {
+  for (const missing of ['signature', 'timestamp']) {
+    const result = verifyWebhookSignature(signedRequest({ [missing]: undefined }), CLIENT_SECRET, NOW);
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /Missing/);
+  }
+});
+
+test('a signature of a different length is rejected without throwing', () => {
+  const signature = hubspotSignature('POST', URI, BODY, NOW);
+  for (const wrongLength of [signature.slice(0, -4), `${signature}AAAA`, 'x']) {
+    assert.equal(verifyWebhookSignature(signedRequest({ signature: wrongLength }), CLIENT_SECRET, NOW).valid, false);
+  }
+});
+
+test('the URI is signed with HubSpot\'s percent-decodings applied', () => {
+  const encodedUri = `${URI}?portal%3A1%2Cfilter%3Dpaid%20due%40soon`;
+  // HubSpot decodes : , and @ before signing, but leaves %3D and %20 encoded
+  const signature = hubspotSignature('POST', `${URI}?portal:1,filter%3Dpaid%20due@soon`, BODY, NOW);
+
+  assert.equal(signWebhookRequest({ method: 'post', uri: encodedUri, body: BODY, timestamp: NOW }, CLIENT_SECRET), signature);
+  assert.equal(verifyWebhookSignature(signedRequest({ uri: encodedUri, signature }), CLIENT_SECRET, NOW).valid, true);
+});
+
+test('the signed request is read from a Lambda function URL event', () => {
+  const event = {
+    rawPath       : '/hubspot/invoices',
+    rawQueryString: 'source=app',
+    headers       : { Host: 'hooks.example.com', 'X-HubSpot-Signature-v3': 'sig', 'X-HubSpot-Request-Timestamp': String(NOW) },
+    requestContext: { http: { method: 'POST' } },
+    body          : Buffer.from(BODY).toString('base64'),
+    isBase64Encoded: true,
+  };
+  const request = getWebhookRequest(event);
+
+  assert.equal(request.uri, config.HUBSPOT_WEBHOOK_URL || `${URI}?source=app`);
+  assert.equal(request.body, BODY);
+  assert.equal(request.signature, 'sig');
+  assert.equal(request.timestamp, String(NOW));
+});
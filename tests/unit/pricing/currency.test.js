@@ -0,0 +1,66 @@
+// Currency Conversion Unit Tests
+// Converted prices are rounded per line item to the target currency's rule (cents by default),
+// and the total is the sum of the rounded line items, so the invoice always adds up.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Read by config when it loads
+process.env.EXCHANGE_RATES_PATH = path.join(__dirname, 'fixtures', 'exchangeRates.json');
+
+const config = require('../../../src/config');
+const { resolveMemberCurrency, getExchangeRate, convertAmount, convertPriceResult } = require('../../../src/pricing/currency');
+
+test('converted amounts are rounded to the nearest cent', () => {
+  assert.equal(convertAmount(99.99, 'USD', 'CAD'), 135.7);
+  assert.equal(convertAmount(0.01, 'USD', 'CAD'), 0.01);
+  assert.equal(convertAmount(100, 'CAD', 'USD'), 73.69);
+});
+
+test('negative amounts round symmetrically with charges', () => {
+  assert.equal(convertAmount(-99.99, 'USD', 'CAD'), -135.7);
+  assert.equal(convertAmount(-1001, 'USD', 'EUR'), -905);
+});
+
+test('a currency\'s rounding rule sets the increment and direction', () => {
+  assert.equal(convertAmount(1250, 'USD', 'JPY'), 186875);
+  assert.equal(convertAmount(10.01, 'USD', 'JPY'), 1496);
+  // EUR rounds up to the next 5
+  assert.equal(convertAmount(1001, 'USD', 'EUR'), 905);
+});
+
+test('rates between two non-base currencies go through the base currency', () => {
+  assert.equal(getExchangeRate('CAD', 'JPY'), 149.5 / 1.3571);
+  assert.equal(convertAmount(100, 'CAD', 'JPY'), 11016);
+  assert.equal(getExchangeRate('USD', 'USD'), 1);
+  assert.equal(convertAmount(12.345, 'USD', 'USD'), 12.345);
+});
+
+test('a currency without a rate cannot be converted to', () => {
+  assert.throws(() => convertAmount(100, 'USD', 'GBP'), /No exchange rate from USD to GBP/);
+});
+
+test('a converted price totals its rounded line items', () => {
+  const result = convertPriceResult({
+    totalPrice: 1139,
+    lineItems: [
+      { name: 'Base Fee', quantity: 1, price: 929 },
+      { name: 'Additional Territory Listings', quantity: 3, price: 70 },
+    ],
+    details: { totalPrice: 1139 },
+  }, 'USD', 'CAD');
+
+  assert.deepEqual(result.lineItems.map(li => li.price), [1260.75, 95]);
+  assert.equal(result.totalPrice, 1545.75);
+  assert.equal(result.details.totalPrice, 1545.75);
+  assert.deepEqual(result.details.exchangeRate, { from: 'USD', to: 'CAD', rate: 1.3571, tableVersion: 'test-2026' });
+});
+
+test('the member currency comes from the property, then the billing country, then the default', () => {
+  const currencyProperty = config.HUBSPOT_MEMBER_CURRENCY_PROPERTY;
+  assert.equal(resolveMemberCurrency({ [currencyProperty]: ' cad ', country: 'Japan' }), 'CAD');
+  assert.equal(resolveMemberCurrency({ [currencyProperty]: 'dollars', country: 'canada' }), 'CAD');
+  assert.equal(resolveMemberCurrency({ country: 'Japan' }), 'JPY');
+  assert.equal(resolveMemberCurrency({ country: 'Mexico' }), config.INVOICE_CURRENCY);
+  assert.equal(resolveMemberCurrency({}), config.INVOICE_CURRENCY);
+});
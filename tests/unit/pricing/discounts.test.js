@@ -0,0 +1,83 @@
+// Discount and Override Unit Tests
+// Discount rules and member overrides are valid through their expiry date, checked against the
+// date the renewal is priced for (the first day of the new term), not the day the run happens.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../../../src/config');
+const { applyDiscounts, parseDiscountCodes } = require('../../../src/pricing/discounts');
+const { calculatePrice } = require('../../../src/pricing/engine');
+
+const priceResult = () => ({
+  totalPrice: 1000,
+  lineItems: [{ name: 'Membership Fee', quantity: 1, price: 1000, description: 'Annual dues.' }],
+  details: { totalPrice: 1000 },
+});
+
+const priceBook = {
+  version: 'test',
+  discounts: [
+    { id: 'EARLY', name: 'Early Renewal', type: 'percentage', amount: 10, expiresOn: '2026-12-31', description: '{{amount}}% off {{appliedTo}}' },
+    { id: 'CHAPTER', name: 'Chapter Member', type: 'fixed', amount: 50, code: 'chapter', description: 'Coupon {{code}}' },
+  ],
+};
+
+const discount = (properties, asOfDate) => applyDiscounts(priceResult(), properties, { membershipType: 'Service Provider', priceBook, asOfDate });
+
+test('a discount applies through its expiry date and not after', () => {
+  assert.equal(discount({}, '2026-12-31').totalPrice, 900);
+  assert.equal(discount({}, '2027-01-01').totalPrice, 1000);
+});
+
+test('a coupon discount applies only to members holding the code', () => {
+  const withCode = discount({ [config.HUBSPOT_DISCOUNT_CODES_PROPERTY]: 'Multiyear; CHAPTER' }, '2027-01-01');
+  assert.equal(withCode.totalPrice, 950);
+  assert.deepEqual(withCode.details.discounts.map(d => d.source), ['coupon CHAPTER']);
+  assert.ok(withCode.lineItems.some(li => li.isDiscount && li.price === -50));
+});
+
+test('stacked discounts apply to the running total', () => {
+  const result = discount({ [config.HUBSPOT_DISCOUNT_CODES_PROPERTY]: 'CHAPTER' }, '2026-06-01');
+  assert.equal(result.totalPrice, 850);
+  assert.equal(result.details.subtotalBeforeDiscounts, 1000);
+  assert.equal(result.details.totalDiscount, 150);
+});
+
+test('a member override replaces discounts until it expires', () => {
+  const properties = {
+    [config.HUBSPOT_PRICE_OVERRIDE_PROPERTY]: '$750.00',
+    [config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY]: '2026-12-31',
+  };
+  const active = discount(properties, '2026-12-31');
+  assert.equal(active.totalPrice, 750);
+  assert.deepEqual(active.details.discounts.map(d => d.id), ['MEMBER_OVERRIDE']);
+
+  // Expired: the price book discounts in force apply instead (EARLY has expired too by then)
+  assert.equal(discount(properties, '2027-01-01').totalPrice, 1000);
+});
+
+test('an override at or above the calculated price is ignored', () => {
+  assert.equal(discount({ [config.HUBSPOT_PRICE_OVERRIDE_PROPERTY]: '1200' }, '2027-01-01').totalPrice, 1000);
+});
+
+test('discount codes are split on semicolons or commas and upper-cased', () => {
+  assert.deepEqual(parseDiscountCodes(' multiyear;Chapter, ,early '), ['MULTIYEAR', 'CHAPTER', 'EARLY']);
+  assert.deepEqual(parseDiscountCodes(undefined), []);
+});
+
+test('a renewal checks override expiry against the first day of the new term', () => {
+  const properties = {
+    [config.HUBSPOT_PRICE_OVERRIDE_PROPERTY]: '1000',
+    [config.HUBSPOT_PRICE_OVERRIDE_EXPIRY_PROPERTY]: '2026-12-31',
+  };
+
+  // Term starting 2026-12-01, inside the override
+  const inside = calculatePrice('Service Provider', properties, { paidThroughDate: '2026-11-30' });
+  assert.equal(inside.details.pricingDate, '2026-12-01');
+  assert.equal(inside.totalPrice, 1000);
+
+  // Term starting 2027-01-01: the override has expired by then, whatever the date of the run
+  const after = calculatePrice('Service Provider', properties, { paidThroughDate: '2026-12-31' });
+  assert.equal(after.details.pricingDate, '2027-01-01');
+  assert.equal(after.totalPrice, 1250);
+});
@@ -0,0 +1,75 @@
+// Proration Unit Tests
+// PRORATION_METHOD "monthly" charges whole twelfths of a year (partial months rounded up);
+// "daily" charges the exact days remaining over 365. The paid-through date counts as remaining.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../../../src/config');
+const { calculateProrationFactor, calculateProratedPrice } = require('../../../src/pricing/proration');
+
+/**
+ * Runs `fn` with config.PRORATION_METHOD set to `method`.
+ * @param {string} method - 'monthly' or 'daily'.
+ * @param {Function} fn - The code to run.
+ * @returns {*} What `fn` returns.
+ */
+const withMethod = (method, fn) => {
+  const previous = config.PRORATION_METHOD;
+  config.PRORATION_METHOD = method;
+  try {
+    return fn();
+  } finally {
+    config.PRORATION_METHOD = previous;
+  }
+};
+
+test('monthly proration rounds a partial month up to a whole twelfth', () => {
+  const factor = withMethod('monthly', () => calculateProrationFactor('2026-07-01', '2026-12-31'));
+  assert.deepEqual(factor, { fraction: 7 / 12, label: '7/12 year', remainingDays: 184 });
+});
+
+test('daily proration charges the exact days remaining', () => {
+  const factor = withMethod('daily', () => calculateProrationFactor('2026-07-01', '2026-12-31'));
+  assert.deepEqual(factor, { fraction: 184 / 365, label: '184/365 year', remainingDays: 184 });
+});
+
+test('the last day of the term is charged as one day, or one month', () => {
+  assert.equal(withMethod('monthly', () => calculateProrationFactor('2026-12-31', '2026-12-31')).label, '1/12 year');
+  assert.equal(withMethod('daily', () => calculateProrationFactor('2026-12-31', '2026-12-31')).label, '1/365 year');
+});
+
+test('a full term or more is charged as one year at most', () => {
+  for (const paidThroughDate of ['2026-12-31', '2027-06-30']) {
+    assert.equal(withMethod('monthly', () => calculateProrationFactor('2026-01-01', paidThroughDate)).fraction, 1);
+    assert.equal(withMethod('daily', () => calculateProrationFactor('2026-01-01', paidThroughDate)).fraction, 1);
+  }
+});
+
+test('a paid-through date in epoch milliseconds is read as a date', () => {
+  const factor = withMethod('daily', () => calculateProrationFactor('2026-07-01', String(Date.parse('2026-12-31T00:00:00Z'))));
+  assert.equal(factor.remainingDays, 184);
+});
+
+test('a term without a paid-through date, or already ended, cannot be prorated', () => {
+  assert.throws(() => calculateProrationFactor('2026-07-01', ''), /no paid-through date/);
+  assert.throws(() => calculateProrationFactor('2026-07-01', '2026-06-30'), /Invoice a renewal instead/);
+});
+
+test('a tier upgrade is charged the price increase for the remaining fraction', () => {
+  const salesVolume = config.HUBSPOT_ANNUAL_SALES_VOLUME_PROPERTY;
+  const prorate = () => calculateProratedPrice('Manufacturer', { [salesVolume]: '3M' }, { [salesVolume]: '12M' }, {
+    paidThroughDate: '2026-12-31',
+    asOfDate: '2026-07-01',
+  });
+
+  // $1,500 → $5,000 tier: $3,500 more per year
+  const monthly = withMethod('monthly', prorate);
+  assert.equal(monthly.totalPrice, 2041.67);
+  assert.equal(monthly.lineItems.length, 1);
+  assert.match(monthly.lineItems[0].name, /\(Prorated Upgrade\)$/);
+  assert.equal(monthly.details.proration.method, 'monthly');
+
+  const daily = withMethod('daily', prorate);
+  assert.equal(daily.totalPrice, 1764.38);
+  assert.equal(daily.details.proration.method, 'daily');
+});
@@ -0,0 +1,71 @@
+// Sales Tax Unit Tests
+// Tax is looked up by the bill-to state in the rate table and skipped for exempt members.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Read by config when it loads
+process.env.TAX_RATES_PATH = path.join(__dirname, 'fixtures', 'taxRates.json');
+
+const config = require('../../../src/config');
+const { applyTax, isTaxExempt } = require('../../../src/pricing/tax');
+
+const priceResult = (totalPrice) => ({
+  totalPrice,
+  lineItems: [{ name: 'Membership Fee', quantity: 1, price: totalPrice, description: 'Annual dues.' }],
+  details: { totalPrice },
+});
+
+test('tax is added at the bill-to state\'s rate', () => {
+  const result = applyTax(priceResult(1000), { state: 'OH' });
+  assert.equal(result.subtotal, 1000);
+  assert.equal(result.taxAmount, 57.5);
+  assert.equal(result.totalPrice, 1057.5);
+
+  const taxLine = result.lineItems.find(li => li.isTax);
+  assert.equal(taxLine.name, 'Ohio Sales Tax');
+  assert.equal(taxLine.price, 57.5);
+  assert.equal(taxLine.description, '5.75% sales tax for OH.');
+  assert.deepEqual(
+    { jurisdiction: result.details.tax.jurisdiction, rate: result.details.tax.rate, version: result.details.tax.taxTableVersion },
+    { jurisdiction: 'OH', rate: 0.0575, version: 'test-2026' },
+  );
+});
+
+test('state names and table keys are normalized to state codes', () => {
+  assert.equal(applyTax(priceResult(1000), { state: ' ohio ' }).taxAmount, 57.5);
+
+  const texas = applyTax(priceResult(1000), { state: 'TX' });
+  assert.equal(texas.taxAmount, 62.5);
+  assert.equal(texas.lineItems.find(li => li.isTax).name, 'TX Sales Tax');
+});
+
+test('tax is rounded to the cent', () => {
+  assert.equal(applyTax(priceResult(333.33), { state: 'OH' }).taxAmount, 19.17);
+});
+
+test('an exempt member is not taxed', () => {
+  const result = applyTax(priceResult(1000), { state: 'OH', [config.HUBSPOT_TAX_EXEMPT_PROPERTY]: 'Yes' });
+  assert.equal(result.totalPrice, 1000);
+  assert.equal(result.taxAmount, 0);
+  assert.equal(result.lineItems.some(li => li.isTax), false);
+  assert.equal(result.details.tax.exempt, true);
+  assert.equal(result.details.tax.reason, 'exempt');
+});
+
+test('the tax-exempt property accepts true, yes, 1 and exempt', () => {
+  for (const value of ['true', 'YES', '1', ' Exempt ']) {
+    assert.equal(isTaxExempt({ [config.HUBSPOT_TAX_EXEMPT_PROPERTY]: value }), true, value);
+  }
+  for (const value of ['false', 'no', '0', '', undefined, null]) {
+    assert.equal(isTaxExempt({ [config.HUBSPOT_TAX_EXEMPT_PROPERTY]: value }), false, String(value));
+  }
+});
+
+test('no tax without a state, a rate, or anything to tax', () => {
+  assert.equal(applyTax(priceResult(1000), {}).details.tax.reason, 'no bill-to state');
+  assert.equal(applyTax(priceResult(1000), { state: 'NV' }).details.tax.reason, 'no rate for NV');
+  assert.equal(applyTax(priceResult(1000), { state: 'Oregon' }).details.tax.reason, 'no rate for OR');
+  assert.equal(applyTax(priceResult(0), { state: 'OH' }).details.tax.reason, 'nothing taxable');
+  assert.equal(applyTax(priceResult(1000), { state: 'NV' }).totalPrice, 1000);
+});